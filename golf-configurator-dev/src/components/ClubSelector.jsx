@@ -5,24 +5,37 @@
 
 import { Check } from 'lucide-react';
 import { Tooltip } from './ui/tooltip';
-import { IRON_NUMBERS } from '../constants/defaults';
-import { isClubSelected, isClubLocked } from '../utils/validation';
+import { CLUB_CATALOGUES, PRODUCT_MODES } from '../constants/defaults';
+import { isClubLocked as isRuleLocked } from '../utils/clubRules';
 import { cn } from '../lib/utils';
 
-export function ClubSelector({ selectedClubs, onClubToggle }) {
+export function ClubSelector({ selectedClubs, onClubToggle, mode = PRODUCT_MODES.IRON_SET }) {
+  const isWedgeSet = mode === PRODUCT_MODES.WEDGE_SET;
+  const isSingleIron = mode === PRODUCT_MODES.SINGLE_IRON;
+  const { clubNumbers, rules } = CLUB_CATALOGUES[mode];
+
+  // Locked clubs come from the mode's club rules - wedges and single irons have none
+  const isClubLocked = (club) => isRuleLocked(rules, club);
+  const isClubSelected = (club, clubs) => clubs.some((c) => c.id === club);
+
+  const unit = rules.unit;
+
   return (
     <div className='mb-6'>
       <div className='mb-4'>
         <div className='flex items-center justify-between mb-2'>
-          <h2 className='text-base font-bold text-foreground'>Choose Your Clubs:</h2>
+          <h2 className='text-base font-bold text-foreground'>
+            {isWedgeSet ? 'Choose Your Wedges:' : isSingleIron ? 'Choose Your Iron:' : 'Choose Your Clubs:'}
+          </h2>
           <span className='text-sm font-medium text-primary'>
-            {selectedClubs.length} {selectedClubs.length === 1 ? 'club' : 'clubs'} selected
+            {selectedClubs.length} {selectedClubs.length === 1 ? unit : `${unit}s`} selected
           </span>
         </div>
       </div>
 
-      <div className='grid grid-cols-7 gap-3'>
-        {IRON_NUMBERS.map((iron) => (
+      {/* One column per club, so a catalogue with a 3-iron or AW lays out without a class change */}
+      <div className='grid gap-3' style={{ gridTemplateColumns: `repeat(${clubNumbers.length}, minmax(0, 1fr))` }}>
+        {clubNumbers.map((iron) => (
           <Tooltip key={iron} content={isClubLocked(iron) ? 'Required club - included in all sets' : null}>
             <button
               onClick={() => onClubToggle(iron)}
@@ -45,7 +58,7 @@ export function ClubSelector({ selectedClubs, onClubToggle }) {
                     : 'text-card-foreground group-hover:text-foreground'
                 )}
               >
-                {iron === 'P' ? 'PW' : iron}
+                {iron}
               </span>
               <div
                 className={cn(
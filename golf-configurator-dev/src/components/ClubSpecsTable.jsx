@@ -0,0 +1,71 @@
+/**
+ * Club Specs Table Component
+ * Advanced specs mode - one row per selected club to set its own length or lie
+ * The shaft step edits the length column and the club step the lie column; the on / off switch is shared
+ */
+
+import { SelectRoot, SelectTrigger, SelectValue, SelectContent, SelectItem } from './ui/select';
+import { actions, advancedSpecsEnabled, clubSpecs, Logger } from '../store/golfStore';
+import { CLUB_SPEC_OPTIONS } from '../utils/clubSpecs';
+
+const FIELD_LABELS = {
+  length: 'Length',
+  lie: 'Lie',
+};
+
+export function ClubSpecsTable({ field }) {
+  const enabled = advancedSpecsEnabled.value;
+
+  const handleToggle = async (event) => {
+    try {
+      await actions.setAdvancedSpecs(event.currentTarget.checked);
+    } catch (toggleError) {
+      Logger.error('ClubSpecsTable: Error toggling advanced specs', toggleError);
+    }
+  };
+
+  const handleChange = async (clubId, value) => {
+    try {
+      await actions.setClubSpec(clubId, field, value);
+    } catch (specError) {
+      actions.setError(specError.message);
+    }
+  };
+
+  return (
+    <div className='mt-3'>
+      <label className='flex items-center gap-2 text-sm font-medium text-foreground cursor-pointer'>
+        <input type='checkbox' checked={enabled} onChange={handleToggle} className='h-4 w-4 accent-black' />
+        Advanced specs - set {FIELD_LABELS[field].toLowerCase()} per club
+      </label>
+
+      {enabled && (
+        <div className='mt-3 border rounded-lg divide-y'>
+          {clubSpecs.value.map((spec) => (
+            <div key={spec.club.id} className='flex items-center justify-between gap-4 p-2'>
+              <span className='text-sm font-medium text-foreground'>{spec.club.name}</span>
+              <div className='w-40'>
+                <SelectRoot value={spec[field]} onValueChange={(value) => handleChange(spec.club.id, value)}>
+                  {({ value, open, setOpen, onValueChange, onKeyDown }) => (
+                    <>
+                      <SelectTrigger value={value} open={open} setOpen={setOpen} onKeyDown={onKeyDown}>
+                        <SelectValue placeholder={`${FIELD_LABELS[field]}...`} value={value} />
+                      </SelectTrigger>
+                      <SelectContent open={open}>
+                        {CLUB_SPEC_OPTIONS[field].map((option) => (
+                          <SelectItem key={option} value={option} selected={value === option} onValueChange={onValueChange}>
+                            <span>{option}</span>
+                          </SelectItem>
+                        ))}
+                      </SelectContent>
+                    </>
+                  )}
+                </SelectRoot>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,137 @@
+/**
+ * Fitting Wizard Component
+ * Guided fitting for customers who don't know their specs - takes four measurements and applies the
+ * recommended length, lie and flex from the fitting chart (utils/fitting.js)
+ */
+
+import { useState } from 'preact/hooks';
+import { Button } from './ui/button';
+import { actions, fittingRecommendation, isLoading, Logger } from '../store/golfStore';
+import { FITTING_RANGES, SWING_TEMPOS } from '../utils/fitting';
+import { cn } from '../lib/utils';
+
+const MEASUREMENT_FIELDS = [
+  { field: 'heightCm', unit: 'cm', hint: 'Without shoes' },
+  { field: 'wristToFloorCm', unit: 'cm', hint: 'Standing straight, arms relaxed, from the wrist crease to the floor' },
+  { field: 'carryYards', unit: 'yd', hint: 'Your typical 6-iron carry distance' },
+];
+
+const EMPTY_MEASUREMENTS = { heightCm: '', wristToFloorCm: '', carryYards: '', tempo: '' };
+
+export function FittingWizard() {
+  const [open, setOpen] = useState(false);
+  const [measurements, setMeasurements] = useState(EMPTY_MEASUREMENTS);
+
+  const recommendation = fittingRecommendation.value;
+
+  const setMeasurement = (field, value) => setMeasurements((current) => ({ ...current, [field]: value }));
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    try {
+      await actions.applyFitting({
+        heightCm: Number(measurements.heightCm),
+        wristToFloorCm: Number(measurements.wristToFloorCm),
+        carryYards: Number(measurements.carryYards),
+        tempo: measurements.tempo,
+      });
+      setOpen(false);
+    } catch (fittingError) {
+      Logger.error('FittingWizard: Error applying fitting', fittingError);
+      actions.setError(fittingError.message);
+    }
+  };
+
+  return (
+    <div className='mb-6 p-4 bg-card rounded-lg border'>
+      <div className='flex items-center justify-between gap-2'>
+        <div>
+          <h2 className='text-base font-bold text-foreground'>Not sure of your specs?</h2>
+          {recommendation ? (
+            <p className='text-sm text-muted-foreground'>
+              Recommended: length {recommendation.length}, lie {recommendation.lie}, {recommendation.flex} flex
+            </p>
+          ) : (
+            <p className='text-sm text-muted-foreground'>Answer four questions and we'll recommend length, lie and flex.</p>
+          )}
+        </div>
+        <Button
+          variant='outline'
+          size='sm'
+          onClick={() => setOpen(!open)}
+          className='text-black border-black hover:bg-black hover:text-white'
+        >
+          {open ? 'Close' : recommendation ? 'Refit' : 'Find my fit'}
+        </Button>
+      </div>
+
+      {open && (
+        <form className='mt-4 space-y-4' onSubmit={handleSubmit}>
+          {MEASUREMENT_FIELDS.map(({ field, unit, hint }) => {
+            const { min, max, label } = FITTING_RANGES[field];
+            return (
+              <label key={field} className='block text-sm'>
+                <span className='font-medium text-foreground'>
+                  {label} ({unit})
+                </span>
+                <input
+                  type='number'
+                  inputMode='decimal'
+                  min={min}
+                  max={max}
+                  step='any'
+                  required
+                  value={measurements[field]}
+                  onInput={(event) => setMeasurement(field, event.currentTarget.value)}
+                  className='mt-1 w-full h-9 rounded-md border border-input bg-background px-3 text-sm focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring'
+                />
+                <span className='text-muted-foreground'>{hint}</span>
+              </label>
+            );
+          })}
+
+          <div className='text-sm'>
+            <span className='font-medium text-foreground'>Swing tempo</span>
+            <div className='mt-1 flex gap-2'>
+              {SWING_TEMPOS.map((tempo) => (
+                <button
+                  key={tempo.id}
+                  type='button'
+                  onClick={() => setMeasurement('tempo', tempo.id)}
+                  className={cn(
+                    'h-9 px-4 rounded-full border-2 text-sm font-medium transition-all duration-200',
+                    measurements.tempo === tempo.id
+                      ? 'border-black bg-black text-white'
+                      : 'border-border bg-card text-card-foreground hover:border-muted-foreground hover:bg-muted'
+                  )}
+                >
+                  {tempo.name}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <Button
+            type='submit'
+            size='sm'
+            disabled={!measurements.tempo || isLoading.value}
+            className='bg-black hover:bg-black/90 text-white'
+          >
+            Apply recommended specs
+          </Button>
+        </form>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Marks the option the fitting wizard recommended
+ */
+export function RecommendedBadge({ className }) {
+  return (
+    <span className={cn('rounded-full bg-black px-2 py-0.5 text-xs font-medium text-white', className)}>
+      Recommended
+    </span>
+  );
+}
@@ -1,10 +1,16 @@
 import { useEffect, useState } from 'preact/hooks';
 import { Button } from './ui/button';
-import { ChevronRight } from 'lucide-react';
+import { ChevronRight, Link, Check } from 'lucide-react';
 import { SelectRoot, SelectTrigger, SelectValue, SelectContent, SelectItem } from './ui/select';
 import { ShaftPicker } from './ShaftPicker';
+import { GripPicker } from './GripPicker';
 import { StepIndicator } from './StepIndicator';
 import { ClubSelector } from './ClubSelector';
+import { HandNavigation } from './HandNavigation';
+import { PriceSummary } from './PriceSummary';
+import { SavedBuilds } from './SavedBuilds';
+import { ClubSpecsTable } from './ClubSpecsTable';
+import { FittingWizard, RecommendedBadge } from './FittingWizard';
 import {
   selectedClubs,
   selectedShaftBrand,
@@ -12,15 +18,25 @@ import {
   selectedShaftLength,
   selectedGrip,
   selectedLie,
+  fittingRecommendation,
   canAddToCart,
+  isClubSelectionValid,
+  isConfigurationComplete,
+  isSharedBuild,
+  canUndo,
+  canRedo,
+  editingBundle,
+  productMode,
   maxUnlockedStep,
   actions,
   error,
+  shaftFlexNotice,
   isLoading,
 } from '../store/golfStore';
-import { GRIP_DATA } from '../constants/defaults';
+import { PRODUCT_MODES, LIE_ADJUSTMENTS } from '../constants/defaults';
 import { getCurrentLeadTime } from '../utils/validation';
 import * as productService from '../services/ProductService';
+import APP_CONFIG from '../config/app';
 import { cn } from '../lib/utils';
 
 // All constants imported from single source of truth in constants/defaults.js
@@ -30,7 +46,9 @@ import { cn } from '../lib/utils';
  * Updated with new step-based UI design
  */
 export function GolfConfigurator() {
-  const [currentStep, setCurrentStep] = useState(0);
+  // Shared build links arrive complete - open straight on the Review step
+  const [currentStep, setCurrentStep] = useState(isSharedBuild ? 3 : 0);
+  const [linkCopied, setLinkCopied] = useState(false);
 
   // Simplified club toggle using store logic
   const toggleIron = (ironNumber) => {
@@ -47,7 +65,7 @@ export function GolfConfigurator() {
   // Removed old goToNextStep - replaced with handleNext
 
   const handleNext = async () => {
-    if (currentStep === 0 && selectedClubs.value.length >= 5) {
+    if (currentStep === 0 && isClubSelectionValid.value) {
       setCurrentStep(1);
     } else if (currentStep === 1) {
       // For now, allow progression from shaft step (ShaftPicker handles its own validation)
@@ -60,14 +78,48 @@ export function GolfConfigurator() {
     ) {
       setCurrentStep(3);
     } else if (currentStep === 3 && canAddToCart.value) {
-      // Trigger Add to Cart functionality
-      const success = await actions.addToCart();
-      if (success) {
-        // Could reset or show success message
+      // Trigger Add to Cart functionality - a failed add keeps the shopper on the review step with the reason
+      try {
+        await actions.addToCart();
+      } catch (addError) {
+        error.value = addError.message;
       }
     }
   };
 
+  const copyBuildLink = async () => {
+    try {
+      await actions.copyBuildLink();
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), APP_CONFIG.UI.toastDurationMs);
+    } catch (copyError) {
+      error.value = 'Could not copy the build link';
+    }
+  };
+
+  // Editing a cart bundle - jump to Review once its configuration has loaded
+  useEffect(() => {
+    if (editingBundle.value) setCurrentStep(3);
+  }, [editingBundle.value]);
+
+  // Undo / redo shortcuts - left to the browser while typing in a field
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey) || event.key.toLowerCase() !== 'z') return;
+      if (event.target.closest?.('input, textarea, select, [contenteditable="true"]')) return;
+
+      event.preventDefault();
+      if (event.shiftKey) {
+        actions.redo();
+      } else {
+        actions.undo();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
   const goToStep = (stepIndex) => {
     // Can only go to steps that are unlocked
     if (stepIndex <= maxUnlockedStep.value) {
@@ -109,6 +161,19 @@ export function GolfConfigurator() {
           />
         </div>
 
+        {/* Cart Edit Notice */}
+        {editingBundle.value && (
+          <div className='mb-4 p-3 border rounded-lg bg-muted flex items-center justify-between text-sm'>
+            <span>Editing a set from your cart - updating replaces it.</span>
+            <button
+              onClick={() => actions.cancelCartEdit()}
+              className='font-medium text-foreground underline hover:no-underline'
+            >
+              Add as new set
+            </button>
+          </div>
+        )}
+
         {/* Error Display */}
         {error.value && (
           <div className='mb-4 p-3 border border-red-200 bg-red-50 rounded-lg'>
@@ -119,6 +184,16 @@ export function GolfConfigurator() {
           </div>
         )}
 
+        {/* Sold-out flex notice - stays until a new flex is picked */}
+        {shaftFlexNotice.value && (
+          <div className='mb-4 p-3 border border-red-200 bg-red-50 rounded-lg'>
+            <div className='flex items-center text-red-600'>
+              <span className='text-xl mr-2'>⚠️</span>
+              <span>{shaftFlexNotice.value}</span>
+            </div>
+          </div>
+        )}
+
         {/* Loading Overlay */}
         {isLoading.value && (
           <div className='fixed inset-0 bg-black/20 flex items-center justify-center z-50'>
@@ -134,7 +209,9 @@ export function GolfConfigurator() {
         {/* Step Content */}
         {currentStep === 0 && (
           <div>
-            <ClubSelector selectedClubs={selectedClubs.value} onClubToggle={toggleIron} />
+            <HandNavigation />
+            <ClubSelector selectedClubs={selectedClubs.value} onClubToggle={toggleIron} mode={productMode.value} />
+            <FittingWizard />
             <div className='mb-6'>
               <h2 className='mb-3 text-base font-bold text-foreground'>Select Lie Adjustment</h2>
               <SelectRoot value={selectedLie.value} onValueChange={(lie) => actions.setLie(lie)}>
@@ -144,118 +221,24 @@ export function GolfConfigurator() {
                       <SelectValue placeholder='Select lie adjustment...' value={value} />
                     </SelectTrigger>
                     <SelectContent open={open}>
-                      {['Standard', '+1°', '+2°', '-1°', '-2°'].map((lie) => (
+                      {LIE_ADJUSTMENTS.map((lie) => (
                         <SelectItem key={lie} value={lie} selected={value === lie} onValueChange={onValueChange}>
                           <span>{lie}</span>
+                          {fittingRecommendation.value?.lie === lie && <RecommendedBadge className='ml-2' />}
                         </SelectItem>
                       ))}
                     </SelectContent>
                   </>
                 )}
               </SelectRoot>
+              <ClubSpecsTable field='lie' />
             </div>
           </div>
         )}
 
         {currentStep === 1 && <ShaftPicker />}
 
-        {currentStep === 2 && (
-          <>
-            {/* Grip Brand Selection */}
-            <div className='mb-6'>
-              <h2 className='mb-3 text-base font-bold text-foreground'>Select Grip Brand</h2>
-              <SelectRoot
-                value={selectedGrip.value?.brand || ''}
-                onValueChange={(brand) => {
-                  // Reset model and size when brand changes
-                  selectedGrip.value = { brand, model: '', size: '' };
-                }}
-              >
-                {({ value, open, setOpen, onValueChange, onKeyDown }) => (
-                  <>
-                    <SelectTrigger value={value} open={open} setOpen={setOpen} onKeyDown={onKeyDown}>
-                      <SelectValue placeholder='Choose a grip brand...' value={value} />
-                    </SelectTrigger>
-                    <SelectContent open={open}>
-                      {Object.keys(GRIP_DATA).map((brand) => (
-                        <SelectItem key={brand} value={brand} selected={value === brand} onValueChange={onValueChange}>
-                          <span className='font-medium'>{brand}</span>
-                        </SelectItem>
-                      ))}
-                    </SelectContent>
-                  </>
-                )}
-              </SelectRoot>
-            </div>
-
-            {/* Grip Model Selection */}
-            {selectedGrip.value?.brand && (
-              <div className='mb-6'>
-                <h2 className='mb-3 text-base font-bold text-foreground'>Select Grip Model</h2>
-                <SelectRoot
-                  value={selectedGrip.value?.model || ''}
-                  onValueChange={(model) => {
-                    selectedGrip.value = {
-                      ...selectedGrip.value,
-                      model,
-                      size: '', // Reset size when model changes
-                    };
-                  }}
-                >
-                  {({ value, open, setOpen, onValueChange, onKeyDown }) => (
-                    <>
-                      <SelectTrigger value={value} open={open} setOpen={setOpen} onKeyDown={onKeyDown}>
-                        <SelectValue placeholder='Choose a grip model...' value={value} />
-                      </SelectTrigger>
-                      <SelectContent open={open}>
-                        {GRIP_DATA[selectedGrip.value.brand]?.models.map((model) => (
-                          <SelectItem
-                            key={model}
-                            value={model}
-                            selected={value === model}
-                            onValueChange={onValueChange}
-                          >
-                            <span>{model}</span>
-                          </SelectItem>
-                        ))}
-                      </SelectContent>
-                    </>
-                  )}
-                </SelectRoot>
-              </div>
-            )}
-
-            {/* Grip Size Selection */}
-            {selectedGrip.value?.brand && (
-              <div className='mb-6'>
-                <h2 className='mb-3 text-base font-bold text-foreground'>Select Grip Size</h2>
-                <SelectRoot
-                  value={selectedGrip.value?.size || ''}
-                  onValueChange={(size) => {
-                    if (selectedGrip.value?.brand) {
-                      actions.setGrip(selectedGrip.value.brand, selectedGrip.value?.model || '', size);
-                    }
-                  }}
-                >
-                  {({ value, open, setOpen, onValueChange, onKeyDown }) => (
-                    <>
-                      <SelectTrigger value={value} open={open} setOpen={setOpen} onKeyDown={onKeyDown}>
-                        <SelectValue placeholder='Choose a grip size...' value={value} />
-                      </SelectTrigger>
-                      <SelectContent open={open}>
-                        {GRIP_DATA[selectedGrip.value.brand]?.sizes.map((size) => (
-                          <SelectItem key={size} value={size} selected={value === size} onValueChange={onValueChange}>
-                            <span>{size}</span>
-                          </SelectItem>
-                        ))}
-                      </SelectContent>
-                    </>
-                  )}
-                </SelectRoot>
-              </div>
-            )}
-          </>
-        )}
+        {currentStep === 2 && <GripPicker />}
 
         {currentStep === 3 && (
           <div className='mb-6'>
@@ -265,7 +248,13 @@ export function GolfConfigurator() {
               {/* Iron Selection */}
               <div className='flex items-center justify-between p-4 bg-card rounded-lg border'>
                 <div>
-                  <span className='text-sm text-muted-foreground'>Iron(s)</span>
+                  <span className='text-sm text-muted-foreground'>
+                    {productMode.value === PRODUCT_MODES.WEDGE_SET
+                      ? 'Wedge(s)'
+                      : productMode.value === PRODUCT_MODES.SINGLE_IRON
+                      ? 'Iron'
+                      : 'Iron(s)'}
+                  </span>
                   <p className='font-medium text-base'>
                     {selectedClubs.value.map((club) => (club.name.includes('PW') ? 'PW' : club.name)).join(', ') ||
                       'None selected'}
@@ -317,14 +306,28 @@ export function GolfConfigurator() {
                 </Button>
               </div>
             </div>
+
+            {/* Share Build */}
+            <Button
+              variant='outline'
+              onClick={copyBuildLink}
+              disabled={!isConfigurationComplete.value}
+              className='mt-3 w-full text-black border-black hover:bg-black hover:text-white'
+            >
+              {linkCopied ? <Check className='mr-2 h-4 w-4' /> : <Link className='mr-2 h-4 w-4' />}
+              {linkCopied ? 'Link copied' : 'Copy link'}
+            </Button>
           </div>
         )}
 
+        {/* Running Total */}
+        <PriceSummary />
+
         {/* Next/Add to Cart Button */}
         <Button
           className={cn(
             'mb-4 w-full h-12 text-base font-medium rounded-full transition-all duration-200',
-            (currentStep === 0 && selectedClubs.value.length >= 5) ||
+            (currentStep === 0 && isClubSelectionValid.value) ||
               (currentStep === 1 && selectedShaftFlex.value && selectedShaftLength.value) ||
               (currentStep === 2 &&
                 selectedGrip.value?.brand &&
@@ -336,7 +339,7 @@ export function GolfConfigurator() {
           )}
           onClick={handleNext}
           disabled={
-            (currentStep === 0 && selectedClubs.value.length < 5) ||
+            (currentStep === 0 && !isClubSelectionValid.value) ||
             (currentStep === 1 && (!selectedShaftFlex.value || !selectedShaftLength.value)) ||
             (currentStep === 2 &&
               (!selectedGrip.value?.brand || !selectedGrip.value?.model || !selectedGrip.value?.size)) ||
@@ -347,7 +350,7 @@ export function GolfConfigurator() {
           {isLoading.value ? (
             <>
               <div className='animate-spin h-4 w-4 border-2 border-white border-t-transparent rounded-full mr-2'></div>
-              Adding...
+              {editingBundle.value ? 'Updating...' : 'Adding...'}
             </>
           ) : (
             <>
@@ -357,18 +360,41 @@ export function GolfConfigurator() {
                 ? 'Next / Grip'
                 : currentStep === 2
                 ? 'Next / Review'
+                : editingBundle.value
+                ? 'Update Cart'
                 : 'Add to Cart'}
               <ChevronRight className='ml-2 h-4 w-4' />
             </>
           )}
         </Button>
 
+        {/* Saved Builds */}
+        <SavedBuilds onRestore={() => setCurrentStep(isConfigurationComplete.value ? 3 : 0)} />
+
         {/* Footer */}
         <div className='flex items-center justify-between'>
           <span>Estimated lead time is {getCurrentLeadTime(selectedShaftBrand.value)}.</span>
-          <button onClick={reset} className='font-medium text-foreground underline hover:no-underline'>
-            Reset
-          </button>
+          <div className='flex items-center gap-4'>
+            <button
+              onClick={() => actions.undo()}
+              disabled={!canUndo.value}
+              title='Undo (Ctrl+Z)'
+              className='font-medium text-foreground underline hover:no-underline disabled:opacity-40 disabled:no-underline'
+            >
+              Undo
+            </button>
+            <button
+              onClick={() => actions.redo()}
+              disabled={!canRedo.value}
+              title='Redo (Ctrl+Shift+Z)'
+              className='font-medium text-foreground underline hover:no-underline disabled:opacity-40 disabled:no-underline'
+            >
+              Redo
+            </button>
+            <button onClick={reset} className='font-medium text-foreground underline hover:no-underline'>
+              Reset
+            </button>
+          </div>
         </div>
       </div>
     </div>
@@ -0,0 +1,162 @@
+import { useState, useEffect } from 'preact/hooks';
+import { SelectRoot, SelectTrigger, SelectValue, SelectContent, SelectItem } from './ui/select';
+import { actions, selectedGrip, gripVariants, Logger } from '../store/golfStore';
+import * as gripService from '../services/GripService';
+import { PriceFormatter } from '../utils/formatters';
+
+const priceFormatter = new PriceFormatter();
+
+/**
+ * GripPicker Component
+ * Brand → model → size selection backed by Shopify grip products
+ */
+export function GripPicker() {
+  // State for API data (not user selections - those are in signals)
+  const [availableBrands, setAvailableBrands] = useState([]);
+  const [loadingBrands, setLoadingBrands] = useState(true);
+
+  const grip = selectedGrip.value;
+  const models = gripService.getGripModels(gripVariants.value);
+  const sizes = grip?.model ? gripService.getGripSizes(gripVariants.value, grip.model) : [];
+
+  // Load available brands on mount
+  useEffect(() => {
+    const loadBrands = async () => {
+      setLoadingBrands(true);
+      try {
+        const brands = await gripService.getAvailableBrands();
+        Logger.info(`GripPicker: Found ${brands.length} available brands`);
+        setAvailableBrands(brands);
+      } catch (error) {
+        Logger.error('GripPicker: Error loading brands', error);
+        setAvailableBrands([]);
+      } finally {
+        setLoadingBrands(false);
+      }
+    };
+
+    loadBrands();
+  }, []);
+
+  return (
+    <>
+      {/* Grip Brand Selection */}
+      <div className='mb-6'>
+        <h2 className='mb-3 text-base font-bold text-foreground'>Select Grip Brand</h2>
+
+        {loadingBrands ? (
+          <div className='flex items-center justify-center p-4 border rounded-lg'>
+            <div className='animate-spin h-4 w-4 border-2 border-primary border-t-transparent rounded-full mr-2'></div>
+            Loading available grips...
+          </div>
+        ) : availableBrands.length === 0 ? (
+          <div className='p-4 border border-yellow-200 bg-yellow-50 rounded-lg'>
+            <div className='flex items-center text-yellow-800'>
+              <span className='text-xl mr-2'>⚠️</span>
+              <div>
+                <div className='font-medium'>No grips available</div>
+                <div className='text-sm'>
+                  No grip products configured in theme settings. Please configure grip products in the theme editor.
+                </div>
+              </div>
+            </div>
+          </div>
+        ) : (
+          <SelectRoot
+            value={grip?.brand || ''}
+            onValueChange={(brand) => {
+              // Reset model and size when brand changes
+              actions.setGrip(brand, '', '');
+            }}
+          >
+            {({ value, open, setOpen, onValueChange, onKeyDown }) => (
+              <>
+                <SelectTrigger value={value} open={open} setOpen={setOpen} onKeyDown={onKeyDown}>
+                  <SelectValue placeholder='Choose a grip brand...' value={value} />
+                </SelectTrigger>
+                <SelectContent open={open}>
+                  {availableBrands.map((brand) => (
+                    <SelectItem key={brand} value={brand} selected={value === brand} onValueChange={onValueChange}>
+                      <span className='font-medium'>{brand}</span>
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </>
+            )}
+          </SelectRoot>
+        )}
+      </div>
+
+      {/* Grip Model Selection */}
+      {grip?.brand && models.length > 0 && (
+        <div className='mb-6'>
+          <h2 className='mb-3 text-base font-bold text-foreground'>Select Grip Model</h2>
+          <SelectRoot
+            value={grip?.model || ''}
+            onValueChange={(model) => {
+              // Reset size when model changes
+              actions.setGrip(selectedGrip.value.brand, model, '');
+            }}
+          >
+            {({ value, open, setOpen, onValueChange, onKeyDown }) => (
+              <>
+                <SelectTrigger value={value} open={open} setOpen={setOpen} onKeyDown={onKeyDown}>
+                  <SelectValue placeholder='Choose a grip model...' value={value} />
+                </SelectTrigger>
+                <SelectContent open={open}>
+                  {models.map((model) => (
+                    <SelectItem key={model} value={model} selected={value === model} onValueChange={onValueChange}>
+                      <span>{model}</span>
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </>
+            )}
+          </SelectRoot>
+        </div>
+      )}
+
+      {/* Grip Size Selection */}
+      {grip?.model && sizes.length > 0 && (
+        <div className='mb-6'>
+          <h2 className='mb-3 text-base font-bold text-foreground'>Select Grip Size</h2>
+          <SelectRoot
+            value={grip?.size || ''}
+            onValueChange={(size) => {
+              if (selectedGrip.value?.brand) {
+                actions.setGrip(selectedGrip.value.brand, selectedGrip.value?.model || '', size);
+              }
+            }}
+          >
+            {({ value, open, setOpen, onValueChange, onKeyDown }) => (
+              <>
+                <SelectTrigger value={value} open={open} setOpen={setOpen} onKeyDown={onKeyDown}>
+                  <SelectValue placeholder='Choose a grip size...' value={value} />
+                </SelectTrigger>
+                <SelectContent open={open}>
+                  {sizes.map((option) => (
+                    <SelectItem
+                      key={option.size}
+                      value={option.size}
+                      selected={value === option.size}
+                      onValueChange={onValueChange}
+                      disabled={!option.available}
+                      className={!option.available ? 'opacity-50 cursor-not-allowed' : undefined}
+                    >
+                      <div className='flex items-center justify-between'>
+                        <span>{option.size}</span>
+                        <span className='text-muted-foreground'>
+                          {option.available ? `${priceFormatter.formatCurrency(option.price)} each` : 'Sold out'}
+                        </span>
+                      </div>
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </>
+            )}
+          </SelectRoot>
+        </div>
+      )}
+    </>
+  );
+}
@@ -1,12 +1,15 @@
 import { useState, useEffect } from 'preact/hooks';
-import { getProductHandAndVariations, getHandVariationUrl } from '../utils/dataAttributes';
+import { getProductHandAndVariations, getHandVariationUrl } from '../utils/themeConfig';
 import { HAND_OPTIONS } from '../constants/defaults';
+import { actions } from '../store/golfStore';
 import { cn } from '../lib/utils';
 
 /**
  * HandNavigation Component
  * Handles navigation between left and right-handed product variations
  * Uses product metafields to determine current hand and available variations
+ * Switching carries the configuration over to the other hand's page (see utils/handHandoff.js);
+ * hidden when the product is only made for one hand
  */
 export function HandNavigation() {
   const [currentHand, setCurrentHand] = useState('Right Handed');
@@ -19,8 +22,8 @@ export function HandNavigation() {
       setCurrentHand(hand);
       setHandLinks(links);
     } catch (error) {
-      console.error('Failed to load product hand data:', error);
-      // Fallback to default state
+      // No usable hand metafield - the toggle stays hidden (missing links alone come back as empty handLinks)
+      console.warn('Hand switch unavailable:', error.message);
       setCurrentHand('Right Handed');
       setHandLinks({});
     } finally {
@@ -40,6 +43,17 @@ export function HandNavigation() {
     );
   }
 
+  const handleSwitch = async (event, hand) => {
+    event.preventDefault();
+    try {
+      await actions.switchHand(hand);
+    } catch (switchError) {
+      actions.setError(switchError.message);
+    }
+  };
+
+  if (Object.keys(handLinks).length === 0) return null;
+
   return (
     <div className='mb-6'>
       <h2 className='mb-3 text-base font-bold text-foreground'>Hand Preference</h2>
@@ -58,7 +72,7 @@ export function HandNavigation() {
                   ? 'bg-black text-white cursor-default'
                   : 'bg-card text-card-foreground border border-border hover:bg-muted hover:text-foreground'
               )}
-              onClick={isCurrentHand ? (e) => e.preventDefault() : undefined}
+              onClick={isCurrentHand ? (e) => e.preventDefault() : (e) => handleSwitch(e, hand.id)}
               aria-label={isCurrentHand ? `Current selection: ${hand.name}` : `Switch to ${hand.name}`}
             >
               {hand.name}
@@ -0,0 +1,55 @@
+/**
+ * Price Summary Component
+ * Running total with a line-by-line breakdown driven by the pricing signals
+ */
+
+import {
+  productMode,
+  setType,
+  clubCount,
+  ironVariant,
+  selectedShaftVariant,
+  selectedGripVariant,
+  basePrice,
+  shaftSubtotal,
+  gripSubtotal,
+  totalPrice,
+} from '../store/golfStore';
+import { CLUB_CATALOGUES } from '../constants/defaults';
+import { PriceFormatter } from '../utils/formatters';
+
+const priceFormatter = new PriceFormatter();
+
+export function PriceSummary() {
+  const shaft = selectedShaftVariant.value;
+  const grip = selectedGripVariant.value;
+
+  return (
+    <div className='mb-4 p-4 bg-card rounded-lg border'>
+      <div className='space-y-1 text-sm text-muted-foreground'>
+        <div className='flex items-center justify-between'>
+          <span>
+            {setType.value} {CLUB_CATALOGUES[productMode.value].setLabel}
+          </span>
+          <span>{ironVariant.value ? priceFormatter.formatCurrency(basePrice.value) : '—'}</span>
+        </div>
+        <div className='flex items-center justify-between'>
+          <span>
+            {shaft
+              ? `${shaft.displayName || shaft.title} × ${clubCount.value}`
+              : `Shafts × ${clubCount.value}`}
+          </span>
+          <span>{shaft ? priceFormatter.formatCurrency(shaftSubtotal.value) : 'Not selected'}</span>
+        </div>
+        <div className='flex items-center justify-between'>
+          <span>{grip ? `${grip.displayName} × ${clubCount.value}` : `Grips × ${clubCount.value}`}</span>
+          <span>{grip ? priceFormatter.formatCurrency(gripSubtotal.value) : 'Not selected'}</span>
+        </div>
+      </div>
+      <div className='mt-3 pt-3 border-t flex items-center justify-between'>
+        <span className='text-base font-bold text-foreground'>Total</span>
+        <span className='text-base font-bold text-foreground'>{priceFormatter.formatCurrency(totalPrice.value)}</span>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,93 @@
+/**
+ * Saved Builds Component
+ * Save the current configuration under a name and restore or delete previously saved builds
+ */
+
+import { useState } from 'preact/hooks';
+import { Trash2 } from 'lucide-react';
+import { Button } from './ui/button';
+import { actions, savedBuilds, productMode, isLoading, Logger } from '../store/golfStore';
+
+const dateFormatter = new Intl.DateTimeFormat('en-GB', { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' });
+
+export function SavedBuilds({ onRestore }) {
+  const [name, setName] = useState('');
+
+  const builds = savedBuilds.value.filter((build) => build.mode === productMode.value);
+
+  const handleSave = async (event) => {
+    event.preventDefault();
+    try {
+      await actions.saveBuild(name);
+      setName('');
+    } catch (saveError) {
+      Logger.error('SavedBuilds: Error saving build', saveError);
+    }
+  };
+
+  const handleRestore = async (id) => {
+    try {
+      const result = await actions.restoreSavedBuild(id);
+      onRestore?.(result);
+    } catch (restoreError) {
+      actions.setError(restoreError.message);
+    }
+  };
+
+  return (
+    <div className='mb-4 p-4 bg-card rounded-lg border'>
+      <h2 className='mb-3 text-base font-bold text-foreground'>My Saved Builds</h2>
+
+      <form className='flex gap-2' onSubmit={handleSave}>
+        <input
+          type='text'
+          value={name}
+          onInput={(event) => setName(event.currentTarget.value)}
+          placeholder='Name this build...'
+          maxLength={40}
+          className='flex-1 h-9 rounded-md border border-input bg-background px-3 text-sm focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring'
+        />
+        <Button
+          type='submit'
+          size='sm'
+          disabled={!name.trim() || isLoading.value}
+          className='bg-black hover:bg-black/90 text-white'
+        >
+          Save
+        </Button>
+      </form>
+
+      {builds.length > 0 && (
+        <ul className='mt-3 space-y-2'>
+          {builds.map((build) => (
+            <li key={build.id} className='flex items-center justify-between gap-2 text-sm'>
+              <div className='min-w-0'>
+                <p className='font-medium truncate'>{build.name}</p>
+                <p className='text-muted-foreground'>Saved {dateFormatter.format(new Date(build.timestamp))}</p>
+              </div>
+              <div className='flex items-center gap-2'>
+                <Button
+                  variant='outline'
+                  size='sm'
+                  onClick={() => handleRestore(build.id)}
+                  disabled={isLoading.value}
+                  className='text-black border-black hover:bg-black hover:text-white'
+                >
+                  Restore
+                </Button>
+                <Button
+                  variant='ghost'
+                  size='sm'
+                  onClick={() => actions.deleteSavedBuild(build.id)}
+                  aria-label={`Delete ${build.name}`}
+                >
+                  <Trash2 className='h-4 w-4' />
+                </Button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -1,18 +1,29 @@
 import { useState, useEffect } from 'preact/hooks';
 import { Check } from 'lucide-react';
 import { SelectRoot, SelectTrigger, SelectValue, SelectContent, SelectItem } from './ui/select';
+import { Tooltip } from './ui/tooltip';
 import {
   actions,
   selectedShaftBrand,
+  selectedShaftMaterial,
   selectedShaftFlex,
   selectedShaftLength,
+  clubCount,
   isLoading,
+  fittingRecommendation,
   Logger
 } from '../store/golfStore';
 import { SHAFT_LENGTHS } from '../constants/defaults';
+import { ClubSpecsTable } from './ClubSpecsTable';
+import { RecommendedBadge } from './FittingWizard';
+import { matchesFlex } from '../utils/fitting';
 import * as shaftService from '../services/ShaftService';
+import { validateShaftAvailability } from '../utils/validation';
+import { PriceFormatter } from '../utils/formatters';
 import { cn } from '../lib/utils';
 
+const priceFormatter = new PriceFormatter();
+
 /**
  * ShaftPicker Component
  * Clean architecture using direct signals like other components
@@ -26,8 +37,10 @@ export function ShaftPicker() {
 
   // Direct signal access (like other components)
   const brand = selectedShaftBrand.value;
+  const material = selectedShaftMaterial.value;
   const flex = selectedShaftFlex.value;
   const length = selectedShaftLength.value;
+  const recommendation = fittingRecommendation.value;
 
 
   // Load available brands on mount
@@ -38,12 +51,6 @@ export function ShaftPicker() {
         const brands = await shaftService.getAvailableBrands();
         Logger.info(`ShaftPicker: Found ${brands.length} available brands`);
         setAvailableBrands(brands);
-
-        // If we have a persisted brand, load its options
-        if (brand && brands.includes(brand)) {
-          Logger.info(`ShaftPicker: Auto-loading options for persisted brand: ${brand}`);
-          await loadShaftOptionsForBrand(brand);
-        }
       } catch (error) {
         Logger.error('ShaftPicker: Error loading brands', error);
         setAvailableBrands([]);
@@ -70,28 +77,38 @@ export function ShaftPicker() {
     }
   };
 
-  // Brand change handler - clean and simple
-  const handleBrandChange = async (selectedBrand) => {
-    await actions.setShaftBrand(selectedBrand);
-
-    if (selectedBrand) {
-      await loadShaftOptionsForBrand(selectedBrand);
+  // Load shaft options whenever the brand changes - persisted, picked, undone or restored
+  useEffect(() => {
+    if (brand) {
+      loadShaftOptionsForBrand(brand);
     } else {
       setShaftOptions([]);
     }
+  }, [brand]);
+
+  // Brand change handler - clean and simple
+  const handleBrandChange = async (selectedBrand) => {
+    await actions.setShaftBrand(selectedBrand);
   };
 
-  // Get flex options from loaded shaft data
+  // Material pills only appear when the brand offers both Steel and Graphite
+  const materials = shaftService.getShaftMaterials(shaftOptions);
+  const requiresMaterial = materials.length > 1;
+  const showFlexOptions = brand && shaftOptions.length > 0 && !loadingShafts && (!requiresMaterial || material);
+
+  // Get flex options from loaded shaft data, filtered by material
   const getFlexOptions = () => {
     if (!shaftOptions.length) return [];
 
-    return shaftOptions.map((option) => ({
-      flex: option.title,
-      price: option.price || 0,
-      option: option,
-      variantId: option.id,
-      available: option.available,
-    }));
+    return shaftOptions
+      .filter((option) => !requiresMaterial || option.material === material)
+      .map((option) => ({
+        flex: option.flex,
+        price: option.price || 0,
+        option: option,
+        variantId: option.id,
+        available: option.available,
+      }));
   };
 
   return (
@@ -145,58 +162,96 @@ export function ShaftPicker() {
         )}
       </div>
 
-      {/* Flex Selection */}
-      {brand && shaftOptions.length > 0 && !loadingShafts && (
+      {/* Material Selection */}
+      {brand && requiresMaterial && !loadingShafts && (
         <div className='mb-6'>
-          <h2 className='mb-3 text-base font-bold text-foreground'>Select Flex</h2>
-          <div className='grid grid-cols-3 gap-4'>
-            {getFlexOptions().map((option) => (
+          <h2 className='mb-3 text-base font-bold text-foreground'>Select Material</h2>
+          <div className='flex gap-3'>
+            {materials.map((materialOption) => (
               <button
-                key={option.flex}
-                onClick={() => actions.setShaftFlex(option.flex)}
+                key={materialOption}
+                onClick={() => actions.setShaftMaterial(materialOption)}
                 className={cn(
-                  'group relative h-16 w-full rounded-lg border-2 transition-all duration-200 ease-in-out',
-                  'flex flex-col items-center justify-center text-base font-semibold',
-                  'hover:shadow-lg hover:-translate-y-1',
-                  flex === option.flex
-                    ? 'border-black bg-black/10 shadow-md shadow-black/20'
-                    : 'border-border bg-card hover:border-muted-foreground hover:bg-muted'
+                  'h-10 px-6 rounded-full border-2 text-base font-medium transition-all duration-200',
+                  material === materialOption
+                    ? 'border-black bg-black text-white'
+                    : 'border-border bg-card text-card-foreground hover:border-muted-foreground hover:bg-muted'
                 )}
               >
-                <span
-                  className={cn(
-                    'transition-colors duration-200 mb-1',
-                    flex === option.flex ? 'text-black' : 'text-card-foreground group-hover:text-foreground'
-                  )}
-                >
-                  {option.flex}
-                </span>
-                <span
-                  className={cn(
-                    'text-sm transition-colors duration-200',
-                    flex === option.flex ? 'text-black/70' : 'text-muted-foreground'
-                  )}
-                >
-                  £{(option.price / 100).toFixed(2)}
-                </span>
-
-                {flex === option.flex && (
-                  <div className='absolute -top-2 -right-2 h-6 w-6 rounded-full bg-black flex items-center justify-center shadow-lg'>
-                    <Check className='h-3.5 w-3.5 text-white' strokeWidth={3} />
-                  </div>
-                )}
-
-                {flex === option.flex && (
-                  <div className='absolute inset-0 rounded-lg bg-black/5 ring-1 ring-black/20' />
-                )}
+                {materialOption}
               </button>
             ))}
           </div>
         </div>
       )}
 
+      {/* Flex Selection */}
+      {showFlexOptions && (
+        <div className='mb-6'>
+          <h2 className='mb-3 text-base font-bold text-foreground'>Select Flex</h2>
+          <div className='grid grid-cols-3 gap-4'>
+            {getFlexOptions().map((option) => {
+              const availability = validateShaftAvailability(option.option, clubCount.value);
+              const isBlocked = !availability.valid;
+              const isSelected = flex === option.flex;
+
+              return (
+                <Tooltip key={option.flex} content={isBlocked && !availability.soldOut ? availability.reason : null}>
+                  <button
+                    onClick={() => actions.setShaftFlex(option.flex)}
+                    disabled={isBlocked}
+                    className={cn(
+                      'group relative h-16 w-full rounded-lg border-2 transition-all duration-200 ease-in-out',
+                      'flex flex-col items-center justify-center text-base font-semibold',
+                      isBlocked
+                        ? 'border-dashed border-border bg-muted opacity-60 cursor-not-allowed'
+                        : isSelected
+                        ? 'border-black bg-black/10 shadow-md shadow-black/20 hover:shadow-lg hover:-translate-y-1'
+                        : 'border-border bg-card hover:border-muted-foreground hover:bg-muted hover:shadow-lg hover:-translate-y-1'
+                    )}
+                  >
+                    <span
+                      className={cn(
+                        'transition-colors duration-200 mb-1',
+                        isSelected ? 'text-black' : 'text-card-foreground group-hover:text-foreground'
+                      )}
+                    >
+                      {option.flex}
+                    </span>
+                    <span
+                      className={cn(
+                        'text-sm transition-colors duration-200',
+                        isSelected ? 'text-black/70' : 'text-muted-foreground'
+                      )}
+                    >
+                      {availability.soldOut
+                        ? 'Sold out'
+                        : isBlocked
+                        ? 'Low stock'
+                        : priceFormatter.formatCurrency(option.price)}
+                    </span>
+
+                    {recommendation && matchesFlex(option.flex, recommendation.flex) && (
+                      <RecommendedBadge className='absolute -top-2 -left-2' />
+                    )}
+
+                    {isSelected && (
+                      <div className='absolute -top-2 -right-2 h-6 w-6 rounded-full bg-black flex items-center justify-center shadow-lg'>
+                        <Check className='h-3.5 w-3.5 text-white' strokeWidth={3} />
+                      </div>
+                    )}
+
+                    {isSelected && <div className='absolute inset-0 rounded-lg bg-black/5 ring-1 ring-black/20' />}
+                  </button>
+                </Tooltip>
+              );
+            })}
+          </div>
+        </div>
+      )}
+
       {/* Shaft Length Selection */}
-      {brand && shaftOptions.length > 0 && !loadingShafts && (
+      {showFlexOptions && (
         <div className='mb-6'>
           <h2 className='mb-3 text-base font-bold text-foreground'>Select Shaft Length</h2>
           <SelectRoot value={length} onValueChange={(length) => actions.setShaftLength(length)}>
@@ -209,12 +264,14 @@ export function ShaftPicker() {
                   {SHAFT_LENGTHS.map((lengthOption) => (
                     <SelectItem key={lengthOption} value={lengthOption} selected={value === lengthOption} onValueChange={onValueChange}>
                       <span>{lengthOption}</span>
+                      {recommendation?.length === lengthOption && <RecommendedBadge className='ml-2' />}
                     </SelectItem>
                   ))}
                 </SelectContent>
               </>
             )}
           </SelectRoot>
+          <ClubSpecsTable field='length' />
         </div>
       )}
 
@@ -31,7 +31,20 @@ export const APP_CONFIG = {
   PERSISTENCE: {
     enabled: import.meta.env.VITE_DISABLE_PERSISTENCE !== 'true',
     debounceMs: parseInt(import.meta.env.VITE_PERSISTENCE_DEBOUNCE || '300'),
-    maxAge: parseInt(import.meta.env.VITE_STATE_MAX_AGE || '604800000') // 7 days
+    maxAge: parseInt(import.meta.env.VITE_STATE_MAX_AGE || '604800000'), // 7 days
+    maxSavedBuilds: parseInt(import.meta.env.VITE_MAX_SAVED_BUILDS || '10'),
+    handHandoffMaxAge: parseInt(import.meta.env.VITE_HAND_HANDOFF_MAX_AGE || '300000') // 5 minutes
+  },
+
+  // Inventory re-checks
+  INVENTORY: {
+    recheckOnFocus: import.meta.env.VITE_INVENTORY_RECHECK_ON_FOCUS !== 'false',
+    minRecheckIntervalMs: parseInt(import.meta.env.VITE_INVENTORY_RECHECK_MS || '30000')
+  },
+
+  // Undo / redo history
+  HISTORY: {
+    maxEntries: parseInt(import.meta.env.VITE_HISTORY_MAX_ENTRIES || '50')
   },
 
   // Feature Flags
@@ -41,12 +54,9 @@ export const APP_CONFIG = {
     errorBoundary: import.meta.env.VITE_ERROR_BOUNDARY !== 'false'
   },
 
-  // Business Rules
+  // Business Rules - club counts, locked clubs and dependencies are per mode in constants/defaults.js
   BUSINESS: {
-    minClubCount: 5,
-    maxClubCount: 7,
-    defaultLie: 'Standard',
-    requiredClubs: ['6', '7', '8', '9', 'PW']
+    defaultLie: 'Standard'
   },
 
   // UI Settings
@@ -57,24 +67,6 @@ export const APP_CONFIG = {
   }
 };
 
-// Validate configuration on load
-function validateConfig() {
-  const errors = [];
-
-  if (!APP_CONFIG.BUSINESS.minClubCount || APP_CONFIG.BUSINESS.minClubCount < 1) {
-    errors.push('Invalid minClubCount');
-  }
-
-  if (APP_CONFIG.BUSINESS.maxClubCount < APP_CONFIG.BUSINESS.minClubCount) {
-    errors.push('maxClubCount must be >= minClubCount');
-  }
-
-  if (errors.length > 0) {
-    console.error('❌ CONFIG: Configuration validation failed:', errors);
-    throw new Error(`Configuration validation failed: ${errors.join(', ')}`);
-  }
-}
-
 // Development configuration info
 if (APP_CONFIG.ENV.isDevelopment) {
   console.group('🔧 APP CONFIG:');
@@ -85,7 +77,4 @@ if (APP_CONFIG.ENV.isDevelopment) {
   console.groupEnd();
 }
 
-// Validate configuration
-validateConfig();
-
 export default APP_CONFIG;
\ No newline at end of file
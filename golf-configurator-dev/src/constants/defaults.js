@@ -3,21 +3,19 @@
  * Single source of truth for default state values
  */
 
+import { PRODUCT_MODES, IRON_CLUBS, WEDGE_CLUBS, CLUB_RULES } from '../../../golf-configurator/shared/club-rules.js';
+
+// Product modes and the club catalogues live in the app's shared club rules, so the cart transformer,
+// cart validation and build sheet name and check clubs the same way the configurator offers them
+export { PRODUCT_MODES, WEDGE_CLUBS };
+
 // Hand options for navigation (not configuration - determines product links)
 export const HAND_OPTIONS = [
   { id: 'Right Handed', name: 'Right Hand' },
   { id: 'Left Handed', name: 'Left Hand' },
 ];
 
-export const AVAILABLE_CLUBS = [
-  { id: '4', name: '4-Iron', type: 'iron', isRequired: false, isOptional: true },
-  { id: '5', name: '5-Iron', type: 'iron', isRequired: false, isOptional: true },
-  { id: '6', name: '6-Iron', type: 'iron', isRequired: true, isOptional: false },
-  { id: '7', name: '7-Iron', type: 'iron', isRequired: true, isOptional: false },
-  { id: '8', name: '8-Iron', type: 'iron', isRequired: true, isOptional: false },
-  { id: '9', name: '9-Iron', type: 'iron', isRequired: true, isOptional: false },
-  { id: 'PW', name: 'Pitching Wedge', type: 'wedge', isRequired: true, isOptional: false },
-];
+export const AVAILABLE_CLUBS = IRON_CLUBS;
 
 const DEFAULT_CLUB_IDS = ['6', '7', '8', '9', 'PW'];
 export const DEFAULT_CLUBS = AVAILABLE_CLUBS.filter((club) => DEFAULT_CLUB_IDS.includes(club.id));
@@ -42,6 +40,12 @@ export const SHAFT_LENGTHS = [
   '+2"',
 ];
 
+// Lie angle adjustments offered on the club step
+export const LIE_ADJUSTMENTS = ['Standard', '+1°', '+2°', '-1°', '-2°'];
+
+// Shaft materials - derived from variant options or product tags
+export const SHAFT_MATERIALS = ['Steel', 'Graphite'];
+
 export const CONFIGURATOR_STEPS = [
   { name: 'Club', active: true },
   { name: 'Shaft', active: false },
@@ -49,32 +53,36 @@ export const CONFIGURATOR_STEPS = [
   { name: 'Review', active: false },
 ];
 
-export const IRON_NUMBERS = ['4', '5', '6', '7', '8', '9', 'P'];
+export const IRON_NUMBERS = AVAILABLE_CLUBS.map((club) => club.id);
 
-// Club business rules
-export const REQUIRED_CLUBS = ['6', '7', '8', '9', 'PW'];
-export const OPTIONAL_CLUBS = ['4', '5'];
-export const CLUB_BUSINESS_RULES = {
-  // 4-iron requires 5-iron
-  dependencies: {
-    4: ['5'],
-  },
-  // Required clubs cannot be deselected
-  locked: REQUIRED_CLUBS.map((id) => (id === 'PW' ? 'P' : id)),
-};
+export const DEFAULT_WEDGES = [...WEDGE_CLUBS];
+
+export const WEDGE_NUMBERS = WEDGE_CLUBS.map((club) => club.id);
+
+const DEFAULT_SINGLE_IRON = AVAILABLE_CLUBS.filter((club) => club.id === '7');
 
-export const GRIP_DATA = {
-  'Golf Pride': {
-    models: ['Tour Velvet', 'MCC', 'MCC Plus4'],
-    sizes: ['Standard', 'Midsize', 'Jumbo'],
+// Club catalogue per product mode - rules come from the shared club rules (read by utils/clubRules.js)
+export const CLUB_CATALOGUES = {
+  [PRODUCT_MODES.IRON_SET]: {
+    clubs: AVAILABLE_CLUBS,
+    defaultClubs: DEFAULT_CLUBS,
+    clubNumbers: IRON_NUMBERS,
+    setLabel: 'Iron Set',
+    rules: CLUB_RULES[PRODUCT_MODES.IRON_SET],
   },
-  Lamkin: {
-    models: ['Crossline', 'UTx', 'ST Soft'],
-    sizes: ['Standard', 'Midsize', 'Jumbo'],
+  [PRODUCT_MODES.WEDGE_SET]: {
+    clubs: WEDGE_CLUBS,
+    defaultClubs: DEFAULT_WEDGES,
+    clubNumbers: WEDGE_NUMBERS,
+    setLabel: 'Wedge Set',
+    rules: CLUB_RULES[PRODUCT_MODES.WEDGE_SET],
   },
-  Winn: {
-    models: ['DriTac', 'Excel', 'Grips Wrap'],
-    sizes: ['Standard', 'Midsize'],
+  [PRODUCT_MODES.SINGLE_IRON]: {
+    clubs: AVAILABLE_CLUBS,
+    defaultClubs: DEFAULT_SINGLE_IRON,
+    clubNumbers: IRON_NUMBERS,
+    setLabel: 'Single Iron',
+    rules: CLUB_RULES[PRODUCT_MODES.SINGLE_IRON],
   },
 };
 
@@ -91,6 +99,9 @@ export const DEFAULT_STATE_VALUES = {
   selectedGrip: null,
   selectedLie: 'Standard',
   selectedShaftBrand: '',
+  selectedShaftMaterial: '',
   selectedShaftFlex: '',
   selectedShaftLength: 'Standard',
+  // Advanced specs: club ID → { length, lie } overrides, empty when the set-wide values apply to every club
+  perClubSpecs: {},
 };
@@ -0,0 +1,71 @@
+/**
+ * Theme config fixtures for storefront tests
+ * Mirrors the #golf-configurator-config payload the theme block renders
+ */
+
+import { THEME_CONFIG_SCRIPT_ID } from '../utils/themeConfig.js';
+
+export const HAND_LINKS = {
+  'right-handed': '/products/origin-combo-rh',
+  'left-handed': '/products/origin-combo-lh',
+};
+
+const DEFAULTS = {
+  parentProduct: {
+    handle: 'golf-bundle-parent',
+    variants: [
+      { id: 40000000000001, option1: '4-PW' },
+      { id: 40000000000002, option1: '5-PW' },
+      { id: 40000000000003, option1: '6-PW' },
+    ],
+  },
+  shaftProducts: [
+    {
+      id: 8900000000001,
+      title: 'KBS Tour Lite',
+      handle: 'kbs-tour-lite',
+      tags: ['Steel'],
+      variants: [
+        { id: 55509863334212, title: 'Regular', price: 15000, available: true, option1: 'Regular' },
+        { id: 55509863334213, title: 'Stiff', price: 15000, available: true, option1: 'Stiff' },
+      ],
+    },
+  ],
+  gripProducts: [
+    {
+      id: 8900000000002,
+      title: 'Golf Pride Grips',
+      vendor: 'Golf Pride',
+      handle: 'golf-pride-grips',
+      variants: [
+        { id: 55510000000000, title: 'Tour Velvet / Standard', price: 899, available: true, option1: 'Tour Velvet', option2: 'Standard' },
+        { id: 55510000000001, title: 'Tour Velvet / Midsize', price: 899, available: true, option1: 'Tour Velvet', option2: 'Midsize' },
+      ],
+    },
+  ],
+  currentHand: 'right-handed',
+  handLinks: HAND_LINKS,
+  mode: 'iron_set',
+  locale: 'en-GB',
+  currency: 'GBP',
+};
+
+/**
+ * Builds a theme config payload
+ * @param {Object} overrides - Fields to replace
+ * @returns {Object} Theme config
+ */
+export function themeConfig(overrides = {}) {
+  return { ...DEFAULTS, ...overrides };
+}
+
+/**
+ * Renders the theme config script into the page
+ * The payload is cached per module load - call vi.resetModules() before re-importing to read a new one
+ * @param {Object} config - Theme config payload
+ */
+export function renderThemeConfig(config) {
+  document.body.innerHTML = `<script type="application/json" id="${THEME_CONFIG_SCRIPT_ID}">${JSON.stringify(
+    config
+  )}</script>`;
+}
@@ -1,5 +1,7 @@
 import { render } from 'preact';
 import { GolfConfigurator } from './components/GolfConfigurator';
+import { validateThemeConfig } from './utils/themeConfig';
+import APP_CONFIG from './config/app.js';
 import './styles.css'; // Import global styles
 
 /**
@@ -34,6 +36,14 @@ function initConfigurator() {
   }
 
   console.log('✅ Container found:', container);
+
+  // Report every theme configuration problem up front - each service still fails on its own field when read
+  if (APP_CONFIG.DATA.useRealData) {
+    const configErrors = validateThemeConfig();
+    if (configErrors.length > 0) {
+      console.error('❌ Theme configuration problems:', configErrors);
+    }
+  }
   console.log('🚀 Initializing Golf Configurator with Preact...');
   
   // Make container visible and clear existing content
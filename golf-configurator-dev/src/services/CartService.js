@@ -1,20 +1,26 @@
 /**
  * Cart Service
- * Handles adding golf configurations to cart following DRY architecture
+ * Handles adding golf configurations to cart and editing them in place following DRY architecture
  */
 
 import * as productService from './ProductService.js';
 import * as shaftService from './ShaftService.js';
-import { getParentVariantIdFromThemeSettings } from '../utils/dataAttributes.js';
+import * as gripService from './GripService.js';
+import { getParentVariantId } from '../utils/themeConfig.js';
 import { validateCompleteConfiguration } from '../utils/validation.js';
+import { resolveClubSpecs, serializeClubSpecs } from '../utils/clubSpecs.js';
 import { Logger } from '../utils/persistence.js';
 import { getCurrentHand } from '../store/golfStore.js';
 import APP_CONFIG from '../config/app.js';
+import { CLUB_CATALOGUES, PRODUCT_MODES } from '../constants/defaults.js';
 
 // ================================
 // CART ITEM BUILDERS
 // ================================
 
+// Club count for bundle summaries, e.g. "1 club", "6 clubs"
+const formatClubCount = (count) => `${count} ${count === 1 ? 'club' : 'clubs'}`;
+
 /**
  * Builds iron set cart item
  * @param {Object} config - Golf configuration
@@ -25,6 +31,8 @@ import APP_CONFIG from '../config/app.js';
  */
 function buildIronCartItem(config, bundleId, ironVariant, parentVariantId) {
   const currentHand = getCurrentHand(); // Get hand from metafields instead of config
+  const productMode = config.productMode || PRODUCT_MODES.IRON_SET;
+  const setLabel = CLUB_CATALOGUES[productMode].setLabel;
 
   return {
     id: ironVariant.id,
@@ -34,19 +42,29 @@ function buildIronCartItem(config, bundleId, ironVariant, parentVariantId) {
       _parentVariantId: parentVariantId,
       _component_type: 'main', // Set componentType for consistency
       _hand: currentHand,
-      _setSize: config.ironSetType,
+      _setSize: config.setType,
       _club_list: JSON.stringify(config.selectedClubs.map((club) => club.id)), // Use underscore for cart transformer
       // Bundle identification
       _bundle_type: 'golf_configurator',
-      _bundle_component: 'iron_set',
-      _bundle_summary: `${config.ironSetType} Iron Set (${config.selectedClubs.length} clubs)`,
-      ...(config.selectedGrip && {
-        _grip: `${config.selectedGrip.brand} ${config.selectedGrip.size}`,
+      _bundle_component: productMode, // Product modes double as the transformer's set components
+      _bundle_summary: `${config.setType} ${setLabel} (${formatClubCount(config.selectedClubs.length)})`,
+      ...(config.selectedGrip?.brand && {
+        _grip: [config.selectedGrip.brand, config.selectedGrip.model, config.selectedGrip.size].filter(Boolean).join(' '),
       }),
       _lie: config.selectedLie,
+      // Advanced specs - length and lie for every club, rendered per club by the cart transformer
+      ...(Object.keys(config.perClubSpecs || {}).length > 0 && {
+        _per_club_specs: serializeClubSpecs(
+          resolveClubSpecs(config.selectedClubs, config.perClubSpecs, {
+            length: config.selectedShaftLength,
+            lie: config.selectedLie,
+          })
+        ),
+      }),
       // Note: Shaft info for reference only - actual shaft product added separately
       ...(config.selectedShaftBrand && {
         _shaft_brand: config.selectedShaftBrand, // Use underscore for cart transformer
+        ...(config.selectedShaftMaterial && { _shaftMaterial: config.selectedShaftMaterial }),
         _shaftFlex: config.selectedShaftFlex,
         _shaftLength: config.selectedShaftLength,
       }),
@@ -58,7 +76,9 @@ function buildIronCartItem(config, bundleId, ironVariant, parentVariantId) {
  * Builds shaft cart item for selected shaft product
  * @param {Object} config - Golf configuration
  * @param {string} bundleId - Unique bundle identifier
+ * @param {string} parentVariantId - Parent variant ID from theme settings
  * @returns {Promise<Object|null>} Cart item for shaft product or null if no shaft selected
+ * @throws {Error} When a shaft is selected but no shaft variant matches it - the set must not go in without shafts
  */
 async function buildShaftCartItem(config, bundleId, parentVariantId) {
   // Check if shaft is properly configured
@@ -66,50 +86,101 @@ async function buildShaftCartItem(config, bundleId, parentVariantId) {
     return null;
   }
 
-  try {
-    // Load shaft options for the selected brand
-    const shaftOptions = await shaftService.loadShaftOptions(config.selectedShaftBrand);
+  // Load shaft options for the selected brand
+  const shaftOptions = await shaftService.loadShaftOptions(config.selectedShaftBrand);
+
+  // Find the variant that matches the selected flex (and material when the brand offers both)
+  const matchingShaft = shaftService.findShaftVariant(
+    shaftOptions,
+    config.selectedShaftFlex,
+    config.selectedShaftMaterial
+  );
 
-    // Find the variant that matches the selected flex
-    const matchingShaft = shaftOptions.find(
-      (option) => option.title === config.selectedShaftFlex || option.option1 === config.selectedShaftFlex
+  if (!matchingShaft) {
+    Logger.error(
+      `No shaft variant found for brand "${config.selectedShaftBrand}" with flex "${config.selectedShaftFlex}"`
     );
+    throw new Error(`${config.selectedShaftBrand} ${config.selectedShaftFlex} shaft is no longer available`);
+  }
 
-    if (!matchingShaft) {
-      Logger.error(
-        `No shaft variant found for brand "${config.selectedShaftBrand}" with flex "${config.selectedShaftFlex}"`
-      );
-      return null;
-    }
+  const clubCount = config.selectedClubs.length;
+  const shaftMaterial = matchingShaft.material || config.selectedShaftMaterial;
 
-    const clubCount = config.selectedClubs.length;
-
-    return {
-      id: matchingShaft.id,
-      quantity: clubCount,
-      properties: {
-        _bundleId: bundleId,
-        _parentVariantId: parentVariantId, // Add bundle metadata for consistency
-        _component_type: 'shaft', // Use underscore for cart transformer
-        _hand: getCurrentHand(), // Add bundle metadata for consistency
-        _setSize: config.ironSetType, // Add bundle metadata for consistency
-        _club_list: JSON.stringify(config.selectedClubs.map((club) => club.id)), // Add bundle metadata for consistency
-        // Bundle identification
-        _bundle_type: 'golf_configurator',
-        _bundle_component: 'shaft',
-        _bundle_summary: `${config.selectedShaftBrand} ${config.selectedShaftFlex} Shaft (${clubCount} clubs)`,
-        // Shaft details
-        _shaft_brand: config.selectedShaftBrand, // Use underscore for cart transformer
-        _shaftFlex: config.selectedShaftFlex,
-        _shaftLength: config.selectedShaftLength,
-        _club_count: clubCount.toString(), // Use underscore for cart transformer
-        _shaftTitle: matchingShaft.displayName || matchingShaft.title,
-      },
-    };
-  } catch (error) {
-    Logger.error('Failed to build shaft cart item', error);
+  return {
+    id: matchingShaft.id,
+    quantity: clubCount,
+    properties: {
+      _bundleId: bundleId,
+      _parentVariantId: parentVariantId, // Add bundle metadata for consistency
+      _component_type: 'shaft', // Use underscore for cart transformer
+      _hand: getCurrentHand(), // Add bundle metadata for consistency
+      _setSize: config.setType, // Add bundle metadata for consistency
+      _club_list: JSON.stringify(config.selectedClubs.map((club) => club.id)), // Add bundle metadata for consistency
+      // Bundle identification
+      _bundle_type: 'golf_configurator',
+      _bundle_component: 'shaft',
+      _bundle_summary: `${config.selectedShaftBrand} ${config.selectedShaftFlex} Shaft (${formatClubCount(clubCount)})`,
+      // Shaft details
+      _shaft_brand: config.selectedShaftBrand, // Use underscore for cart transformer
+      ...(shaftMaterial && { _shaftMaterial: shaftMaterial }),
+      _shaftFlex: config.selectedShaftFlex,
+      _shaftLength: config.selectedShaftLength,
+      _club_count: clubCount.toString(), // Use underscore for cart transformer
+      _shaftTitle: matchingShaft.displayName || matchingShaft.title,
+    },
+  };
+}
+
+/**
+ * Builds grip cart item for selected grip product
+ * @param {Object} config - Golf configuration
+ * @param {string} bundleId - Unique bundle identifier
+ * @param {string} parentVariantId - Parent variant ID from theme settings
+ * @returns {Promise<Object|null>} Cart item for grip product or null if no grip selected
+ * @throws {Error} When a grip is selected but no grip variant matches it - the bundle must not go in without it
+ */
+async function buildGripCartItem(config, bundleId, parentVariantId) {
+  const { selectedGrip } = config;
+  if (!selectedGrip?.brand) {
     return null;
   }
+
+  if (!selectedGrip.model || !selectedGrip.size) {
+    throw new Error(`Grip selection for "${selectedGrip.brand}" is incomplete - choose a model and size`);
+  }
+
+  const gripOptions = await gripService.loadGripOptions(selectedGrip.brand);
+  const matchingGrip = gripService.findGripVariant(gripOptions, selectedGrip.model, selectedGrip.size);
+
+  if (!matchingGrip) {
+    Logger.error(
+      `No grip variant found for "${selectedGrip.brand}" model "${selectedGrip.model}" size "${selectedGrip.size}"`
+    );
+    throw new Error(`${selectedGrip.brand} ${selectedGrip.model} ${selectedGrip.size} grip is no longer available`);
+  }
+
+  const clubCount = config.selectedClubs.length;
+
+  return {
+    id: matchingGrip.id,
+    quantity: clubCount,
+    properties: {
+      _bundleId: bundleId,
+      _parentVariantId: parentVariantId,
+      _component_type: 'grip',
+      _hand: getCurrentHand(),
+      _setSize: config.setType,
+      _club_list: JSON.stringify(config.selectedClubs.map((club) => club.id)),
+      // Bundle identification
+      _bundle_type: 'golf_configurator',
+      _bundle_component: 'grip',
+      _bundle_summary: `${matchingGrip.displayName} Grip (${formatClubCount(clubCount)})`,
+      // Grip details
+      _grip: `${selectedGrip.brand} ${selectedGrip.model} ${selectedGrip.size}`,
+      _club_count: clubCount.toString(),
+      _gripTitle: matchingGrip.displayName,
+    },
+  };
 }
 
 // ================================
@@ -117,44 +188,59 @@ async function buildShaftCartItem(config, bundleId, parentVariantId) {
 // ================================
 
 /**
- * Adds golf configuration to cart
+ * Builds the cart items for a golf configuration under a fresh bundle ID
  * @param {Object} golfConfig - Complete golf configuration
- * @returns {Promise<boolean>} Success status
+ * @returns {Promise<Object>} Cart data with items array
  */
-export async function addGolfConfigurationToCart(golfConfig) {
+async function buildConfigurationCartData(golfConfig) {
   // Validate complete configuration
   const validation = validateCompleteConfiguration(golfConfig);
   if (!validation.valid) {
     throw new Error(`Cannot add to cart: ${validation.reason}`);
   }
 
-  try {
-    // Find iron variant for selected configuration
-    const currentHand = getCurrentHand(); // Get hand from metafields
-    const ironVariant = await productService.findVariantBySetSize(golfConfig.ironSetType, currentHand);
+  // Find iron variant for selected configuration
+  const currentHand = getCurrentHand(); // Get hand from metafields
+  const ironVariant = await productService.findClubHeadVariant(golfConfig, currentHand);
 
-    if (!ironVariant) {
-      throw new Error('Iron variant not found for selected configuration');
-    }
+  if (!ironVariant) {
+    throw new Error('Iron variant not found for selected configuration');
+  }
 
-    // Generate unique bundle ID and get parent variant
-    const bundleId = `golf-${Date.now()}`;
-    const parentVariantId = await getParentVariantIdFromThemeSettings(golfConfig.ironSetType, currentHand);
+  // Generate unique bundle ID and get parent variant
+  const bundleId = `golf-${Date.now()}`;
+  const parentVariantId = getParentVariantId(golfConfig.setType);
 
-    // Build cart items
-    const cartItems = [];
+  // Build cart items
+  const cartItems = [];
 
-    // Add iron set item
-    const ironItem = buildIronCartItem(golfConfig, bundleId, ironVariant, parentVariantId);
-    cartItems.push(ironItem);
+  // Add iron set item
+  const ironItem = buildIronCartItem(golfConfig, bundleId, ironVariant, parentVariantId);
+  cartItems.push(ironItem);
 
-    // Add shaft item as separate product
-    const shaftItem = await buildShaftCartItem(golfConfig, bundleId, parentVariantId);
-    if (shaftItem) {
-      cartItems.push(shaftItem);
-    }
+  // Add shaft item as separate product
+  const shaftItem = await buildShaftCartItem(golfConfig, bundleId, parentVariantId);
+  if (shaftItem) {
+    cartItems.push(shaftItem);
+  }
 
-    const cartData = { items: cartItems };
+  // Add grip item as separate product
+  const gripItem = await buildGripCartItem(golfConfig, bundleId, parentVariantId);
+  if (gripItem) {
+    cartItems.push(gripItem);
+  }
+
+  return { items: cartItems };
+}
+
+/**
+ * Adds golf configuration to cart
+ * @param {Object} golfConfig - Complete golf configuration
+ * @returns {Promise<boolean>} Success status
+ */
+export async function addGolfConfigurationToCart(golfConfig) {
+  try {
+    const cartData = await buildConfigurationCartData(golfConfig);
 
     // Send to cart API
     if (APP_CONFIG.DATA.useRealData) {
@@ -168,6 +254,64 @@ export async function addGolfConfigurationToCart(golfConfig) {
   }
 }
 
+/**
+ * Replaces a bundle already in the cart with an edited configuration
+ * The new bundle is added before the old lines are removed so a failed update never loses the customer's set
+ * @param {Object} golfConfig - Complete golf configuration
+ * @param {Object} cartBundle - Bundle being edited, from getCartBundle()
+ * @returns {Promise<boolean>} Success status
+ */
+export async function replaceGolfConfigurationInCart(golfConfig, cartBundle) {
+  if (!cartBundle?.lines?.length) {
+    throw new Error('No cart bundle to replace');
+  }
+
+  try {
+    const cartData = await buildConfigurationCartData(golfConfig);
+    const updates = Object.fromEntries(cartBundle.lines.map((line) => [line.key, 0]));
+
+    if (APP_CONFIG.DATA.useRealData) {
+      await addToShopifyCart(cartData);
+      await updateShopifyCart(updates);
+    } else {
+      await mockAddToCart(cartData);
+      await mockUpdateCart(updates);
+    }
+
+    Logger.info(`Replaced cart bundle ${cartBundle.bundleId}`);
+    return true;
+  } catch (error) {
+    Logger.error('Failed to replace golf configuration in cart', error);
+    throw error;
+  }
+}
+
+/**
+ * Reads a configured bundle back out of the cart
+ * Once the cart transform has merged a bundle the cart holds one line whose properties are the merge
+ * attributes - the transformer copies _bundleId and the club line's configuration there as hidden attributes
+ * @param {string} bundleId - Bundle ID written to the _bundleId line property
+ * @returns {Promise<Object>} Bundle ID, its cart lines and the main (or merged) line's properties
+ */
+export async function getCartBundle(bundleId) {
+  if (!bundleId) throw new Error('Bundle ID required');
+
+  const cart = APP_CONFIG.DATA.useRealData ? await fetchShopifyCart() : { items: mockCartItems };
+  const lines = (cart.items || []).filter((item) => item.properties?._bundleId === bundleId);
+
+  if (lines.length === 0) {
+    throw new Error(`Bundle "${bundleId}" is no longer in the cart`);
+  }
+
+  // Merged lines carry no _component_type - they stand in for the club line
+  const mainLine = lines.find((line) => (line.properties._component_type || 'main') === 'main');
+  if (!mainLine) {
+    throw new Error(`Bundle "${bundleId}" has no club line to edit`);
+  }
+
+  return { bundleId, lines, properties: mainLine.properties };
+}
+
 /**
  * Adds items to real Shopify cart
  * @param {Object} cartData - Cart data with items array
@@ -199,6 +343,47 @@ async function addToShopifyCart(cartData) {
   }
 }
 
+/**
+ * Fetches the current Shopify cart
+ * @returns {Promise<Object>} Cart with items array
+ */
+async function fetchShopifyCart() {
+  const response = await fetch('/cart.js', { headers: { Accept: 'application/json' } });
+
+  if (!response.ok) {
+    throw new Error('Failed to load cart');
+  }
+
+  return response.json();
+}
+
+/**
+ * Updates line quantities in the real Shopify cart
+ * @param {Object} updates - Line key → quantity map (0 removes the line)
+ * @returns {Promise<boolean>} Success status
+ */
+async function updateShopifyCart(updates) {
+  const response = await fetch('/cart/update.js', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Accept: 'application/json',
+    },
+    body: JSON.stringify({ updates }),
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json();
+    throw new Error(errorData.message || errorData.description || 'Failed to update cart');
+  }
+
+  Logger.info('Updated Shopify cart successfully');
+  return true;
+}
+
+// In-memory cart so edit flows can be exercised in development
+let mockCartItems = [];
+
 /**
  * Mock cart addition for development
  * @param {Object} cartData - Cart data with items array
@@ -208,14 +393,58 @@ async function mockAddToCart(cartData) {
   // Simulate API delay
   await new Promise((resolve) => setTimeout(resolve, APP_CONFIG.DATA.mockApiDelay));
 
+  const keyPrefix = Date.now();
+  mockCartItems = [
+    ...mockCartItems,
+    ...cartData.items.map((item, index) => ({ ...item, key: `${item.id}:${keyPrefix}-${index}` })),
+  ];
+
   Logger.info('🧪 Mock: Added to cart successfully', cartData);
   return true;
 }
 
+/**
+ * Mock cart update for development
+ * @param {Object} updates - Line key → quantity map (0 removes the line)
+ * @returns {Promise<boolean>} Success status
+ */
+async function mockUpdateCart(updates) {
+  await new Promise((resolve) => setTimeout(resolve, APP_CONFIG.DATA.mockApiDelay));
+
+  mockCartItems = mockCartItems
+    .map((item) => (item.key in updates ? { ...item, quantity: updates[item.key] } : item))
+    .filter((item) => item.quantity > 0);
+
+  Logger.info('🧪 Mock: Updated cart successfully', updates);
+  return true;
+}
+
 // ================================
 // CART UTILITIES
 // ================================
 
+/**
+ * Reads the bundle being edited from the ?edit= URL parameter
+ * @returns {string|null} Bundle ID or null when not editing
+ */
+export function getEditBundleIdFromUrl() {
+  if (typeof window === 'undefined') return null;
+  return new URLSearchParams(window.location.search).get('edit');
+}
+
+/**
+ * Drops the ?edit= URL parameter once the edit is finished, so a reload no longer looks for the replaced bundle
+ */
+export function clearEditBundleIdFromUrl() {
+  if (typeof window === 'undefined') return;
+
+  const url = new URL(window.location.href);
+  if (!url.searchParams.has('edit')) return;
+
+  url.searchParams.delete('edit');
+  window.history.replaceState(window.history.state, '', url);
+}
+
 /**
  * Generates a unique bundle ID for grouping related cart items
  * @returns {string} Unique bundle ID
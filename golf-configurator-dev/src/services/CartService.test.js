@@ -0,0 +1,136 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { renderThemeConfig, themeConfig } from '../fixtures/theme-config.js';
+
+const IRON_CLUBS = ['5', '6', '7', '8', '9', 'PW'].map((id) => ({ id }));
+
+const configuration = (overrides = {}) => ({
+  productMode: 'iron_set',
+  setType: '5-PW',
+  selectedClubs: IRON_CLUBS,
+  selectedLie: 'Standard',
+  selectedShaftBrand: 'KBS Tour Lite',
+  selectedShaftMaterial: '',
+  selectedShaftFlex: 'Regular',
+  selectedShaftLength: 'Standard',
+  selectedGrip: { brand: 'Golf Pride', model: 'Tour Velvet', size: 'Standard' },
+  perClubSpecs: {},
+  ...overrides,
+});
+
+// A bundle after the cart transform merged it - cart.js returns one line whose properties are the merge attributes
+const mergedLine = {
+  key: '40000000000002:merged',
+  quantity: 1,
+  properties: {
+    'Set Option': '5-PW',
+    Shaft: 'KBS Tour Lite Regular',
+    _bundleId: 'golf-1700000000000',
+    _bundle_component: 'iron_set',
+    _setSize: '5-PW',
+    _club_list: '["5","6","7","8","9","PW"]',
+    _lie: '+1°',
+    _grip: 'Golf Pride Tour Velvet Standard',
+    _shaft_brand: 'KBS Tour Lite',
+    _shaftFlex: 'Regular',
+    _shaftLength: 'Standard',
+  },
+};
+
+// Answers the Ajax cart and product endpoints from the theme config fixture, recording every request body
+function stubShopifyCart(items) {
+  const { parentProduct, shaftProducts, gripProducts } = themeConfig();
+  const products = [parentProduct, ...shaftProducts, ...gripProducts];
+  const requests = [];
+
+  vi.stubGlobal(
+    'fetch',
+    vi.fn(async (url, options = {}) => {
+      requests.push({ url, body: options.body && JSON.parse(options.body) });
+      const product = products.find(({ handle }) => url === `/products/${handle}.js`);
+      return { ok: true, json: async () => (url === '/cart.js' ? { items } : product || {}) };
+    })
+  );
+  return requests;
+}
+
+// Storefront modules read the rendered theme config once, so every test loads a fresh copy
+async function loadCartService() {
+  vi.resetModules();
+  renderThemeConfig(themeConfig());
+  // The store and CartService import each other - load the store first, as the app entry does
+  await import('../store/golfStore.js');
+  return import('./CartService.js');
+}
+
+describe('cart service', () => {
+  beforeEach(() => {
+    vi.restoreAllMocks();
+    localStorage.clear();
+    sessionStorage.clear();
+  });
+
+  afterEach(() => {
+    vi.unstubAllEnvs();
+    vi.unstubAllGlobals();
+  });
+
+  it('adds iron, shaft and grip lines under one bundle', async () => {
+    const { addGolfConfigurationToCart, getCartBundle } = await loadCartService();
+    vi.spyOn(Date, 'now').mockReturnValue(1700000000000);
+
+    await addGolfConfigurationToCart(configuration());
+    const bundle = await getCartBundle('golf-1700000000000');
+
+    expect(bundle.lines.map((line) => line.properties._component_type)).toEqual(['main', 'shaft', 'grip']);
+    expect(bundle.properties).toMatchObject({ _setSize: '5-PW', _grip: 'Golf Pride Tour Velvet Standard' });
+  });
+
+  it('counts a single iron as one club in its bundle summaries', async () => {
+    const { addGolfConfigurationToCart, getCartBundle } = await loadCartService();
+    vi.spyOn(Date, 'now').mockReturnValue(1700000000000);
+
+    await addGolfConfigurationToCart(
+      configuration({ productMode: 'single_iron', setType: 'Iron', selectedClubs: [{ id: '7' }] })
+    );
+    const bundle = await getCartBundle('golf-1700000000000');
+
+    expect(bundle.lines.map((line) => line.properties._bundle_summary)).toEqual([
+      'Iron Single Iron (1 club)',
+      'KBS Tour Lite Regular Shaft (1 club)',
+      expect.stringMatching(/Grip \(1 club\)$/),
+    ]);
+  });
+
+  it('refuses to add a bundle whose selected grip no longer resolves', async () => {
+    const { addGolfConfigurationToCart } = await loadCartService();
+    const config = configuration({ selectedGrip: { brand: 'Golf Pride', model: 'Tour Velvet', size: 'Oversize' } });
+
+    await expect(addGolfConfigurationToCart(config)).rejects.toThrow(/Golf Pride Tour Velvet Oversize grip is no longer available/);
+  });
+
+  it('refuses to add a bundle whose selected shaft no longer resolves', async () => {
+    const { addGolfConfigurationToCart } = await loadCartService();
+    const config = configuration({ selectedShaftFlex: 'X-Stiff' });
+
+    await expect(addGolfConfigurationToCart(config)).rejects.toThrow(/KBS Tour Lite X-Stiff shaft is no longer available/);
+  });
+
+  it('edits a bundle the cart transform has merged into one line', async () => {
+    vi.stubEnv('VITE_USE_REAL_DATA', 'true');
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    const requests = stubShopifyCart([mergedLine]);
+    const { getCartBundle, replaceGolfConfigurationInCart } = await loadCartService();
+
+    const bundle = await getCartBundle('golf-1700000000000');
+    expect(bundle.lines).toEqual([mergedLine]);
+    expect(bundle.properties).toMatchObject({ _club_list: '["5","6","7","8","9","PW"]', _lie: '+1°' });
+
+    await replaceGolfConfigurationInCart(configuration({ selectedLie: '+2°' }), bundle);
+
+    const added = requests.find((request) => request.url === '/cart/add.js').body.items;
+    expect(added[0].properties).toMatchObject({ _setSize: '5-PW', _lie: '+2°' });
+    expect(requests.find((request) => request.url === '/cart/update.js').body).toEqual({
+      updates: { '40000000000002:merged': 0 },
+    });
+  });
+});
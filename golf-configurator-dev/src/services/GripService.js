@@ -0,0 +1,194 @@
+/**
+ * Grip Service - Modern functional approach
+ * Handles grip data fetching with centralized mock data
+ * Grip products are grouped by brand (product vendor) → model → size from variants
+ */
+
+import APP_CONFIG from '../config/app.js';
+const USE_REAL_DATA = APP_CONFIG.DATA.useRealData;
+import mockData from '../mocks/shopify-data.json';
+import { getGripProducts } from '../utils/themeConfig.js';
+
+/**
+ * Brand is the product vendor, falling back to the product title
+ */
+function getGripBrand(product) {
+  return product.vendor || product.title;
+}
+
+/**
+ * Maps a Shopify variant to a grip option
+ * Two-option products use option1 as model and option2 as size,
+ * single-option products use the product title as model and option1 as size
+ */
+function mapGripVariant(variant, product) {
+  const hasModelOption = Boolean(variant.option2);
+  const model = hasModelOption ? variant.option1 : product.title;
+  const size = hasModelOption ? variant.option2 : variant.option1 || variant.title;
+  const brand = getGripBrand(product);
+
+  return {
+    id: variant.id.toString(),
+    title: variant.title,
+    price: variant.price,
+    available: variant.available !== false,
+    brand,
+    model,
+    size,
+    productTitle: product.title,
+    displayName: `${brand} ${model} ${size}`,
+    quantityAvailable: variant.inventory_quantity ?? variant.quantityAvailable ?? 0,
+  };
+}
+
+/**
+ * Maps a brand's grip products to grip options (one per variant)
+ * Synchronous so callers holding theme products (e.g. build link checks) can match a grip without a fetch
+ * @param {Array} products - Shopify product JSON list
+ * @param {string} brandName - Grip brand (product vendor)
+ * @returns {Array} Grip options
+ */
+export function getGripOptionsFromProducts(products, brandName) {
+  return products
+    .filter((product) => product && getGripBrand(product) === brandName)
+    .flatMap((product) => (product.variants || []).map((variant) => mapGripVariant(variant, product)));
+}
+
+/**
+ * Get available grip brands
+ */
+export async function getAvailableBrands() {
+  if (!USE_REAL_DATA) {
+    return Object.keys(mockData.products.grips);
+  }
+
+  console.log('📡 READING: Grip products from theme config');
+  const brands = new Set(getGripProducts().filter(Boolean).map(getGripBrand));
+
+  if (brands.size === 0) {
+    throw new Error('No valid grip products found in theme config');
+  }
+
+  console.log(`🏷️ GRIP BRANDS DISCOVERED: ${brands.size} unique brands`);
+  return Array.from(brands);
+}
+
+/**
+ * Load grip options (one per variant) for a specific brand
+ * Uses real Shopify API or mock data based on USE_REAL_DATA flag
+ */
+export async function loadGripOptions(brandName) {
+  if (!USE_REAL_DATA) {
+    const mockGrips = mockData.products.grips[brandName];
+    if (!mockGrips) {
+      console.warn(`🧪 MOCK: Grip brand "${brandName}" not found in mock data`);
+      return [];
+    }
+
+    console.log(`🧪 MOCK: Found ${mockGrips.length} grip options for "${brandName}"`);
+    return mockGrips.map((grip) => mapGripVariant(grip, grip.product));
+  }
+
+  const matchingProducts = getGripProducts().filter(
+    (product) => product && getGripBrand(product) === brandName
+  );
+
+  if (matchingProducts.length === 0) {
+    throw new Error(`No grip products found for brand "${brandName}" in theme settings`);
+  }
+
+  const gripOptions = getGripOptionsFromProducts(matchingProducts, brandName);
+
+  if (gripOptions.length === 0) {
+    throw new Error(`No variants found for grip brand "${brandName}"`);
+  }
+
+  console.log(`✅ GRIPS: Loaded ${gripOptions.length} grip options for "${brandName}"`);
+  return gripOptions;
+}
+
+/**
+ * Re-fetch live availability for a brand's grip options
+ * Theme data is rendered with the page, so real data is re-read from each brand product's endpoint
+ */
+export async function refreshGripOptions(brandName) {
+  const gripOptions = await loadGripOptions(brandName);
+  if (!USE_REAL_DATA) return gripOptions;
+
+  const matchingProducts = getGripProducts().filter(
+    (product) => product && getGripBrand(product) === brandName
+  );
+  console.log(`🔄 REFRESH: Re-checking grip availability for "${brandName}" (${matchingProducts.length} products)`);
+
+  const liveVariants = [];
+  for (const product of matchingProducts) {
+    const response = await fetch(`/products/${product.handle}.js`);
+    if (!response.ok) {
+      throw new Error(`Failed to refresh grip availability for "${brandName}": ${response.status}`);
+    }
+    const liveProduct = await response.json();
+    liveVariants.push(...liveProduct.variants);
+  }
+
+  return gripOptions.map((option) => {
+    const liveVariant = liveVariants.find((variant) => variant.id.toString() === option.id);
+    if (!liveVariant) {
+      return { ...option, available: false };
+    }
+
+    return {
+      ...option,
+      price: liveVariant.price,
+      available: liveVariant.available !== false,
+      quantityAvailable: liveVariant.inventory_quantity ?? option.quantityAvailable,
+    };
+  });
+}
+
+/**
+ * Gets unique models in variant order
+ * @param {Array} gripOptions - Options from loadGripOptions
+ * @returns {Array} Model names
+ */
+export function getGripModels(gripOptions) {
+  return [...new Set(gripOptions.map((option) => option.model))];
+}
+
+/**
+ * Gets sizes offered for a model
+ * @param {Array} gripOptions - Options from loadGripOptions
+ * @param {string} model - Selected model
+ * @returns {Array} Grip options for the model (one per size)
+ */
+export function getGripSizes(gripOptions, model) {
+  return gripOptions.filter((option) => option.model === model);
+}
+
+/**
+ * Finds the grip option matching a model and size
+ * @param {Array} gripOptions - Options from loadGripOptions
+ * @param {string} model - Selected model
+ * @param {string} size - Selected size
+ * @returns {Object|null} Matching grip option
+ */
+export function findGripVariant(gripOptions, model, size) {
+  if (!model || !size) return null;
+  return gripOptions.find((option) => option.model === model && option.size === size) || null;
+}
+
+/**
+ * Resolves a "Brand Model Size" grip label (the _grip cart property) back to a selection
+ * @param {string} label - Grip label written by CartService
+ * @returns {Promise<Object|null>} { brand, model, size } or null when no configured grip matches
+ */
+export async function parseGripLabel(label) {
+  if (!label) return null;
+
+  const brands = await getAvailableBrands();
+  const brand = brands.find((brandName) => label.startsWith(`${brandName} `));
+  if (!brand) return null;
+
+  const gripOptions = await loadGripOptions(brand);
+  const match = gripOptions.find((option) => option.displayName === label);
+  return match ? { brand, model: match.model, size: match.size } : null;
+}
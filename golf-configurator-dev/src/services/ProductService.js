@@ -6,7 +6,8 @@
 import APP_CONFIG from '../config/app.js';
 const USE_REAL_DATA = APP_CONFIG.DATA.useRealData;
 import mockData from '../mocks/shopify-data.json';
-import { getBundleParentProductHandle } from '../utils/dataAttributes.js';
+import { getBundleParentProduct, getProductMode } from '../utils/themeConfig.js';
+import { PRODUCT_MODES, AVAILABLE_CLUBS } from '../constants/defaults.js';
 
 // No caching - fetch fresh data from Shopify each time
 
@@ -23,7 +24,7 @@ export const fetchClubHeadProducts = async () => {
  */
 const fetchRealClubProducts = async () => {
   try {
-    const productHandle = getBundleParentProductHandle();
+    const productHandle = getBundleParentProduct().handle;
     console.log('🏌️ API CALL: Fetching club head product from Shopify...');
     console.log('🏌️ Product handle:', productHandle);
 
@@ -59,16 +60,23 @@ const fetchRealClubProducts = async () => {
 const fetchMockClubProducts = async () => {
   console.log('🧪 MOCK: Loading club head products from mock data');
 
+  // Wedge set and single iron blocks are backed by separate products
+  const mockSetsByMode = {
+    [PRODUCT_MODES.IRON_SET]: mockData.products.ironSets,
+    [PRODUCT_MODES.WEDGE_SET]: mockData.products.wedgeSets,
+    [PRODUCT_MODES.SINGLE_IRON]: { Iron: mockData.products.ironSets.Iron },
+  };
+  const mockSets = mockSetsByMode[getProductMode()];
+
   // Create a unified product from mock data using modern destructuring
-  const mockVariants = Object.entries(mockData.products.ironSets).map(([, mockProduct]) => {
+  const mockVariants = Object.entries(mockSets).map(([, mockProduct]) => {
     const variant = mockProduct.variants[0];
     const price = (variant.price / 100).toFixed(2);
     console.log(`🧪 MOCK VARIANT: ${variant.title} - £${price}`);
     return variant;
   });
 
-  const { ironSets } = mockData.products;
-  const baseProduct = ironSets['4PW'];
+  const baseProduct = Object.values(mockSets)[0];
 
   const mockProduct = {
     id: baseProduct.id,
@@ -117,3 +125,42 @@ export const findVariantBySetSize = async (setSize, hand) => {
 
   return variant;
 };
+
+/**
+ * Find the variant for a single iron purchase
+ * Merchants can price clubs individually (option1 "7-Iron" or "7"); otherwise every club uses the "Iron" variant
+ */
+export const findSingleIronVariant = async (clubId, hand) => {
+  const product = await fetchClubHeadProducts();
+
+  if (!product) {
+    console.warn('No product data available from Shopify');
+    return null;
+  }
+
+  const clubName = AVAILABLE_CLUBS.find((club) => club.id === clubId)?.name;
+  const variant =
+    product.variants.find((variant) => variant.option1 === clubName || variant.option1 === clubId) ||
+    product.variants.find((variant) => variant.option1 === 'Iron');
+
+  if (!variant) {
+    console.error(
+      `❌ No single iron variant found for club "${clubId}" (hand "${hand}" from metafield). Available variants:`,
+      product.variants.map((v) => `${v.option1}`)
+    );
+    return null;
+  }
+
+  console.log(`✅ Found single iron variant: ${variant.title} (ID: ${variant.id})`);
+  return variant;
+};
+
+/**
+ * Find the club head variant for a configuration in any product mode
+ * @param {Object} config - { productMode, setType, selectedClubs }
+ * @param {string} hand - Current hand from metafields
+ */
+export const findClubHeadVariant = ({ productMode, setType, selectedClubs }, hand) =>
+  productMode === PRODUCT_MODES.SINGLE_IRON
+    ? findSingleIronVariant(selectedClubs[0]?.id, hand)
+    : findVariantBySetSize(setType, hand);
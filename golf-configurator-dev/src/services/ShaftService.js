@@ -6,58 +6,97 @@
 import APP_CONFIG from '../config/app.js';
 const USE_REAL_DATA = APP_CONFIG.DATA.useRealData;
 import mockData from '../mocks/shopify-data.json';
+import { SHAFT_MATERIALS } from '../constants/defaults.js';
+import { getShaftProducts } from '../utils/themeConfig.js';
 
 /**
- * Get available shaft brands
+ * Normalizes an option value or tag to a known shaft material
+ * Accepts plain values ("Graphite") and prefixed tags ("material:graphite")
+ * @param {string} value - Option value or product tag
+ * @returns {string|null} Material from SHAFT_MATERIALS or null
  */
-export async function getAvailableBrands() {
-  console.log('🔍 DEBUG: getAvailableBrands called with USE_REAL_DATA:', USE_REAL_DATA);
-  if (USE_REAL_DATA) {
-    console.log('🔍 DEBUG: Using real data path - calling performBrandDiscovery()');
-    return await performBrandDiscovery();
-  } else {
-    console.log('🔍 DEBUG: Using mock data path');
-    return Object.keys(mockData.products.shafts);
-  }
+function normalizeMaterial(value) {
+  const normalized = String(value || '')
+    .trim()
+    .toLowerCase()
+    .replace(/^material:\s*/, '');
+  return SHAFT_MATERIALS.find((material) => material.toLowerCase() === normalized) || null;
 }
 
 /**
- * Get shaft products from theme data attribute
+ * Derives shaft material from variant options, falling back to product tags
+ * @param {Object} variant - Shopify variant with option1..option3
+ * @param {Object} product - Shopify product with tags
+ * @returns {string|null} Material or null when unknown
  */
-function getShaftProductsFromTheme() {
-  const configuratorElement = document.getElementById('golf-configurator');
+export function deriveShaftMaterial(variant, product = {}) {
+  const optionValues = [variant.option1, variant.option2, variant.option3];
+  const materialFromOptions = optionValues.map(normalizeMaterial).find(Boolean);
+  if (materialFromOptions) return materialFromOptions;
 
-  if (!configuratorElement) {
-    throw new Error('Golf configurator element not found - cannot read shaft products data');
-  }
+  const tags = Array.isArray(product.tags) ? product.tags : String(product.tags || '').split(',');
+  return tags.map(normalizeMaterial).find(Boolean) || null;
+}
 
-  const shaftProductsData = configuratorElement.getAttribute('data-shaft-products');
+/**
+ * Derives flex from the first variant option that is not a material
+ * @param {Object} variant - Shopify variant with option1..option3
+ * @returns {string} Flex label (falls back to variant title)
+ */
+function deriveShaftFlex(variant) {
+  const optionValues = [variant.option1, variant.option2, variant.option3].filter(Boolean);
+  return optionValues.find((value) => !normalizeMaterial(value)) || variant.title;
+}
 
-  if (!shaftProductsData) {
-    throw new Error('No shaft products data found in theme settings - please configure shaft products in theme editor');
-  }
+/**
+ * Gets unique materials offered by a list of shaft options
+ * @param {Array} shaftOptions - Options from loadShaftOptions
+ * @returns {Array} Materials in SHAFT_MATERIALS order
+ */
+export function getShaftMaterials(shaftOptions) {
+  return SHAFT_MATERIALS.filter((material) => shaftOptions.some((option) => option.material === material));
+}
 
-  let shaftProducts;
-  try {
-    shaftProducts = JSON.parse(shaftProductsData);
-  } catch (error) {
-    throw new Error('Invalid shaft products data format in theme settings');
-  }
+/**
+ * Finds the shaft option matching a flex and (optional) material
+ * @param {Array} shaftOptions - Options from loadShaftOptions
+ * @param {string} flex - Selected flex
+ * @param {string} material - Selected material ('' matches any)
+ * @returns {Object|null} Matching shaft option
+ */
+export function findShaftVariant(shaftOptions, flex, material = '') {
+  if (!flex) return null;
+
+  return (
+    shaftOptions.find(
+      (option) =>
+        (option.flex === flex || option.title === flex || option.option1 === flex) &&
+        (!material || option.material === material)
+    ) || null
+  );
+}
 
-  if (!Array.isArray(shaftProducts) || shaftProducts.length === 0) {
-    throw new Error('No shaft products selected in theme settings');
+/**
+ * Get available shaft brands
+ */
+export async function getAvailableBrands() {
+  console.log('🔍 DEBUG: getAvailableBrands called with USE_REAL_DATA:', USE_REAL_DATA);
+  if (USE_REAL_DATA) {
+    console.log('🔍 DEBUG: Using real data path - calling performBrandDiscovery()');
+    return await performBrandDiscovery();
+  } else {
+    console.log('🔍 DEBUG: Using mock data path');
+    return Object.keys(mockData.products.shafts);
   }
-
-  return shaftProducts;
 }
 
 /**
- * Perform the actual brand discovery by reading data attributes from theme
+ * Perform the actual brand discovery from the theme config shaft products
  */
 async function performBrandDiscovery() {
-  console.log('📡 READING: Shaft products from theme data attributes');
+  console.log('📡 READING: Shaft products from theme config');
 
-  const shaftProducts = getShaftProductsFromTheme();
+  const shaftProducts = getShaftProducts();
   console.log(`📦 PARSED SHAFT PRODUCTS:`, shaftProducts);
 
   // Extract brand names from the shaft products
@@ -84,7 +123,7 @@ async function performBrandDiscovery() {
   console.groupEnd();
 
   if (brands.size === 0) {
-    throw new Error('No valid shaft products found in theme data');
+    throw new Error('No valid shaft products found in theme config');
   }
 
   return Array.from(brands);
@@ -98,7 +137,7 @@ export async function loadShaftOptions(brandName) {
   if (USE_REAL_DATA) {
     console.log(`🏌️ REAL DATA: Loading shaft options for brand "${brandName}"`);
 
-    const shaftProducts = getShaftProductsFromTheme();
+    const shaftProducts = getShaftProducts();
 
     // Find the product that matches the brand name
     const matchingProduct = shaftProducts.find((product) => product.title === brandName);
@@ -126,6 +165,8 @@ export async function loadShaftOptions(brandName) {
         price: variant.price,
         available: variant.available !== false,
         option1: variant.option1 || variant.title,
+        flex: deriveShaftFlex(variant),
+        material: deriveShaftMaterial(variant, matchingProduct),
         productTitle: matchingProduct.title,
         pricePerClub: variant.price,
         displayName: `${matchingProduct.title} ${variant.title}`,
@@ -140,6 +181,40 @@ export async function loadShaftOptions(brandName) {
   }
 }
 
+/**
+ * Re-fetch live availability for a brand's shaft options
+ * Theme data is rendered with the page, so real data is re-read from the product endpoint
+ */
+export async function refreshShaftOptions(brandName) {
+  const shaftOptions = await loadShaftOptions(brandName);
+  if (!USE_REAL_DATA) return shaftOptions;
+
+  const matchingProduct = getShaftProducts().find((product) => product.title === brandName);
+  console.log(`🔄 REFRESH: Re-checking availability for "${brandName}" (${matchingProduct.handle})`);
+
+  const response = await fetch(`/products/${matchingProduct.handle}.js`);
+  if (!response.ok) {
+    throw new Error(`Failed to refresh shaft availability for "${brandName}": ${response.status}`);
+  }
+
+  const liveProduct = await response.json();
+
+  return shaftOptions.map((option) => {
+    const liveVariant = liveProduct.variants.find((variant) => variant.id.toString() === option.id);
+    if (!liveVariant) {
+      return { ...option, available: false };
+    }
+
+    return {
+      ...option,
+      price: liveVariant.price,
+      pricePerClub: liveVariant.price,
+      available: liveVariant.available !== false,
+      quantityAvailable: liveVariant.inventory_quantity ?? option.quantityAvailable,
+    };
+  });
+}
+
 /**
  * Load mock shaft data from centralized JSON file
  */
@@ -161,6 +236,8 @@ async function loadMockShaftOptions(brandName) {
     price: shaft.price,
     available: shaft.available,
     option1: shaft.option1,
+    flex: deriveShaftFlex(shaft),
+    material: deriveShaftMaterial(shaft, shaft.product),
     productTitle: shaft.product.title,
     pricePerClub: shaft.pricePerClub,
     displayName: shaft.displayName,
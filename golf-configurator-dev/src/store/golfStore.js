@@ -3,26 +3,55 @@
  * Pure state management with Preact Signals following DRY architecture
  */
 
-import { signal, computed } from '@preact/signals';
-import { DEFAULT_STATE_VALUES, DEFAULT_CLUBS, AVAILABLE_CLUBS } from '../constants/defaults.js';
+import { signal, computed, effect } from '@preact/signals';
+import { DEFAULT_STATE_VALUES, CLUB_CATALOGUES, PRODUCT_MODES } from '../constants/defaults.js';
 import { PersistenceManager, Logger, setupStatePersistence } from '../utils/persistence.js';
 import {
   safeAction,
   validateClubSelection,
-  applyClubSelectionRules,
-  handleClubToggle,
+  validateShaftAvailability,
+  validateGripAvailability,
+  handleClubToggleForMode,
   getMaxUnlockedStep,
+  validateCompleteConfiguration,
 } from '../utils/validation.js';
-import { addGolfConfigurationToCart } from '../services/CartService.js';
+import { getClubRules, getSetSize } from '../utils/clubRules.js';
+import { readBuildFromUrl, createBuildLink } from '../utils/buildLink.js';
+import { CLUB_SPEC_OPTIONS, resolveClubSpecs, parseClubSpecs } from '../utils/clubSpecs.js';
+import { getFittingRecommendation, matchesFlex } from '../utils/fitting.js';
+import { SavedBuildsManager } from '../utils/savedBuilds.js';
+import { HandHandoffManager } from '../utils/handHandoff.js';
+import {
+  addGolfConfigurationToCart,
+  replaceGolfConfigurationInCart,
+  getCartBundle,
+  getEditBundleIdFromUrl,
+  clearEditBundleIdFromUrl,
+} from '../services/CartService.js';
 import * as shaftService from '../services/ShaftService.js';
-import { getProductHandAndVariations } from '../utils/dataAttributes.js';
+import * as productService from '../services/ProductService.js';
+import * as gripService from '../services/GripService.js';
+import { getProductHand, getHandVariationUrl, getProductMode } from '../utils/themeConfig.js';
 import APP_CONFIG from '../config/app.js';
 
 // ================================
 // STATE INITIALIZATION
 // ================================
 
+// Product mode comes from the theme block setting - not user configurable
+const initialMode = typeof window !== 'undefined' ? getProductMode() : PRODUCT_MODES.IRON_SET;
+const catalogue = CLUB_CATALOGUES[initialMode];
+
+// A shared build link takes precedence over the session's own state; a rejected link is reported on init
+const buildLink = readBuildFromUrl(initialMode);
+const sharedBuild = buildLink?.valid ? buildLink.state : null;
+export const isSharedBuild = Boolean(sharedBuild);
+
 function getInitialState() {
+  if (sharedBuild) {
+    return { ...DEFAULT_STATE_VALUES, ...sharedBuild };
+  }
+
   if (!APP_CONFIG.PERSISTENCE.enabled) {
     return {
       ...DEFAULT_STATE_VALUES,
@@ -34,49 +63,118 @@ function getInitialState() {
 
 const initialState = getInitialState();
 
+/**
+ * Persisted clubs may belong to another product mode - fall back to the catalogue defaults
+ */
+function getInitialClubs(clubs) {
+  const belongsToCatalogue = clubs.every((club) => catalogue.clubs.some((c) => c.id === club.id));
+  if (belongsToCatalogue && validateClubSelection(clubs, initialMode).valid) {
+    return [...clubs];
+  }
+  return [...catalogue.defaultClubs];
+}
+
 // ================================
 // CORE STATE SIGNALS - Single Source of Truth
 // ================================
 
-export const selectedClubs = signal([...initialState.selectedClubs]);
+export const productMode = signal(initialMode);
+export const selectedClubs = signal(getInitialClubs(initialState.selectedClubs));
 export const selectedGrip = signal(initialState.selectedGrip);
 export const selectedLie = signal(initialState.selectedLie);
 
 // Clean shaft state - no legacy duplicates
 export const selectedShaftBrand = signal(initialState.selectedShaftBrand || '');
+export const selectedShaftMaterial = signal(initialState.selectedShaftMaterial || '');
 export const selectedShaftFlex = signal(initialState.selectedShaftFlex || '');
 export const selectedShaftLength = signal(initialState.selectedShaftLength || 'Standard');
 
+// Advanced specs - club ID → { length, lie }, empty when the set-wide length and lie apply to every club
+export const perClubSpecs = signal(initialState.perClubSpecs || {});
+
 // UI state
 export const isLoading = signal(false);
 export const error = signal(null);
+// Set when a selected flex sells out and is cleared - outlives other errors until a new flex is picked
+export const shaftFlexNotice = signal(null);
 
 // Static data - imported from single source
-export const availableClubs = signal([...AVAILABLE_CLUBS]);
+export const availableClubs = signal([...catalogue.clubs]);
+
+// Pricing data - Shopify variants backing the current selection (prices in pence)
+export const ironVariant = signal(null);
+export const shaftVariants = signal([]);
+export const gripVariants = signal([]);
+
+// Cart bundle being edited via ?edit=<bundleId> - submitting replaces it instead of adding a duplicate
+export const editingBundle = signal(null);
+
+// Fitting wizard result - { length, lie, flex } shown as "Recommended" badges, null until the wizard runs
+export const fittingRecommendation = signal(null);
+
+// Named builds saved to localStorage (expired entries pruned on read)
+export const savedBuilds = signal(typeof window !== 'undefined' ? SavedBuildsManager.list() : []);
 
 // ================================
 // COMPUTED VALUES - Derived State
 // ================================
 
-export const ironSetType = computed(() => {
-  const clubIds = selectedClubs.value.map((club) => club.id);
-  const clubCount = clubIds.length;
+// Set type for the active product mode, named by its club rules ('4-PW', 'G-S-L', 'Iron') -
+// used for variant lookup and cart properties
+export const setType = computed(() => {
+  return getSetSize(getClubRules(productMode.value), selectedClubs.value.map((club) => club.id));
+});
 
-  if (clubCount === 1) return 'Iron';
-  if (clubIds.includes('4')) return '4-PW';
-  if (clubIds.includes('5')) return '5-PW';
-  return '6-PW';
+export const isClubSelectionValid = computed(() => {
+  return validateClubSelection(selectedClubs.value, productMode.value).valid;
 });
 
+export const clubCount = computed(() => selectedClubs.value.length);
+
+export const advancedSpecsEnabled = computed(() => Object.keys(perClubSpecs.value).length > 0);
+
+// Length and lie for each selected club - the set-wide values unless advanced specs override them
+export const clubSpecs = computed(() =>
+  resolveClubSpecs(selectedClubs.value, perClubSpecs.value, {
+    length: selectedShaftLength.value,
+    lie: selectedLie.value,
+  })
+);
+
+export const availableShaftMaterials = computed(() => shaftService.getShaftMaterials(shaftVariants.value));
+
+export const selectedShaftVariant = computed(() => {
+  return shaftService.findShaftVariant(shaftVariants.value, selectedShaftFlex.value, selectedShaftMaterial.value);
+});
+
+export const selectedGripBrand = computed(() => selectedGrip.value?.brand || '');
+
+export const selectedGripVariant = computed(() => {
+  return gripService.findGripVariant(gripVariants.value, selectedGrip.value?.model, selectedGrip.value?.size);
+});
+
+// Pricing formula: Total = Iron Set Price + (Shaft Price × Club Count) + (Grip Price × Club Count)
+export const basePrice = computed(() => ironVariant.value?.price || 0);
+
+export const shaftSubtotal = computed(() => (selectedShaftVariant.value?.price || 0) * clubCount.value);
+
+export const gripSubtotal = computed(() => (selectedGripVariant.value?.price || 0) * clubCount.value);
+
+export const totalPrice = computed(() => basePrice.value + shaftSubtotal.value + gripSubtotal.value);
+
 export const canAddToCart = computed(() => {
   return (
-    selectedClubs.value.length >= APP_CONFIG.BUSINESS.minClubCount &&
+    isClubSelectionValid.value &&
     selectedGrip.value?.brand &&
     selectedGrip.value?.model &&
     selectedGrip.value?.size
   );
 });
 
+export const isConfigurationComplete = computed(() => {
+  return validateCompleteConfiguration({ ...getCurrentState(), productMode: productMode.value }).valid;
+});
+
 export const maxUnlockedStep = computed(() => {
   return getMaxUnlockedStep({
     selectedClubs: selectedClubs.value,
@@ -84,9 +182,140 @@ export const maxUnlockedStep = computed(() => {
     selectedShaftFlex: selectedShaftFlex.value,
     selectedShaftLength: selectedShaftLength.value,
     selectedGrip: selectedGrip.value,
+    productMode: productMode.value,
   });
 });
 
+// ================================
+// UNDO / REDO HISTORY
+// ================================
+
+// Snapshots of getCurrentState() - past is oldest first, future is next redo first
+export const historyPast = signal([]);
+export const historyFuture = signal([]);
+
+export const canUndo = computed(() => historyPast.value.length > 0);
+export const canRedo = computed(() => historyFuture.value.length > 0);
+
+function applySnapshot(snapshot) {
+  selectedClubs.value = [...snapshot.selectedClubs];
+  selectedGrip.value = snapshot.selectedGrip;
+  selectedLie.value = snapshot.selectedLie;
+  selectedShaftBrand.value = snapshot.selectedShaftBrand;
+  selectedShaftMaterial.value = snapshot.selectedShaftMaterial;
+  selectedShaftFlex.value = snapshot.selectedShaftFlex;
+  selectedShaftLength.value = snapshot.selectedShaftLength;
+  perClubSpecs.value = snapshot.perClubSpecs;
+}
+
+/**
+ * Applies a stored build state (saved build, hand switch handoff), dropping anything the
+ * catalogue or this page's theme products don't offer
+ * @param {Object} state - Build state from serializeBuildState
+ * @returns {Promise<Array<string>>} Names of the selections that were reset
+ */
+async function applyBuildState(state) {
+  const dropped = [];
+
+  const catalogueClubs = CLUB_CATALOGUES[productMode.value].clubs;
+  const clubs = catalogueClubs.filter((club) => state.clubIds.includes(club.id));
+  const clubsValid = clubs.length === state.clubIds.length && validateClubSelection(clubs, productMode.value).valid;
+  if (!clubsValid) dropped.push('club selection');
+
+  // Shaft must still be one of the theme's configured shaft products
+  let shaftBrand = state.selectedShaftBrand;
+  let shaftMaterial = state.selectedShaftMaterial;
+  let shaftFlex = state.selectedShaftFlex;
+  if (shaftBrand) {
+    const brands = await shaftService.getAvailableBrands();
+    if (!brands.includes(shaftBrand)) {
+      dropped.push(`${shaftBrand} shaft`);
+      shaftBrand = '';
+      shaftMaterial = '';
+      shaftFlex = '';
+    } else if (shaftFlex) {
+      const options = await shaftService.loadShaftOptions(shaftBrand);
+      if (!shaftService.findShaftVariant(options, shaftFlex, shaftMaterial)) {
+        dropped.push(`${shaftBrand} ${shaftFlex} flex`);
+        shaftFlex = '';
+      }
+    }
+  }
+
+  let grip = state.selectedGrip;
+  if (grip?.brand) {
+    const brands = await gripService.getAvailableBrands();
+    const options = brands.includes(grip.brand) ? await gripService.loadGripOptions(grip.brand) : [];
+    if (!gripService.findGripVariant(options, grip.model, grip.size)) {
+      dropped.push(`${grip.brand} grip`);
+      grip = DEFAULT_STATE_VALUES.selectedGrip;
+    }
+  }
+
+  selectedClubs.value = clubsValid ? clubs : [...CLUB_CATALOGUES[productMode.value].defaultClubs];
+  selectedLie.value = state.selectedLie || APP_CONFIG.BUSINESS.defaultLie;
+  selectedShaftBrand.value = shaftBrand || DEFAULT_STATE_VALUES.selectedShaftBrand;
+  selectedShaftMaterial.value = shaftMaterial || DEFAULT_STATE_VALUES.selectedShaftMaterial;
+  selectedShaftFlex.value = shaftFlex || DEFAULT_STATE_VALUES.selectedShaftFlex;
+  selectedShaftLength.value = state.selectedShaftLength || DEFAULT_STATE_VALUES.selectedShaftLength;
+  perClubSpecs.value = state.perClubSpecs || DEFAULT_STATE_VALUES.perClubSpecs;
+  selectedGrip.value = grip;
+
+  return dropped;
+}
+
+// Recommended flex waiting for the selected brand's shaft variants - cleared once applied or a flex is picked
+let pendingFittingFlex = null;
+
+/**
+ * Applies the pending fitting flex when the loaded shaft variants offer it
+ * Runs straight after a fitting and again whenever a brand's variants finish loading
+ * @returns {Promise<boolean>} Whether a flex was applied
+ */
+async function applyPendingFittingFlex() {
+  if (!pendingFittingFlex) return false;
+
+  const flexOption = shaftVariants.peek().find(
+    (option) =>
+      matchesFlex(option.flex, pendingFittingFlex) &&
+      (!selectedShaftMaterial.peek() || option.material === selectedShaftMaterial.peek())
+  );
+  if (!flexOption) return false;
+
+  pendingFittingFlex = null;
+  return actions.setShaftFlex(flexOption.flex);
+}
+
+// Depth of the history-recording actions running - actions called from inside one are part of its entry
+let historyDepth = 0;
+
+/**
+ * Wraps a mutating action so a snapshot is recorded when it actually changes the configuration
+ * Actions it calls record nothing themselves, so one user action is always one undo step
+ * A new change discards the redo stack; the undo stack is bounded by APP_CONFIG.HISTORY.maxEntries
+ */
+function withHistory(actionFn) {
+  return async (...args) => {
+    if (historyDepth > 0) return actionFn(...args);
+
+    const before = getCurrentState();
+    historyDepth++;
+    let result;
+    try {
+      result = await actionFn(...args);
+    } finally {
+      historyDepth--;
+    }
+
+    if (JSON.stringify(before) !== JSON.stringify(getCurrentState())) {
+      historyPast.value = [...historyPast.value, before].slice(-APP_CONFIG.HISTORY.maxEntries);
+      historyFuture.value = [];
+    }
+
+    return result;
+  };
+}
+
 // ================================
 // CORE ACTIONS - Pure State Updates with Validation
 // ================================
@@ -94,11 +323,11 @@ export const maxUnlockedStep = computed(() => {
 export const actions = {
   // Note: setHand action removed - hand is now determined by product metafields
 
-  toggleClub: safeAction('toggleClub', (club) => {
+  toggleClub: safeAction('toggleClub', withHistory((club) => {
     if (!club?.id) throw new Error('Invalid club object');
 
     const currentSelection = selectedClubs.value;
-    const result = handleClubToggle(club.id, currentSelection, availableClubs.value);
+    const result = handleClubToggleForMode(productMode.value, club.id, currentSelection);
 
     if (!result.success) {
       Logger.warn(`Club toggle blocked: ${result.reason}`);
@@ -106,7 +335,7 @@ export const actions = {
       return false;
     }
 
-    const validation = validateClubSelection(result.newSelection);
+    const validation = validateClubSelection(result.newSelection, productMode.value);
     if (!validation.valid) {
       Logger.warn(`Club selection blocked: ${validation.reason}`);
       error.value = validation.reason;
@@ -117,14 +346,14 @@ export const actions = {
     error.value = null;
     Logger.info(`Clubs: [${result.newSelection.map((c) => c.id).join(', ')}] (${result.newSelection.length})`);
     return true;
-  }),
+  })),
 
   // Enhanced club toggle by number (for component use)
-  toggleClubByNumber: safeAction('toggleClubByNumber', (clubNumber) => {
+  toggleClubByNumber: safeAction('toggleClubByNumber', withHistory((clubNumber) => {
     if (!clubNumber) throw new Error('Invalid club number');
 
     const currentSelection = selectedClubs.value;
-    const result = handleClubToggle(clubNumber, currentSelection, availableClubs.value);
+    const result = handleClubToggleForMode(productMode.value, clubNumber, currentSelection);
 
     if (!result.success) {
       Logger.warn(`Club toggle blocked: ${result.reason}`);
@@ -132,7 +361,7 @@ export const actions = {
       return false;
     }
 
-    const validation = validateClubSelection(result.newSelection);
+    const validation = validateClubSelection(result.newSelection, productMode.value);
     if (!validation.valid) {
       Logger.warn(`Club selection blocked: ${validation.reason}`);
       error.value = validation.reason;
@@ -143,12 +372,12 @@ export const actions = {
     error.value = null;
     Logger.info(`Clubs: [${result.newSelection.map((c) => c.id).join(', ')}] (${result.newSelection.length})`);
     return true;
-  }),
+  })),
 
-  setClubs: safeAction('setClubs', (clubs) => {
+  setClubs: safeAction('setClubs', withHistory((clubs) => {
     if (!Array.isArray(clubs)) throw new Error('Invalid clubs selection');
 
-    const validation = validateClubSelection(clubs);
+    const validation = validateClubSelection(clubs, productMode.value);
     if (!validation.valid) {
       throw new Error(validation.reason);
     }
@@ -157,46 +386,113 @@ export const actions = {
     error.value = null;
     Logger.info(`Clubs: [${clubs.map((c) => c.id).join(', ')}] (${clubs.length})`);
     return true;
-  }),
+  })),
 
-  setGrip: safeAction('setGrip', (brand, model, size) => {
+  setGrip: safeAction('setGrip', withHistory((brand, model, size) => {
     if (!brand) throw new Error('Grip brand required');
     selectedGrip.value = { brand, model: model || '', size: size || '' };
     error.value = null;
     return true;
-  }),
+  })),
 
-  setLie: safeAction('setLie', (lie) => {
+  setLie: safeAction('setLie', withHistory((lie) => {
     if (!lie) throw new Error('Lie adjustment required');
     selectedLie.value = lie;
     error.value = null;
     return true;
-  }),
+  })),
 
-  setShaftBrand: safeAction('setShaftBrand', (brand) => {
+  setShaftBrand: safeAction('setShaftBrand', withHistory((brand) => {
     if (!brand) throw new Error('Shaft brand required');
     Logger.info(`Shaft brand: ${selectedShaftBrand.value || 'None'} → ${brand}`);
     selectedShaftBrand.value = brand;
-    selectedShaftFlex.value = ''; // Reset flex when brand changes
+    selectedShaftMaterial.value = ''; // Reset material and flex when brand changes
+    selectedShaftFlex.value = '';
     error.value = null;
     return true;
-  }),
+  })),
 
-  setShaftFlex: safeAction('setShaftFlex', (flex) => {
+  setShaftMaterial: safeAction('setShaftMaterial', withHistory((material) => {
+    if (!material) throw new Error('Shaft material required');
+    Logger.info(`Shaft material: ${selectedShaftMaterial.value || 'None'} → ${material}`);
+    selectedShaftMaterial.value = material;
+    selectedShaftFlex.value = ''; // Flex options depend on material
+    error.value = null;
+    return true;
+  })),
+
+  setShaftFlex: safeAction('setShaftFlex', withHistory((flex) => {
     if (!flex) throw new Error('Shaft flex required');
+
+    const variant = shaftService.findShaftVariant(shaftVariants.value, flex, selectedShaftMaterial.value);
+    const availability = variant ? validateShaftAvailability(variant, clubCount.value) : { valid: true };
+    if (!availability.valid) {
+      Logger.warn(`Shaft flex blocked: ${flex} (${availability.reason})`);
+      error.value = `${flex}: ${availability.reason}`;
+      return false;
+    }
+
     Logger.info(`Shaft flex: ${selectedShaftFlex.value || 'None'} → ${flex}`);
     selectedShaftFlex.value = flex;
+    pendingFittingFlex = null;
+    shaftFlexNotice.value = null;
     error.value = null;
     return true;
-  }),
+  })),
 
-  setShaftLength: safeAction('setShaftLength', (length) => {
+  setShaftLength: safeAction('setShaftLength', withHistory((length) => {
     if (!length) throw new Error('Shaft length required');
     Logger.info(`Shaft length: ${selectedShaftLength.value || 'None'} → ${length}`);
     selectedShaftLength.value = length;
     error.value = null;
     return true;
-  }),
+  })),
+
+  // Switching advanced specs on seeds every selected club with the set-wide values; off drops the overrides
+  setAdvancedSpecs: safeAction('setAdvancedSpecs', withHistory((enabled) => {
+    perClubSpecs.value = enabled
+      ? Object.fromEntries(clubSpecs.value.map(({ club, length, lie }) => [club.id, { length, lie }]))
+      : {};
+    Logger.info(`Advanced specs: ${enabled ? 'on' : 'off'}`);
+    error.value = null;
+    return true;
+  })),
+
+  setClubSpec: safeAction('setClubSpec', withHistory((clubId, field, value) => {
+    if (!selectedClubs.value.some((club) => club.id === clubId)) throw new Error(`Club ${clubId} is not selected`);
+    if (!CLUB_SPEC_OPTIONS[field]) throw new Error(`Unknown club spec: ${field}`);
+    if (!CLUB_SPEC_OPTIONS[field].includes(value)) throw new Error(`Invalid ${field} for club ${clubId}: ${value}`);
+
+    const current = clubSpecs.value.find(({ club }) => club.id === clubId);
+    perClubSpecs.value = {
+      ...perClubSpecs.value,
+      [clubId]: { length: current.length, lie: current.lie, [field]: value },
+    };
+    Logger.info(`Club ${clubId} ${field}: ${current[field]} → ${value}`);
+    error.value = null;
+    return true;
+  })),
+
+  // Applies the fitting chart through the regular setters as one undo step; per-club specs are re-seeded with the
+  // fitted values, and the flex waits for the brand's shaft variants when they haven't loaded yet
+  applyFitting: safeAction('applyFitting', withHistory(async (measurements) => {
+    const recommendation = getFittingRecommendation(measurements);
+    Logger.info(`Fitting: length ${recommendation.length}, lie ${recommendation.lie}, flex ${recommendation.flex}`);
+
+    await actions.setShaftLength(recommendation.length);
+    await actions.setLie(recommendation.lie);
+
+    if (advancedSpecsEnabled.value) {
+      perClubSpecs.value = Object.fromEntries(
+        selectedClubs.value.map((club) => [club.id, { length: recommendation.length, lie: recommendation.lie }])
+      );
+    }
+
+    fittingRecommendation.value = recommendation;
+    pendingFittingFlex = recommendation.flex;
+    await applyPendingFittingFlex();
+    return recommendation;
+  })),
 
   loadShaftOptions: safeAction('loadShaftOptions', async (brandName) => {
     if (!brandName) throw new Error('Brand name required');
@@ -213,6 +509,47 @@ export const actions = {
     }
   }),
 
+  // Background pricing loads - no loading overlay, stale responses are dropped
+  loadIronVariant: safeAction('loadIronVariant', async (requestedSetType, requestedClubs = selectedClubs.value) => {
+    if (!requestedSetType) throw new Error('Set type required');
+
+    const variant = await productService.findClubHeadVariant(
+      { productMode: productMode.value, setType: requestedSetType, selectedClubs: requestedClubs },
+      getCurrentHand()
+    );
+    if (requestedSetType !== setType.value || requestedClubs !== selectedClubs.value) return null;
+
+    ironVariant.value = variant;
+    Logger.info(`Base price: ${requestedSetType} → ${variant ? variant.price : 'unavailable'}`);
+    return variant;
+  }),
+
+  loadShaftVariants: safeAction('loadShaftVariants', async (brandName) => {
+    if (!brandName) {
+      shaftVariants.value = [];
+      return [];
+    }
+
+    const options = await shaftService.loadShaftOptions(brandName);
+    if (brandName !== selectedShaftBrand.value) return [];
+
+    shaftVariants.value = options;
+    return options;
+  }),
+
+  loadGripVariants: safeAction('loadGripVariants', async (brandName) => {
+    if (!brandName) {
+      gripVariants.value = [];
+      return [];
+    }
+
+    const options = await gripService.loadGripOptions(brandName);
+    if (brandName !== selectedGripBrand.value) return [];
+
+    gripVariants.value = options;
+    return options;
+  }),
+
   addToCart: safeAction('addToCart', async () => {
     if (!canAddToCart.value) {
       throw new Error('Cannot add to cart - missing required selections');
@@ -222,11 +559,28 @@ export const actions = {
     error.value = null;
 
     try {
+      // Inventory can change mid-session - re-check before submitting
+      const availability = await actions.revalidateAvailability();
+      if (!availability.valid) {
+        error.value = availability.reason;
+        return false;
+      }
+
       const config = {
         ...getCurrentState(),
-        ironSetType: ironSetType.value,
+        productMode: productMode.value,
+        setType: setType.value,
       };
 
+      if (editingBundle.value) {
+        const success = await replaceGolfConfigurationInCart(config, editingBundle.value);
+        editingBundle.value = null;
+        // The replaced bundle ID is gone from the cart - reloading must not try to edit it again
+        clearEditBundleIdFromUrl();
+        Logger.info('Cart bundle updated successfully');
+        return success;
+      }
+
       const success = await addGolfConfigurationToCart(config);
       Logger.info('Added to cart successfully');
       return success;
@@ -235,6 +589,216 @@ export const actions = {
     }
   }),
 
+  // Rebuilds the configuration from the properties CartService wrote on the bundle's club line
+  loadCartBundle: safeAction('loadCartBundle', async (bundleId) => {
+    isLoading.value = true;
+
+    try {
+      const cartBundle = await getCartBundle(bundleId);
+      const { properties } = cartBundle;
+
+      const clubIds = JSON.parse(properties._club_list || '[]');
+      const clubs = CLUB_CATALOGUES[productMode.value].clubs.filter((club) => clubIds.includes(club.id));
+      if (clubs.length !== clubIds.length || !validateClubSelection(clubs, productMode.value).valid) {
+        throw new Error('Cart bundle clubs do not match this product');
+      }
+
+      const grip = await gripService.parseGripLabel(properties._grip);
+
+      selectedClubs.value = clubs;
+      selectedLie.value = properties._lie || APP_CONFIG.BUSINESS.defaultLie;
+      selectedShaftBrand.value = properties._shaft_brand || DEFAULT_STATE_VALUES.selectedShaftBrand;
+      selectedShaftMaterial.value = properties._shaftMaterial || DEFAULT_STATE_VALUES.selectedShaftMaterial;
+      selectedShaftFlex.value = properties._shaftFlex || DEFAULT_STATE_VALUES.selectedShaftFlex;
+      selectedShaftLength.value = properties._shaftLength || DEFAULT_STATE_VALUES.selectedShaftLength;
+      perClubSpecs.value = parseClubSpecs(properties._per_club_specs);
+      selectedGrip.value = grip || DEFAULT_STATE_VALUES.selectedGrip;
+      historyPast.value = [];
+      historyFuture.value = [];
+
+      editingBundle.value = cartBundle;
+      error.value =
+        properties._grip && !grip ? `Grip "${properties._grip}" is no longer available - please choose another` : null;
+      Logger.info(`Editing cart bundle ${bundleId} (${cartBundle.lines.length} lines)`);
+      return cartBundle;
+    } finally {
+      isLoading.value = false;
+    }
+  }),
+
+  cancelCartEdit() {
+    editingBundle.value = null;
+    clearEditBundleIdFromUrl();
+  },
+
+  // Re-fetches iron, shaft and grip variants and reports which component can no longer be supplied
+  revalidateAvailability: safeAction('revalidateAvailability', async () => {
+    const currentSetType = setType.value;
+    const brandName = selectedShaftBrand.value;
+    const flex = selectedShaftFlex.value;
+    const grip = selectedGrip.value;
+    const setLabel = CLUB_CATALOGUES[productMode.value].setLabel;
+    const issues = [];
+
+    const variant = await productService.findClubHeadVariant(
+      { productMode: productMode.value, setType: currentSetType, selectedClubs: selectedClubs.value },
+      getCurrentHand()
+    );
+    if (currentSetType === setType.value) {
+      ironVariant.value = variant;
+    }
+
+    if (!variant) {
+      issues.push(`${currentSetType} ${setLabel} is no longer offered`);
+    } else if (variant.available === false) {
+      issues.push(`${currentSetType} ${setLabel} is sold out`);
+    }
+
+    if (brandName && flex) {
+      const options = await shaftService.refreshShaftOptions(brandName);
+      const shaftVariant = shaftService.findShaftVariant(options, flex, selectedShaftMaterial.value);
+      const shaftAvailability = validateShaftAvailability(shaftVariant, clubCount.value);
+
+      if (!shaftAvailability.valid) {
+        issues.push(`${brandName} ${flex} shaft: ${shaftAvailability.reason}`);
+      }
+
+      if (brandName === selectedShaftBrand.value) {
+        shaftVariants.value = options;
+      }
+    }
+
+    if (grip?.brand && grip.model && grip.size) {
+      const options = await gripService.refreshGripOptions(grip.brand);
+      const gripVariant = gripService.findGripVariant(options, grip.model, grip.size);
+      const gripAvailability = validateGripAvailability(gripVariant, clubCount.value);
+
+      if (!gripAvailability.valid) {
+        issues.push(`${grip.brand} ${grip.model} ${grip.size} grip: ${gripAvailability.reason}`);
+      }
+
+      if (grip.brand === selectedGripBrand.value) {
+        gripVariants.value = options;
+      }
+    }
+
+    if (issues.length > 0) {
+      Logger.warn(`Availability check failed: ${issues.join('; ')}`);
+      return { valid: false, issues, reason: `No longer available: ${issues.join('; ')}` };
+    }
+
+    return { valid: true, issues };
+  }),
+
+  // Copies a shareable ?build= link for the current configuration
+  copyBuildLink: safeAction('copyBuildLink', async () => {
+    const validation = validateCompleteConfiguration({ ...getCurrentState(), productMode: productMode.value });
+    if (!validation.valid) {
+      throw new Error(`Cannot share an incomplete configuration: ${validation.reason}`);
+    }
+
+    const link = createBuildLink(getCurrentState(), productMode.value);
+    await navigator.clipboard.writeText(link);
+    Logger.info(`Build link copied: ${link}`);
+    return link;
+  }),
+
+  saveBuild: safeAction('saveBuild', (name) => {
+    if (!name?.trim()) throw new Error('Build name required');
+
+    const entry = SavedBuildsManager.save(name, getCurrentState(), productMode.value);
+    if (!entry) throw new Error('Could not save build');
+
+    savedBuilds.value = SavedBuildsManager.list();
+    error.value = null;
+    return entry;
+  }),
+
+  deleteSavedBuild: safeAction('deleteSavedBuild', (id) => {
+    if (!id) throw new Error('Build ID required');
+    SavedBuildsManager.remove(id);
+    savedBuilds.value = SavedBuildsManager.list();
+    return true;
+  }),
+
+  // Restores a saved build, dropping anything the catalogue or theme products no longer offer
+  restoreSavedBuild: safeAction('restoreSavedBuild', withHistory(async (id) => {
+    const entry = SavedBuildsManager.get(id);
+    savedBuilds.value = SavedBuildsManager.list();
+    if (!entry) throw new Error('Saved build not found or expired');
+    if (entry.mode !== productMode.value) throw new Error('Saved build belongs to a different product');
+
+    isLoading.value = true;
+
+    try {
+      const dropped = await applyBuildState(entry.state);
+
+      error.value = dropped.length
+        ? `Restored "${entry.name}" without: ${dropped.join(', ')} (no longer available)`
+        : null;
+      Logger.info(`Restored saved build "${entry.name}"${dropped.length ? ` (dropped ${dropped.join(', ')})` : ''}`);
+      return { restored: true, dropped };
+    } finally {
+      isLoading.value = false;
+    }
+  })),
+
+  // Hands are separate product pages - hand the configuration to the other page before navigating
+  switchHand: safeAction('switchHand', (targetHand) => {
+    const currentHand = getCurrentHand();
+    if (targetHand === currentHand) return false;
+
+    const targetUrl = getHandVariationUrl(targetHand);
+    if (targetUrl === '#') throw new Error(`${targetHand} clubs are not available for this product`);
+
+    HandHandoffManager.write(targetUrl, getCurrentState(), productMode.value, currentHand);
+    Logger.info(`Switching hand: ${currentHand} → ${targetHand}`);
+    window.location.assign(targetUrl);
+    return true;
+  }),
+
+  // Picks up a configuration handed over from the other hand's page; hand-specific selections this page
+  // doesn't offer (shafts, flexes or grips missing for this hand) are reset
+  restoreHandHandoff: safeAction('restoreHandHandoff', async (handoff) => {
+    isLoading.value = true;
+
+    try {
+      const dropped = await applyBuildState(handoff.state);
+
+      error.value = dropped.length
+        ? `Switched from ${handoff.fromHand} - ${dropped.join(', ')} reset (not available ${getCurrentHand().toLowerCase()})`
+        : null;
+      Logger.info(`Hand handoff from ${handoff.fromHand}${dropped.length ? ` (reset ${dropped.join(', ')})` : ''}`);
+      return { restored: true, dropped };
+    } finally {
+      isLoading.value = false;
+    }
+  }),
+
+  undo: safeAction('undo', () => {
+    const past = historyPast.value;
+    if (past.length === 0) return false;
+
+    historyFuture.value = [getCurrentState(), ...historyFuture.value];
+    historyPast.value = past.slice(0, -1);
+    applySnapshot(past[past.length - 1]);
+    error.value = null;
+    Logger.info(`Undo (${historyPast.value.length} remaining)`);
+    return true;
+  }),
+
+  redo: safeAction('redo', () => {
+    const [next, ...future] = historyFuture.value;
+    if (!next) return false;
+
+    historyPast.value = [...historyPast.value, getCurrentState()].slice(-APP_CONFIG.HISTORY.maxEntries);
+    historyFuture.value = future;
+    applySnapshot(next);
+    error.value = null;
+    Logger.info(`Redo (${future.length} remaining)`);
+    return true;
+  }),
+
   setLoading(loading) {
     isLoading.value = !!loading;
   },
@@ -245,17 +809,107 @@ export const actions = {
 
   reset: safeAction('reset', () => {
     // Note: selectedHand not reset - determined by product metafields
-    selectedClubs.value = [...DEFAULT_CLUBS];
+    selectedClubs.value = [...CLUB_CATALOGUES[productMode.value].defaultClubs];
     selectedGrip.value = DEFAULT_STATE_VALUES.selectedGrip;
     selectedLie.value = APP_CONFIG.BUSINESS.defaultLie;
     selectedShaftBrand.value = DEFAULT_STATE_VALUES.selectedShaftBrand;
+    selectedShaftMaterial.value = DEFAULT_STATE_VALUES.selectedShaftMaterial;
     selectedShaftFlex.value = DEFAULT_STATE_VALUES.selectedShaftFlex;
     selectedShaftLength.value = DEFAULT_STATE_VALUES.selectedShaftLength;
+    perClubSpecs.value = DEFAULT_STATE_VALUES.perClubSpecs;
+    fittingRecommendation.value = null;
+    pendingFittingFlex = null;
+    historyPast.value = [];
+    historyFuture.value = [];
+    shaftFlexNotice.value = null;
     error.value = null;
     return true;
   }),
 };
 
+// ================================
+// PRICING EFFECTS
+// ================================
+
+/**
+ * Keeps pricing data in sync with the current selection
+ * Re-fetches the iron variant when the set size changes and shaft / grip variants when their brand changes,
+ * then drops a selected flex the loaded inventory can no longer supply
+ */
+function setupPricingEffects() {
+  // Single irons can be priced per club, so a club swap re-fetches even though the set type stays 'Iron'
+  effect(() => {
+    const currentSetType = setType.value;
+    const currentClubs = selectedClubs.value;
+    actions.loadIronVariant(currentSetType, currentClubs).catch(() => {
+      ironVariant.value = null;
+    });
+  });
+
+  effect(() => {
+    const brandName = selectedShaftBrand.value;
+    actions.loadShaftVariants(brandName).catch(() => {
+      shaftVariants.value = [];
+    });
+  });
+
+  effect(() => {
+    const brandName = selectedGripBrand.value;
+    actions.loadGripVariants(brandName).catch(() => {
+      gripVariants.value = [];
+    });
+  });
+
+  // A fitting made before the brand's shafts loaded picks its flex up once they arrive
+  effect(() => {
+    if (shaftVariants.value.length === 0) return;
+    applyPendingFittingFlex().catch(() => {});
+  });
+
+  // Clear a previously selected flex that can no longer be supplied (e.g. sold out since reload)
+  effect(() => {
+    const options = shaftVariants.value;
+    const count = clubCount.value;
+    const flex = selectedShaftFlex.peek();
+    if (!flex || !options.length) return;
+
+    const variant = shaftService.findShaftVariant(options, flex, selectedShaftMaterial.peek());
+    const availability = validateShaftAvailability(variant, count);
+    if (availability.valid) return;
+
+    Logger.warn(`Shaft flex cleared: ${flex} (${availability.reason})`);
+    selectedShaftFlex.value = '';
+    shaftFlexNotice.value = `Your ${selectedShaftBrand.peek()} ${flex} shaft is no longer available (${availability.reason}). Please choose another flex.`;
+  });
+
+  Logger.info('💰 Pricing effects enabled');
+}
+
+/**
+ * Re-checks inventory when the shopper returns to the tab
+ * Throttled so switching windows back and forth does not hammer the product endpoints
+ */
+function setupAvailabilityRecheck() {
+  if (!APP_CONFIG.INVENTORY.recheckOnFocus) return;
+
+  let lastCheck = 0;
+
+  window.addEventListener('focus', () => {
+    const now = Date.now();
+    if (now - lastCheck < APP_CONFIG.INVENTORY.minRecheckIntervalMs) return;
+    lastCheck = now;
+
+    actions
+      .revalidateAvailability()
+      .then((result) => {
+        if (!result.valid) error.value = result.reason;
+      })
+      .catch(() => {});
+  });
+
+  Logger.info('📦 Inventory re-check on focus enabled');
+}
+
 // ================================
 // STATE UTILITIES
 // ================================
@@ -267,8 +921,10 @@ export function getCurrentState() {
     selectedGrip: selectedGrip.value,
     selectedLie: selectedLie.value,
     selectedShaftBrand: selectedShaftBrand.value,
+    selectedShaftMaterial: selectedShaftMaterial.value,
     selectedShaftFlex: selectedShaftFlex.value,
     selectedShaftLength: selectedShaftLength.value,
+    perClubSpecs: perClubSpecs.value,
   };
 }
 
@@ -278,8 +934,7 @@ export function getCurrentState() {
  */
 export function getCurrentHand() {
   try {
-    const { currentHand } = getProductHandAndVariations();
-    return currentHand;
+    return getProductHand();
   } catch (error) {
     console.warn('Failed to get current hand from metafields:', error);
     return 'Right Handed'; // Fallback to default
@@ -297,10 +952,31 @@ if (typeof window !== 'undefined') {
     selectedGrip,
     selectedLie,
     selectedShaftBrand,
+    selectedShaftMaterial,
     selectedShaftFlex,
     selectedShaftLength,
+    perClubSpecs,
   });
 
+  setupPricingEffects();
+  setupAvailabilityRecheck();
+
+  if (buildLink && !buildLink.valid) {
+    error.value = `This build link could not be loaded: ${buildLink.reason}`;
+  }
+
+  const editBundleId = getEditBundleIdFromUrl();
+  const handHandoff = HandHandoffManager.take(initialMode);
+  if (editBundleId) {
+    actions.loadCartBundle(editBundleId).catch((loadError) => {
+      error.value = `Could not load your set from the cart: ${loadError.message}`;
+    });
+  } else if (handHandoff && !sharedBuild) {
+    actions.restoreHandHandoff(handHandoff).catch((handoffError) => {
+      error.value = `Could not carry your set over: ${handoffError.message}`;
+    });
+  }
+
   if (APP_CONFIG.FEATURES.stateDebug) {
     window.golfConfiguratorState = {
       // Core state (selectedHand excluded - determined by product metafields)
@@ -308,11 +984,24 @@ if (typeof window !== 'undefined') {
       selectedGrip,
       selectedLie,
       selectedShaftBrand,
+      selectedShaftMaterial,
       selectedShaftFlex,
       selectedShaftLength,
+      perClubSpecs,
       // Computed
-      ironSetType,
+      productMode,
+      clubSpecs,
+      setType,
       canAddToCart,
+      isConfigurationComplete,
+      savedBuilds,
+      editingBundle,
+      canUndo,
+      canRedo,
+      basePrice,
+      shaftSubtotal,
+      gripSubtotal,
+      totalPrice,
       // Actions
       actions,
       // Utils
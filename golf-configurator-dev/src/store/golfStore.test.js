@@ -0,0 +1,158 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { renderThemeConfig, themeConfig } from '../fixtures/theme-config.js';
+
+const TOUR_VELVET = { brand: 'Golf Pride', model: 'Tour Velvet', size: 'Standard' };
+
+// Charts to a +0.5" length, +2° lie and Regular flex
+const MEASUREMENTS = { heightCm: 180, wristToFloorCm: 90, carryYards: 150, tempo: 'moderate' };
+
+/**
+ * Loads a fresh store against a freshly rendered page
+ * @param {Object} mocks - Service overrides, e.g. { grips: { refreshGripOptions } }
+ */
+async function loadStore({ grips = {} } = {}) {
+  vi.resetModules();
+  renderThemeConfig(themeConfig());
+  vi.doMock('../services/GripService.js', async (importOriginal) => ({ ...(await importOriginal()), ...grips }));
+  return import('./golfStore.js');
+}
+
+// Marks one grip variant's live stock, leaving the rest as loaded
+const withGripStock = (match, stock) => async (brandName) => {
+  const { loadGripOptions } = await vi.importActual('../services/GripService.js');
+  const options = await loadGripOptions(brandName);
+  return options.map((option) =>
+    option.model === match.model && option.size === match.size ? { ...option, ...stock } : option
+  );
+};
+
+describe('golf store', () => {
+  beforeEach(() => {
+    vi.doUnmock('../services/GripService.js');
+    localStorage.clear();
+    sessionStorage.clear();
+  });
+
+  it('tells the shopper why a shared build link was not applied', async () => {
+    window.history.replaceState(null, '', '/products/origin-combo-rh?build=not-a-build');
+    const store = await loadStore();
+    window.history.replaceState(null, '', '/');
+
+    expect(store.isSharedBuild).toBe(false);
+    expect(store.error.value).toBe('This build link could not be loaded: Build link is corrupted');
+  });
+
+  describe('availability re-check', () => {
+    it('passes when the selected grip is in stock', async () => {
+      const store = await loadStore();
+      store.selectedGrip.value = TOUR_VELVET;
+
+      await expect(store.actions.revalidateAvailability()).resolves.toMatchObject({ valid: true, issues: [] });
+    });
+
+    it('reports a selected grip that has sold out', async () => {
+      const store = await loadStore({ grips: { refreshGripOptions: withGripStock(TOUR_VELVET, { available: false }) } });
+      store.selectedGrip.value = TOUR_VELVET;
+
+      const result = await store.actions.revalidateAvailability();
+
+      expect(result.valid).toBe(false);
+      expect(result.issues).toEqual(['Golf Pride Tour Velvet Standard grip: Sold out']);
+    });
+
+    it('reports a selected grip without stock for every club', async () => {
+      const store = await loadStore({ grips: { refreshGripOptions: withGripStock(TOUR_VELVET, { quantityAvailable: 2 }) } });
+      store.selectedGrip.value = TOUR_VELVET;
+
+      const result = await store.actions.revalidateAvailability();
+
+      expect(result.issues).toEqual([
+        `Golf Pride Tour Velvet Standard grip: Only 2 in stock - your set needs ${store.clubCount.value}`,
+      ]);
+    });
+  });
+
+  describe('cart edits', () => {
+    it('drops the edit parameter once the bundle in the cart is replaced', async () => {
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+      const store = await loadStore();
+      vi.spyOn(Date, 'now').mockReturnValue(1700000000000);
+      await store.actions.setShaftBrand('KBS Tour Lite');
+      await store.actions.loadShaftVariants('KBS Tour Lite');
+      await store.actions.setShaftFlex('Regular');
+      await store.actions.setGrip(TOUR_VELVET.brand, TOUR_VELVET.model, TOUR_VELVET.size);
+      await store.actions.addToCart();
+
+      window.history.replaceState(null, '', '/products/origin-combo-rh?edit=golf-1700000000000&variant=1');
+      await store.actions.loadCartBundle('golf-1700000000000');
+      vi.spyOn(Date, 'now').mockReturnValue(1700000000001);
+
+      await expect(store.actions.addToCart()).resolves.toBe(true);
+
+      expect(store.editingBundle.value).toBeNull();
+      expect(window.location.search).toBe('?variant=1');
+      window.history.replaceState(null, '', '/');
+      vi.restoreAllMocks();
+    });
+  });
+
+  describe('fitting', () => {
+    it('applies the recommended flex once the shaft brand is chosen and its variants load', async () => {
+      const store = await loadStore();
+      expect(store.shaftVariants.value).toEqual([]);
+
+      await store.actions.applyFitting(MEASUREMENTS);
+
+      expect(store.selectedShaftLength.value).toBe('+0.5"');
+      expect(store.selectedLie.value).toBe('+2°');
+      expect(store.selectedShaftFlex.value).toBe('');
+      expect(store.fittingRecommendation.value).toEqual({ length: '+0.5"', lie: '+2°', flex: 'Regular' });
+
+      await store.actions.setShaftBrand('KBS Tour Lite');
+
+      await vi.waitFor(() => expect(store.selectedShaftFlex.value).toBe('Regular'));
+    });
+
+    it('leaves a flex the shopper picked after the fitting alone', async () => {
+      const store = await loadStore();
+      await store.actions.applyFitting(MEASUREMENTS);
+      await store.actions.setShaftBrand('KBS Tour Lite');
+      await vi.waitFor(() => expect(store.selectedShaftFlex.value).toBe('Regular'));
+
+      await store.actions.setShaftFlex('Stiff');
+      await store.actions.loadShaftVariants('KBS Tour Lite');
+
+      expect(store.selectedShaftFlex.value).toBe('Stiff');
+    });
+
+    it('undoes a whole fitting in one step', async () => {
+      const store = await loadStore();
+      await store.actions.setShaftBrand('KBS Tour Lite');
+      await store.actions.loadShaftVariants('KBS Tour Lite');
+      await store.actions.setAdvancedSpecs(true);
+      const before = store.getCurrentState();
+      const undoSteps = store.historyPast.value.length;
+
+      await store.actions.applyFitting(MEASUREMENTS);
+
+      expect(store.selectedShaftFlex.value).toBe('Regular');
+      expect(store.historyPast.value).toHaveLength(undoSteps + 1);
+
+      await store.actions.undo();
+
+      expect(store.getCurrentState()).toEqual(before);
+    });
+
+    it('seeds every club with the fitted length and lie when per-club specs are on', async () => {
+      const store = await loadStore();
+      await store.actions.setAdvancedSpecs(true);
+      await store.actions.setClubSpec('7', 'lie', '-1°');
+
+      await store.actions.applyFitting(MEASUREMENTS);
+
+      expect(store.clubSpecs.value.map(({ length, lie }) => ({ length, lie }))).toEqual(
+        store.selectedClubs.value.map(() => ({ length: '+0.5"', lie: '+2°' }))
+      );
+    });
+  });
+});
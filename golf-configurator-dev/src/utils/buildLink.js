@@ -0,0 +1,178 @@
+/**
+ * Shareable Build Links
+ * Serialises a configuration into a compact, versioned `?build=` URL parameter and hydrates it back
+ * Lets a fitter send a customer a pre-built configuration
+ */
+
+import { CLUB_CATALOGUES } from '../constants/defaults.js';
+import { validateCompleteConfiguration } from './validation.js';
+import { normalizeClubSpecs } from './clubSpecs.js';
+import { getShaftProducts, getGripProducts } from './themeConfig.js';
+import { getGripOptionsFromProducts, findGripVariant } from '../services/GripService.js';
+import APP_CONFIG from '../config/app.js';
+
+export const BUILD_PARAM = 'build';
+const BUILD_LINK_VERSION = 1;
+
+// Cart edit parameter (see CartService.getEditBundleIdFromUrl) - a shared link must never edit the sender's cart
+const EDIT_PARAM = 'edit';
+
+/**
+ * Base64url helpers - UTF-8 safe so brand names with accents survive the round trip
+ */
+function toBase64Url(text) {
+  const bytes = new TextEncoder().encode(text);
+  let binary = '';
+  bytes.forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(encoded) {
+  const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64.padEnd(base64.length + ((4 - (base64.length % 4)) % 4), '='));
+  return new TextDecoder().decode(Uint8Array.from(binary, (char) => char.charCodeAt(0)));
+}
+
+/**
+ * Encodes configuration state into a compact build string
+ * @param {Object} state - State from getCurrentState()
+ * @param {string} mode - Product mode the build was made in
+ * @returns {string} Base64url encoded build
+ */
+export function encodeBuild(state, mode) {
+  const payload = {
+    v: BUILD_LINK_VERSION,
+    m: mode,
+    c: state.selectedClubs.map((club) => club.id),
+    l: state.selectedLie,
+    s: [state.selectedShaftBrand, state.selectedShaftMaterial, state.selectedShaftFlex, state.selectedShaftLength],
+    g: [state.selectedGrip?.brand, state.selectedGrip?.model, state.selectedGrip?.size],
+    ...(Object.keys(state.perClubSpecs || {}).length > 0 && { p: state.perClubSpecs }),
+  };
+
+  return toBase64Url(JSON.stringify(payload));
+}
+
+/**
+ * Checks the build's shaft brand and grip are products this page's theme block offers
+ * Mock data has no theme products, so the check only runs against real data
+ * @param {Object} state - Decoded configuration state
+ * @returns {string|null} Rejection reason or null when both are offered
+ */
+function findUnofferedProduct(state) {
+  if (!APP_CONFIG.DATA.useRealData) return null;
+
+  const shaftOffered = getShaftProducts().some((product) => product?.title === state.selectedShaftBrand);
+  if (!shaftOffered) {
+    return `${state.selectedShaftBrand} shafts are not offered here`;
+  }
+
+  const { brand, model, size } = state.selectedGrip;
+  if (!findGripVariant(getGripOptionsFromProducts(getGripProducts(), brand), model, size)) {
+    return `${brand} ${model} ${size} grips are not offered here`;
+  }
+
+  return null;
+}
+
+/**
+ * Decodes a build string back into configuration state
+ * Club IDs are resolved against the mode's catalogue, the result is validated as a complete configuration
+ * and the shaft and grip are checked against the theme's products
+ * @param {string} encoded - Base64url encoded build
+ * @param {string} mode - Product mode of the current block
+ * @returns {{valid: boolean, state?: Object, reason?: string}} Decoded state or rejection reason
+ */
+export function decodeBuild(encoded, mode) {
+  let payload;
+  try {
+    payload = JSON.parse(fromBase64Url(encoded));
+  } catch (error) {
+    return { valid: false, reason: 'Build link is corrupted' };
+  }
+
+  if (!payload || payload.v !== BUILD_LINK_VERSION) {
+    return { valid: false, reason: 'Build link version is not supported' };
+  }
+
+  if (payload.m !== mode) {
+    return { valid: false, reason: 'Build link was made for a different product' };
+  }
+
+  const catalogue = CLUB_CATALOGUES[mode];
+  const clubIds = Array.isArray(payload.c) ? payload.c : [];
+  const selectedClubs = catalogue.clubs.filter((club) => clubIds.includes(club.id));
+  if (selectedClubs.length !== clubIds.length) {
+    return { valid: false, reason: 'Build link contains unknown clubs' };
+  }
+
+  const [shaftBrand, shaftMaterial, shaftFlex, shaftLength] = Array.isArray(payload.s) ? payload.s : [];
+  const [gripBrand, gripModel, gripSize] = Array.isArray(payload.g) ? payload.g : [];
+
+  const state = {
+    selectedClubs,
+    selectedGrip: { brand: gripBrand || '', model: gripModel || '', size: gripSize || '' },
+    selectedLie: payload.l || 'Standard',
+    selectedShaftBrand: shaftBrand || '',
+    selectedShaftMaterial: shaftMaterial || '',
+    selectedShaftFlex: shaftFlex || '',
+    selectedShaftLength: shaftLength || '',
+    perClubSpecs: normalizeClubSpecs(payload.p),
+  };
+
+  const validation = validateCompleteConfiguration({ ...state, productMode: mode });
+  if (!validation.valid) {
+    return { valid: false, reason: validation.reason };
+  }
+
+  const unoffered = findUnofferedProduct(state);
+  if (unoffered) {
+    return { valid: false, reason: unoffered };
+  }
+
+  return { valid: true, state };
+}
+
+/**
+ * Builds a shareable URL for the current page carrying the encoded configuration
+ * The cart edit parameter is dropped so the recipient starts a new build rather than editing a cart line
+ * @param {Object} state - State from getCurrentState()
+ * @param {string} mode - Product mode the build was made in
+ * @returns {string} Absolute URL with the build parameter
+ */
+export function createBuildLink(state, mode) {
+  const url = new URL(window.location.href);
+  url.searchParams.delete(EDIT_PARAM);
+  url.searchParams.set(BUILD_PARAM, encodeBuild(state, mode));
+  return url.toString();
+}
+
+/**
+ * Reads and decodes the build parameter from the current URL
+ * @param {string} mode - Product mode of the current block
+ * @returns {{valid: boolean, state?: Object, reason?: string}|null} Decode result, null when the URL has no build
+ */
+export function readBuildFromUrl(mode) {
+  if (typeof window === 'undefined') return null;
+
+  const encoded = new URLSearchParams(window.location.search).get(BUILD_PARAM);
+  if (!encoded) return null;
+
+  let result;
+  try {
+    result = decodeBuild(encoded, mode);
+  } catch (error) {
+    // Theme products unreadable - the link can't be checked, so it isn't applied
+    result = { valid: false, reason: error.message };
+  }
+
+  if (!result.valid) {
+    console.warn(`🔗 BUILD LINK: Ignored - ${result.reason}`);
+    return result;
+  }
+
+  console.log('🔗 BUILD LINK: Configuration loaded from URL');
+  return result;
+}
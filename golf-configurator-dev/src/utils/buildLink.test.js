@@ -0,0 +1,87 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { renderThemeConfig, themeConfig } from '../fixtures/theme-config.js';
+
+const IRON_CLUBS = ['5', '6', '7', '8', '9', 'PW'].map((id) => ({ id, name: id }));
+
+const buildState = (overrides = {}) => ({
+  selectedClubs: IRON_CLUBS,
+  selectedLie: 'Standard',
+  selectedShaftBrand: 'KBS Tour Lite',
+  selectedShaftMaterial: '',
+  selectedShaftFlex: 'Regular',
+  selectedShaftLength: 'Standard',
+  selectedGrip: { brand: 'Golf Pride', model: 'Tour Velvet', size: 'Standard' },
+  perClubSpecs: {},
+  ...overrides,
+});
+
+// Build links are checked against the theme's products, which only exist with real data
+async function loadBuildLink() {
+  vi.resetModules();
+  vi.stubEnv('VITE_USE_REAL_DATA', 'true');
+  renderThemeConfig(themeConfig());
+  return import('./buildLink.js');
+}
+
+describe('build links', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.unstubAllEnvs();
+    vi.restoreAllMocks();
+    window.history.replaceState(null, '', '/');
+  });
+
+  it('round-trips a build offered by the theme', async () => {
+    const { encodeBuild, decodeBuild } = await loadBuildLink();
+
+    const result = decodeBuild(encodeBuild(buildState(), 'iron_set'), 'iron_set');
+
+    expect(result.valid).toBe(true);
+    expect(result.state.selectedGrip).toEqual({ brand: 'Golf Pride', model: 'Tour Velvet', size: 'Standard' });
+  });
+
+  it('drops the cart edit parameter from shared links', async () => {
+    const { createBuildLink } = await loadBuildLink();
+    window.history.replaceState(null, '', '/products/origin-combo-rh?edit=golf-1700000000000&variant=1');
+
+    const url = new URL(createBuildLink(buildState(), 'iron_set'));
+
+    expect(url.searchParams.has('edit')).toBe(false);
+    expect(url.searchParams.get('variant')).toBe('1');
+    expect(url.searchParams.get('build')).toBeTruthy();
+  });
+
+  it('rejects a shaft brand the theme does not offer', async () => {
+    const { encodeBuild, decodeBuild } = await loadBuildLink();
+
+    const encoded = encodeBuild(buildState({ selectedShaftBrand: 'Nippon Modus' }), 'iron_set');
+
+    expect(decodeBuild(encoded, 'iron_set')).toEqual({
+      valid: false,
+      reason: 'Nippon Modus shafts are not offered here',
+    });
+  });
+
+  it('rejects a grip the theme does not offer', async () => {
+    const { encodeBuild, decodeBuild } = await loadBuildLink();
+
+    const grip = { brand: 'Golf Pride', model: 'Tour Velvet', size: 'Jumbo' };
+    const encoded = encodeBuild(buildState({ selectedGrip: grip }), 'iron_set');
+
+    expect(decodeBuild(encoded, 'iron_set')).toEqual({
+      valid: false,
+      reason: 'Golf Pride Tour Velvet Jumbo grips are not offered here',
+    });
+  });
+
+  it('returns the rejection reason for a link in the URL', async () => {
+    const { readBuildFromUrl } = await loadBuildLink();
+    window.history.replaceState(null, '', '/products/origin-combo-rh?build=not-a-build');
+
+    expect(readBuildFromUrl('iron_set')).toEqual({ valid: false, reason: 'Build link is corrupted' });
+  });
+});
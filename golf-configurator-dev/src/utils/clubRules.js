@@ -0,0 +1,104 @@
+/**
+ * Club Rule Engine
+ * Applies a product mode's declarative club rules (CLUB_RULES in the app's shared club-rules.js)
+ * Lookups, validation messages and set-size naming come from the shared module the cart transformer and
+ * cart validation also use; toggling (auto-add / auto-remove) is storefront-only and lives here
+ */
+
+import {
+  getClubRules,
+  isClubLocked,
+  getRequiredClubs,
+  getDependentClubs,
+  validateClubRules as validateClubIds,
+  getSetSize,
+  checkClubRules,
+} from '../../../golf-configurator/shared/club-rules.js';
+import { CLUB_CATALOGUES } from '../constants/defaults.js';
+import { Logger } from './persistence.js';
+
+export { getClubRules, isClubLocked, getRequiredClubs, getDependentClubs, getSetSize, checkClubRules };
+
+const findClub = (rules, clubId) => rules.clubs.find((club) => club.id === clubId);
+
+const clubName = (rules, clubId) => findClub(rules, clubId)?.name || clubId;
+
+// ================================
+// TOGGLING
+// ================================
+
+/**
+ * Toggles a club, adding the clubs it needs or removing the clubs that need it
+ * @param {Object} rules - Club rules
+ * @param {string} clubId - Club ID being toggled
+ * @param {Array} currentSelection - Currently selected clubs
+ * @returns {Object} Result { success, newSelection, reason? }
+ */
+export function toggleClub(rules, clubId, currentSelection) {
+  const club = findClub(rules, clubId);
+  if (!club) {
+    return {
+      success: false,
+      newSelection: currentSelection,
+      reason: `Club ${clubId} not found`,
+    };
+  }
+
+  if (rules.replaceSelection) {
+    return { success: true, newSelection: [club] };
+  }
+
+  if (isClubLocked(rules, clubId)) {
+    return {
+      success: false,
+      newSelection: currentSelection,
+      reason: `${club.name} is required and cannot be deselected`,
+    };
+  }
+
+  const selectedIds = currentSelection.map((c) => c.id);
+
+  if (selectedIds.includes(clubId)) {
+    const autoRemoved = getDependentClubs(rules, clubId).filter((id) => selectedIds.includes(id));
+    autoRemoved.forEach((id) => Logger.info(`Auto-removed ${clubName(rules, id)} (requires ${club.name})`));
+
+    return {
+      success: true,
+      newSelection: currentSelection.filter((c) => c.id !== clubId && !autoRemoved.includes(c.id)),
+    };
+  }
+
+  const autoAdded = getRequiredClubs(rules, clubId)
+    .filter((id) => !selectedIds.includes(id))
+    .map((id) => findClub(rules, id))
+    .filter(Boolean);
+  autoAdded.forEach((required) => Logger.info(`Auto-added ${required.name} (required with ${club.name})`));
+
+  return { success: true, newSelection: [...currentSelection, club, ...autoAdded] };
+}
+
+// ================================
+// VALIDATION
+// ================================
+
+/**
+ * Validates a club selection against the rules
+ * @param {Object} rules - Club rules
+ * @param {Array} clubs - Selected clubs
+ * @returns {Object} Validation result { valid: boolean, reason?: string }
+ */
+export function validateClubRules(rules, clubs) {
+  return validateClubIds(
+    rules,
+    clubs.map((c) => c.id)
+  );
+}
+
+// Fail fast on a broken rules edit rather than at the customer's first click
+Object.entries(CLUB_CATALOGUES).forEach(([mode, { rules }]) => {
+  const errors = checkClubRules(rules);
+  if (errors.length > 0) {
+    console.error(`❌ CLUB RULES: ${mode} rules are invalid:`, errors);
+    throw new Error(`Club rules validation failed for ${mode}: ${errors.join(', ')}`);
+  }
+});
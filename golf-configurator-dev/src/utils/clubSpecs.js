@@ -0,0 +1,75 @@
+/**
+ * Per-Club Specs Utilities
+ * Resolves, serialises and parses the advanced per-club length / lie table
+ * The store keeps a club ID → { length, lie } map; clubs without an entry use the set-wide values
+ */
+
+import { SHAFT_LENGTHS, LIE_ADJUSTMENTS } from '../constants/defaults.js';
+
+// Spec fields and the values each accepts
+export const CLUB_SPEC_OPTIONS = {
+  length: SHAFT_LENGTHS,
+  lie: LIE_ADJUSTMENTS,
+};
+
+/**
+ * Resolves the spec for every selected club, in selection order
+ * @param {Array} selectedClubs - Selected clubs
+ * @param {Object} perClubSpecs - Club ID → { length, lie } overrides
+ * @param {Object} setSpecs - Set-wide { length, lie } fallback
+ * @returns {Array} [{ club, length, lie }]
+ */
+export function resolveClubSpecs(selectedClubs, perClubSpecs, setSpecs) {
+  return selectedClubs.map((club) => ({
+    club,
+    length: perClubSpecs[club.id]?.length || setSpecs.length,
+    lie: perClubSpecs[club.id]?.lie || setSpecs.lie,
+  }));
+}
+
+/**
+ * Serialises resolved specs into the _per_club_specs cart property
+ * @param {Array} clubSpecs - Specs from resolveClubSpecs
+ * @returns {string} JSON object keyed by club ID, e.g. {"4":{"length":"+0.5\"","lie":"Standard"}}
+ */
+export function serializeClubSpecs(clubSpecs) {
+  return JSON.stringify(
+    Object.fromEntries(clubSpecs.map(({ club, length, lie }) => [club.id, { length, lie }]))
+  );
+}
+
+/**
+ * Normalises an untrusted per-club map (cart property, build link)
+ * Unknown values are dropped so the club falls back to the set-wide spec
+ * @param {*} value - Candidate club ID → { length, lie } map
+ * @returns {Object} Club ID → { length, lie }, empty when malformed
+ */
+export function normalizeClubSpecs(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return {};
+
+  return Object.fromEntries(
+    Object.entries(value).map(([clubId, spec]) => [
+      clubId,
+      Object.fromEntries(
+        Object.entries(CLUB_SPEC_OPTIONS)
+          .filter(([field, options]) => options.includes(spec?.[field]))
+          .map(([field]) => [field, spec[field]])
+      ),
+    ])
+  );
+}
+
+/**
+ * Parses a _per_club_specs cart property back into a per-club map
+ * @param {string} value - Cart property value
+ * @returns {Object} Club ID → { length, lie }, empty when absent or malformed
+ */
+export function parseClubSpecs(value) {
+  if (!value) return {};
+
+  try {
+    return normalizeClubSpecs(JSON.parse(value));
+  } catch {
+    return {};
+  }
+}
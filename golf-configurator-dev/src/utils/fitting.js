@@ -0,0 +1,132 @@
+/**
+ * Fitting Chart
+ * Static chart mapping a customer's measurements to a recommended shaft length, lie adjustment and flex
+ *
+ * - Length: wrist-to-floor is the primary measurement, nudged a quarter inch for very tall or short players
+ * - Lie: wrist-to-floor as a share of height - hands sitting high for the player's height need a more upright lie
+ * - Flex: 6-iron carry distance, one flex softer for a smooth tempo and one firmer for an aggressive one
+ */
+
+import { SHAFT_LENGTHS, LIE_ADJUSTMENTS } from '../constants/defaults.js';
+
+export const SWING_TEMPOS = [
+  { id: 'smooth', name: 'Smooth', flexStep: -1 },
+  { id: 'moderate', name: 'Moderate', flexStep: 0 },
+  { id: 'aggressive', name: 'Aggressive', flexStep: 1 },
+];
+
+// Accepted measurement ranges - anything outside is almost certainly a typo or the wrong unit
+export const FITTING_RANGES = {
+  heightCm: { min: 140, max: 215, label: 'Height' },
+  wristToFloorCm: { min: 60, max: 110, label: 'Wrist-to-floor' },
+  carryYards: { min: 60, max: 230, label: '6-iron carry' },
+};
+
+// Wrist-to-floor (cm, lower bound) → length offset in inches
+const LENGTH_CHART = [
+  { from: 0, offset: -1 },
+  { from: 74, offset: -0.5 },
+  { from: 79, offset: 0 },
+  { from: 87, offset: 0.5 },
+  { from: 92, offset: 1 },
+];
+
+// Height (cm, lower bound) → additional length offset in inches
+const HEIGHT_LENGTH_CHART = [
+  { from: 0, offset: -0.25 },
+  { from: 163, offset: 0 },
+  { from: 188, offset: 0.25 },
+];
+
+// Wrist-to-floor ÷ height (lower bound) → lie adjustment
+const LIE_CHART = [
+  { from: 0, lie: '-2°' },
+  { from: 0.43, lie: '-1°' },
+  { from: 0.45, lie: 'Standard' },
+  { from: 0.48, lie: '+1°' },
+  { from: 0.5, lie: '+2°' },
+];
+
+// 6-iron carry (yards, lower bound) → flex, softest first
+const FLEX_CHART = [
+  { from: 0, flex: 'Ladies' },
+  { from: 120, flex: 'Senior' },
+  { from: 140, flex: 'Regular' },
+  { from: 160, flex: 'Stiff' },
+  { from: 175, flex: 'X-Stiff' },
+];
+
+// Chart flex → labels merchants use for it on shaft variants (compared case-insensitively)
+const FLEX_ALIASES = {
+  Ladies: ['ladies', 'l'],
+  Senior: ['senior', 'a', 'lite'],
+  Regular: ['regular', 'r'],
+  Stiff: ['stiff', 's'],
+  'X-Stiff': ['x-stiff', 'x', 'extra stiff', 'tour x'],
+};
+
+// Last chart row whose lower bound the value reaches
+const lookup = (chart, value) => chart.filter((row) => value >= row.from).pop();
+
+/**
+ * Formats an inch offset the way SHAFT_LENGTHS lists it, e.g. 0.5 → '+0.5"'
+ */
+function formatLength(offset) {
+  if (offset === 0) return 'Standard';
+  return `${offset > 0 ? '+' : ''}${offset}"`;
+}
+
+/**
+ * Validates the wizard measurements
+ * @param {Object} measurements - { heightCm, wristToFloorCm, carryYards, tempo }
+ * @throws {Error} Naming the first measurement that is missing or out of range
+ */
+function validateMeasurements(measurements) {
+  Object.entries(FITTING_RANGES).forEach(([field, { min, max, label }]) => {
+    const value = measurements[field];
+    if (!Number.isFinite(value) || value < min || value > max) {
+      throw new Error(`${label} must be between ${min} and ${max}`);
+    }
+  });
+
+  if (!SWING_TEMPOS.some((tempo) => tempo.id === measurements.tempo)) {
+    throw new Error('Select your swing tempo');
+  }
+}
+
+/**
+ * Maps measurements through the fitting chart
+ * @param {Object} measurements - { heightCm, wristToFloorCm, carryYards, tempo }
+ * @returns {Object} { length, lie, flex } - length and lie are SHAFT_LENGTHS / LIE_ADJUSTMENTS values
+ * @throws {Error} When a measurement is missing or out of range
+ */
+export function getFittingRecommendation(measurements) {
+  validateMeasurements(measurements);
+
+  const lengthOffset =
+    lookup(LENGTH_CHART, measurements.wristToFloorCm).offset + lookup(HEIGHT_LENGTH_CHART, measurements.heightCm).offset;
+  const length = formatLength(lengthOffset);
+
+  const lie = lookup(LIE_CHART, measurements.wristToFloorCm / measurements.heightCm).lie;
+
+  const flexStep = SWING_TEMPOS.find((tempo) => tempo.id === measurements.tempo).flexStep;
+  const flexIndex = FLEX_CHART.indexOf(lookup(FLEX_CHART, measurements.carryYards)) + flexStep;
+  const flex = FLEX_CHART[Math.min(Math.max(flexIndex, 0), FLEX_CHART.length - 1)].flex;
+
+  // The chart only produces listed values - guard so a chart edit can't recommend something unselectable
+  if (!SHAFT_LENGTHS.includes(length) || !LIE_ADJUSTMENTS.includes(lie)) {
+    throw new Error(`Fitting chart produced an unavailable spec: ${length}, ${lie}`);
+  }
+
+  return { length, lie, flex };
+}
+
+/**
+ * Checks whether a shaft variant's flex label is the recommended chart flex
+ * @param {string} label - Flex label from the shaft variant (e.g. 'S', 'Stiff')
+ * @param {string} flex - Chart flex from getFittingRecommendation
+ * @returns {boolean}
+ */
+export function matchesFlex(label, flex) {
+  return Boolean(label && FLEX_ALIASES[flex]?.includes(label.trim().toLowerCase()));
+}
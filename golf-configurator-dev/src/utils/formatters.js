@@ -1,10 +1,15 @@
 /**
  * Price formatting utilities - Exact recreation from golf-configurator-simple.js
  */
+import { getLocaleSettings } from './themeConfig.js';
+
 export class PriceFormatter {
   constructor() {
     // Load Shopify's price formatter if available
     this.shopifyFormatter = window.Shopify?.formatMoney;
+    // Fallback formatting follows the storefront locale and currency from the theme config
+    const { locale, currency } = getLocaleSettings();
+    this.numberFormat = new Intl.NumberFormat(locale, { style: 'currency', currency });
   }
 
   formatCurrency(price) {
@@ -16,9 +21,9 @@ export class PriceFormatter {
         return this.shopifyFormatter(price);
       }
       // Fallback formatting
-      return `£${pounds.toFixed(2)}`;
+      return this.numberFormat.format(pounds);
     }
-    return '£0.00';
+    return this.numberFormat.format(0);
   }
 
   formatPrice(price, quantity = 1) {
@@ -0,0 +1,89 @@
+/**
+ * Hand Switch Handoff
+ * Left and right hand are separate product pages, and session state is cleared on navigation -
+ * the configuration is handed to the other hand's page through sessionStorage, keyed to that page's product handle
+ * Entries older than APP_CONFIG.PERSISTENCE.handHandoffMaxAge are ignored
+ */
+
+import APP_CONFIG from '../config/app.js';
+import { serializeBuildState } from './savedBuilds.js';
+
+const HAND_HANDOFF_KEY = 'golf-configurator-hand-handoff';
+
+/**
+ * Product handle a storefront URL points at
+ * Compared instead of the full path so locale prefixes (/fr/products/...) and collection paths still match
+ * @param {string} url - Absolute or relative product URL
+ * @returns {string|null} Product handle or null when the URL is not a product page
+ */
+function toProductHandle(url) {
+  const match = new URL(url, window.location.origin).pathname.match(/\/products\/([^/]+)/);
+  return match ? decodeURIComponent(match[1]) : null;
+}
+
+/**
+ * Safe sessionStorage operations for the hand switch handoff
+ */
+class HandHandoffManager {
+  /**
+   * Stores the configuration for the target hand's product page
+   * @param {string} targetUrl - Product URL of the other hand
+   * @param {Object} state - State from getCurrentState()
+   * @param {string} mode - Product mode the configuration was made in
+   * @param {string} fromHand - Hand the customer is switching from
+   * @returns {boolean} Whether the handoff was stored
+   */
+  static write(targetUrl, state, mode, fromHand) {
+    try {
+      if (typeof window === 'undefined') return false;
+
+      const entry = {
+        targetHandle: toProductHandle(targetUrl),
+        mode,
+        fromHand,
+        timestamp: Date.now(),
+        state: serializeBuildState(state),
+      };
+
+      sessionStorage.setItem(HAND_HANDOFF_KEY, JSON.stringify(entry));
+      console.log(`🤝 HAND HANDOFF: Stored configuration for ${entry.targetHandle}`);
+      return true;
+    } catch (error) {
+      console.error('❌ HAND HANDOFF: Failed to store configuration', error);
+      return false;
+    }
+  }
+
+  /**
+   * Reads and removes the handoff meant for the current page
+   * Handoffs for another page, another product mode or past their max age are discarded
+   * @param {string} mode - Current product mode
+   * @returns {Object|null} { fromHand, state } or null when there is nothing to pick up
+   */
+  static take(mode) {
+    try {
+      if (typeof window === 'undefined') return null;
+
+      const stored = sessionStorage.getItem(HAND_HANDOFF_KEY);
+      if (!stored) return null;
+      sessionStorage.removeItem(HAND_HANDOFF_KEY);
+
+      const entry = JSON.parse(stored);
+      const currentHandle = toProductHandle(window.location.href);
+      if (!entry?.targetHandle || entry.targetHandle !== currentHandle || entry.mode !== mode) return null;
+      if (!Array.isArray(entry.state?.clubIds)) return null;
+      if (Date.now() - entry.timestamp > APP_CONFIG.PERSISTENCE.handHandoffMaxAge) {
+        console.log('🧹 HAND HANDOFF: Configuration expired');
+        return null;
+      }
+
+      console.log(`🤝 HAND HANDOFF: Picked up configuration from ${entry.fromHand}`);
+      return { fromHand: entry.fromHand, state: entry.state };
+    } catch (error) {
+      console.error('❌ HAND HANDOFF: Failed to read configuration', error);
+      return null;
+    }
+  }
+}
+
+export { HandHandoffManager, HAND_HANDOFF_KEY };
@@ -0,0 +1,65 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { HandHandoffManager } from './handHandoff.js';
+
+const state = {
+  selectedClubs: ['5', '6', '7', '8', '9', 'PW'].map((id) => ({ id })),
+  selectedGrip: { brand: 'Golf Pride', model: 'Tour Velvet', size: 'Standard' },
+  selectedLie: 'Standard',
+  selectedShaftBrand: 'KBS Tour Lite',
+  selectedShaftMaterial: '',
+  selectedShaftFlex: 'Regular',
+  selectedShaftLength: 'Standard',
+  perClubSpecs: {},
+};
+
+const visit = (path) => window.history.replaceState(null, '', path);
+
+describe('hand switch handoff', () => {
+  beforeEach(() => {
+    sessionStorage.clear();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    visit('/');
+  });
+
+  it("hands the configuration to the other hand's product page", () => {
+    visit('/products/origin-combo-rh');
+    HandHandoffManager.write('/products/origin-combo-lh', state, 'iron_set', 'Right Handed');
+
+    visit('/products/origin-combo-lh');
+
+    expect(HandHandoffManager.take('iron_set')).toMatchObject({
+      fromHand: 'Right Handed',
+      state: { clubIds: ['5', '6', '7', '8', '9', 'PW'], selectedShaftFlex: 'Regular' },
+    });
+  });
+
+  it('matches the product page under a locale prefix', () => {
+    visit('/fr/products/origin-combo-rh');
+    HandHandoffManager.write('/fr/products/origin-combo-lh', state, 'iron_set', 'Right Handed');
+
+    visit('/fr/products/origin-combo-lh?variant=1');
+
+    expect(HandHandoffManager.take('iron_set')).toMatchObject({ fromHand: 'Right Handed' });
+  });
+
+  it('matches when the storefront redirects a link onto a locale path', () => {
+    HandHandoffManager.write('/products/origin-combo-lh', state, 'iron_set', 'Right Handed');
+
+    visit('/fr/products/origin-combo-lh');
+
+    expect(HandHandoffManager.take('iron_set')).not.toBeNull();
+  });
+
+  it('ignores a handoff meant for another product', () => {
+    HandHandoffManager.write('/products/origin-combo-lh', state, 'iron_set', 'Right Handed');
+
+    visit('/products/origin-blade-lh');
+
+    expect(HandHandoffManager.take('iron_set')).toBeNull();
+    expect(sessionStorage.length).toBe(0);
+  });
+});
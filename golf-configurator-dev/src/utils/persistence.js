@@ -31,6 +31,7 @@ function validateState(state) {
     'selectedGrip',
     'selectedLie',
     'selectedShaftBrand',
+    'selectedShaftMaterial',
     'selectedShaftFlex',
     'selectedShaftLength',
   ];
@@ -240,8 +241,10 @@ export function setupStatePersistence(stateSignals) {
         selectedGrip: stateSignals.selectedGrip.value,
         selectedLie: stateSignals.selectedLie.value,
         selectedShaftBrand: stateSignals.selectedShaftBrand.value,
+        selectedShaftMaterial: stateSignals.selectedShaftMaterial.value,
         selectedShaftFlex: stateSignals.selectedShaftFlex.value,
         selectedShaftLength: stateSignals.selectedShaftLength.value,
+        perClubSpecs: stateSignals.perClubSpecs.value,
       };
 
       PersistenceManager.saveState(currentState);
@@ -255,8 +258,10 @@ export function setupStatePersistence(stateSignals) {
     stateSignals.selectedGrip.value;
     stateSignals.selectedLie.value;
     stateSignals.selectedShaftBrand.value;
+    stateSignals.selectedShaftMaterial.value;
     stateSignals.selectedShaftFlex.value;
     stateSignals.selectedShaftLength.value;
+    stateSignals.perClubSpecs.value;
 
     persistState();
   });
@@ -0,0 +1,142 @@
+/**
+ * Saved Builds Storage
+ * Named configurations kept in localStorage so they survive reloads, unlike session state
+ * Entries older than APP_CONFIG.PERSISTENCE.maxAge are pruned on every read
+ */
+
+import APP_CONFIG from '../config/app.js';
+
+const SAVED_BUILDS_KEY = 'golf-configurator-saved-builds';
+const SAVED_BUILDS_VERSION = '1.0.0';
+
+/**
+ * Validates a stored build entry
+ */
+function validateEntry(entry) {
+  if (!entry || typeof entry !== 'object') return false;
+  if (!entry.id || !entry.name || !entry.mode || typeof entry.timestamp !== 'number') return false;
+  if (!entry.state || !Array.isArray(entry.state.clubIds)) return false;
+  return true;
+}
+
+/**
+ * Reduces a store state to what a build needs to be restored - clubs are stored by ID
+ * @param {Object} state - State from getCurrentState()
+ * @returns {Object} Storable build state
+ */
+export function serializeBuildState(state) {
+  return {
+    clubIds: state.selectedClubs.map((club) => club.id),
+    selectedGrip: state.selectedGrip,
+    selectedLie: state.selectedLie,
+    selectedShaftBrand: state.selectedShaftBrand,
+    selectedShaftMaterial: state.selectedShaftMaterial,
+    selectedShaftFlex: state.selectedShaftFlex,
+    selectedShaftLength: state.selectedShaftLength,
+    perClubSpecs: state.perClubSpecs,
+  };
+}
+
+/**
+ * Safe localStorage operations for saved builds
+ */
+class SavedBuildsManager {
+  /**
+   * Reads all saved builds, dropping corrupt and expired entries
+   * @returns {Array} Saved builds, newest first
+   */
+  static list() {
+    try {
+      if (typeof window === 'undefined') return [];
+
+      const stored = localStorage.getItem(SAVED_BUILDS_KEY);
+      if (!stored) return [];
+
+      const parsed = JSON.parse(stored);
+      if (parsed?.version !== SAVED_BUILDS_VERSION || !Array.isArray(parsed.builds)) {
+        console.warn('🔧 SAVED BUILDS: Unsupported storage format, clearing');
+        localStorage.removeItem(SAVED_BUILDS_KEY);
+        return [];
+      }
+
+      const now = Date.now();
+      const builds = parsed.builds.filter(
+        (entry) => validateEntry(entry) && now - entry.timestamp <= APP_CONFIG.PERSISTENCE.maxAge
+      );
+
+      if (builds.length !== parsed.builds.length) {
+        console.log(`🧹 SAVED BUILDS: Pruned ${parsed.builds.length - builds.length} expired build(s)`);
+        this.write(builds);
+      }
+
+      return builds.sort((a, b) => b.timestamp - a.timestamp);
+    } catch (error) {
+      console.error('❌ SAVED BUILDS: Failed to load saved builds', error);
+      return [];
+    }
+  }
+
+  /**
+   * Saves a named build, replacing any existing build with the same name and mode
+   * @param {string} name - Customer facing name
+   * @param {Object} state - State from getCurrentState()
+   * @param {string} mode - Product mode the build was made in
+   * @returns {Object|null} Saved entry or null on failure
+   */
+  static save(name, state, mode) {
+    try {
+      if (typeof window === 'undefined') return null;
+
+      const trimmedName = name.trim();
+      const entry = {
+        id: `build-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+        name: trimmedName,
+        mode,
+        timestamp: Date.now(),
+        state: serializeBuildState(state),
+      };
+
+      const builds = this.list().filter((build) => !(build.name === trimmedName && build.mode === mode));
+      const updated = [entry, ...builds].slice(0, APP_CONFIG.PERSISTENCE.maxSavedBuilds);
+
+      if (!this.write(updated)) return null;
+      console.log(`💾 SAVED BUILDS: Saved "${trimmedName}"`);
+      return entry;
+    } catch (error) {
+      console.error('❌ SAVED BUILDS: Failed to save build', error);
+      return null;
+    }
+  }
+
+  /**
+   * Finds a saved build by ID
+   */
+  static get(id) {
+    return this.list().find((build) => build.id === id) || null;
+  }
+
+  /**
+   * Deletes a saved build by ID
+   */
+  static remove(id) {
+    const builds = this.list();
+    const remaining = builds.filter((build) => build.id !== id);
+    if (remaining.length === builds.length) return false;
+    return this.write(remaining);
+  }
+
+  /**
+   * Writes the build list with storage metadata
+   */
+  static write(builds) {
+    try {
+      localStorage.setItem(SAVED_BUILDS_KEY, JSON.stringify({ version: SAVED_BUILDS_VERSION, builds }));
+      return true;
+    } catch (error) {
+      console.error('❌ SAVED BUILDS: Failed to write saved builds', error);
+      return false;
+    }
+  }
+}
+
+export { SavedBuildsManager, SAVED_BUILDS_KEY };
@@ -0,0 +1,273 @@
+/**
+ * Theme Configuration Loader
+ * Reads the JSON configuration block rendered by the Shopify theme extension
+ * (<script type="application/json" id="golf-configurator-config">) and validates each field against a schema
+ * Fields are validated when read, so a missing grip list only fails grip loading, not the whole configurator
+ */
+
+import { PRODUCT_MODES } from '../constants/defaults.js';
+
+export const THEME_CONFIG_SCRIPT_ID = 'golf-configurator-config';
+
+// Programmatic hand keys used by the Liquid block → display format used across the app
+const HAND_KEYS = {
+  'right-handed': 'Right Handed',
+  'left-handed': 'Left Handed',
+};
+
+// Locale and currency used when the page has no config block (dev mode)
+const DEFAULT_LOCALE_SETTINGS = { locale: 'en-GB', currency: 'GBP' };
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== '';
+
+// Validation failure - `at` locates the problem inside the field, e.g. '.handle' or '[2]'
+const fail = (problem, at = '') => ({ problem, at });
+
+/**
+ * Validates a product list setting (shaft or grip products)
+ * @param {*} value - Parsed product list
+ * @param {string} settingLabel - Theme editor setting name for the error hint
+ * @returns {Object|null} Failure or null when valid
+ */
+function productListFailure(value, settingLabel) {
+  if (!Array.isArray(value) || value.length === 0) {
+    return fail(`is empty - select products in the "${settingLabel}" block setting`);
+  }
+
+  const index = value.findIndex((product) => !isObject(product) || !Array.isArray(product.variants));
+  if (index !== -1) {
+    return fail(`is not a product with variants - re-select it in the "${settingLabel}" block setting`, `[${index}]`);
+  }
+
+  return null;
+}
+
+/**
+ * Field schema - each validator returns a failure, or null when the value is valid
+ */
+const THEME_CONFIG_SCHEMA = {
+  parentProduct: (value) => {
+    if (!isObject(value)) return fail('is missing - select a product in the "Bundle Parent Product" block setting');
+    if (!isNonEmptyString(value.handle)) return fail('is missing - the product may not be published', '.handle');
+    if (!Array.isArray(value.variants) || value.variants.length === 0) return fail('is empty', '.variants');
+    return null;
+  },
+  shaftProducts: (value) => productListFailure(value, 'Shaft Products'),
+  gripProducts: (value) => productListFailure(value, 'Grip Products'),
+  currentHand: (value) =>
+    Object.keys(HAND_KEYS).includes(value)
+      ? null
+      : fail(
+          `must be one of ${Object.keys(HAND_KEYS).join(', ')} (got ${JSON.stringify(value)}) - set the product's custom.variation_value metafield`
+        ),
+  handLinks: (value) => {
+    if (!isObject(value)) return fail('is missing');
+    const missingHand = Object.keys(HAND_KEYS).find((hand) => !isNonEmptyString(value[hand]));
+    return missingHand
+      ? fail(
+          `is missing - add the ${HAND_KEYS[missingHand]} product to the custom.variation_products metafield`,
+          `.${missingHand}`
+        )
+      : null;
+  },
+  mode: (value) =>
+    Object.values(PRODUCT_MODES).includes(value)
+      ? null
+      : fail(`must be one of ${Object.values(PRODUCT_MODES).join(', ')} (got ${JSON.stringify(value)})`),
+  locale: (value) => (isNonEmptyString(value) ? null : fail('is missing')),
+  currency: (value) =>
+    typeof value === 'string' && /^[A-Z]{3}$/.test(value)
+      ? null
+      : fail(`must be an ISO 4217 currency code (got ${JSON.stringify(value)})`),
+};
+
+let cachedConfig = null;
+
+/**
+ * Parses the theme config block - the payload is rendered with the page, so it is read once
+ * @returns {Object} Raw, unvalidated configuration payload
+ */
+export function readThemeConfig() {
+  if (cachedConfig) return cachedConfig;
+
+  const script = document.getElementById(THEME_CONFIG_SCRIPT_ID);
+  if (!script) {
+    throw new Error(`Theme config block #${THEME_CONFIG_SCRIPT_ID} not found - theme extension is not properly loaded`);
+  }
+
+  let config;
+  try {
+    config = JSON.parse(script.textContent);
+  } catch (error) {
+    throw new Error(`Theme config block #${THEME_CONFIG_SCRIPT_ID} is not valid JSON: ${error.message}`);
+  }
+
+  if (!isObject(config)) {
+    throw new Error(`Theme config block #${THEME_CONFIG_SCRIPT_ID} must contain a JSON object`);
+  }
+
+  cachedConfig = config;
+  return config;
+}
+
+/**
+ * Reads one validated field from the theme config
+ * @param {string} field - Field name (see THEME_CONFIG_SCHEMA)
+ * @returns {*} Field value
+ * @throws {Error} When the config block is missing or the field fails validation
+ */
+export function getThemeConfigValue(field) {
+  const value = readThemeConfig()[field];
+  const failure = THEME_CONFIG_SCHEMA[field](value);
+
+  if (failure) {
+    throw new Error(`Theme config ${field}${failure.at} ${failure.problem}`);
+  }
+
+  return value;
+}
+
+/**
+ * Validates every field at once - used at startup to report all configuration problems together
+ * @returns {Array<string>} Error messages, empty when the config is valid
+ */
+export function validateThemeConfig() {
+  try {
+    readThemeConfig();
+  } catch (error) {
+    return [error.message];
+  }
+
+  return Object.keys(THEME_CONFIG_SCHEMA).flatMap((field) => {
+    try {
+      getThemeConfigValue(field);
+      return [];
+    } catch (error) {
+      return [error.message];
+    }
+  });
+}
+
+// ================================
+// FIELD ACCESSORS
+// ================================
+
+/**
+ * Bundle parent product (with variants) selected in the theme block
+ * @returns {Object} Shopify product JSON
+ */
+export function getBundleParentProduct() {
+  return getThemeConfigValue('parentProduct');
+}
+
+/**
+ * Gets the parent variant ID for the cart transformer
+ * Matches by option1 (setSize) since hand comes from the product metafield
+ * @param {string} setSize - Set size (e.g., "6-PW")
+ * @returns {string} Parent variant GID
+ */
+export function getParentVariantId(setSize) {
+  const parentProduct = getBundleParentProduct();
+  const matchingVariant = parentProduct.variants.find((variant) => variant.option1 === setSize);
+
+  if (!matchingVariant) {
+    console.warn(`⚠️ No parent variant found for ${setSize}, using first variant as fallback`);
+  }
+
+  const parentVariantId = `gid://shopify/ProductVariant/${(matchingVariant || parentProduct.variants[0]).id}`;
+  console.log('🎯 Parent variant ID from theme config:', parentVariantId);
+  return parentVariantId;
+}
+
+/**
+ * Shaft products selected in the theme block
+ * @returns {Array} Shopify product JSON list
+ */
+export function getShaftProducts() {
+  return getThemeConfigValue('shaftProducts');
+}
+
+/**
+ * Grip products selected in the theme block
+ * @returns {Array} Shopify product JSON list
+ */
+export function getGripProducts() {
+  return getThemeConfigValue('gripProducts');
+}
+
+/**
+ * Gets the current product hand
+ * Read on its own so a one-handed product (no link to the other hand) still reports its real hand
+ * @returns {string} Current hand in display format ('Right Handed')
+ */
+export function getProductHand() {
+  return HAND_KEYS[getThemeConfigValue('currentHand')];
+}
+
+/**
+ * Gets the current product hand and the links to each hand's product
+ * Missing hand links only disable hand switching - handLinks is empty rather than throwing
+ * @returns {Object} { currentHand, handLinks } - currentHand in display format ('Right Handed')
+ */
+export function getProductHandAndVariations() {
+  let handLinks = {};
+  try {
+    handLinks = getThemeConfigValue('handLinks');
+  } catch (error) {
+    console.warn('Hand switch unavailable:', error.message);
+  }
+
+  return { currentHand: getProductHand(), handLinks };
+}
+
+/**
+ * Gets the URL for a specific hand variation
+ * @param {string} targetHand - Target hand ('Left Handed' or 'Right Handed')
+ * @param {Object} handLinks - Hand links from getProductHandAndVariations() (optional, read from config if not provided)
+ * @returns {string} Product URL for the target hand, '#' when unavailable
+ */
+export function getHandVariationUrl(targetHand, handLinks = null) {
+  if (!handLinks) {
+    try {
+      handLinks = getThemeConfigValue('handLinks');
+    } catch (error) {
+      console.warn('No hand links available for navigation:', error.message);
+      return '#';
+    }
+  }
+
+  const handKey = Object.keys(HAND_KEYS).find((key) => HAND_KEYS[key] === targetHand);
+  return handLinks[handKey] || '#';
+}
+
+/**
+ * Gets the configurator product mode from the theme block setting
+ * Falls back to iron sets when the config is missing or the mode is unknown
+ * @returns {string} Product mode (see PRODUCT_MODES)
+ */
+export function getProductMode() {
+  try {
+    return getThemeConfigValue('mode');
+  } catch (error) {
+    console.warn(`${error.message} - using ${PRODUCT_MODES.IRON_SET}`);
+    return PRODUCT_MODES.IRON_SET;
+  }
+}
+
+/**
+ * Gets the storefront locale and presentment currency
+ * Falls back to en-GB / GBP when the config is missing (dev mode)
+ * @returns {Object} { locale, currency }
+ */
+export function getLocaleSettings() {
+  try {
+    return {
+      locale: getThemeConfigValue('locale'),
+      currency: getThemeConfigValue('currency'),
+    };
+  } catch (error) {
+    console.warn(`${error.message} - using ${DEFAULT_LOCALE_SETTINGS.locale} / ${DEFAULT_LOCALE_SETTINGS.currency}`);
+    return DEFAULT_LOCALE_SETTINGS;
+  }
+}
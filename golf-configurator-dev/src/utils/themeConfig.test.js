@@ -0,0 +1,34 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { HAND_LINKS, renderThemeConfig, themeConfig } from '../fixtures/theme-config.js';
+
+// The config payload is cached per module, so each test reads a freshly rendered page
+const loadThemeConfig = () => import('./themeConfig.js');
+
+describe('theme config hand lookup', () => {
+  beforeEach(() => {
+    vi.resetModules();
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  it('reads the hand and both links for a two-handed product', async () => {
+    renderThemeConfig(themeConfig({ currentHand: 'left-handed' }));
+    const { getProductHandAndVariations } = await loadThemeConfig();
+
+    expect(getProductHandAndVariations()).toEqual({ currentHand: 'Left Handed', handLinks: HAND_LINKS });
+  });
+
+  it('keeps the real hand of a product made for a single hand', async () => {
+    renderThemeConfig(themeConfig({ currentHand: 'left-handed', handLinks: { 'left-handed': HAND_LINKS['left-handed'] } }));
+    const { getProductHand, getProductHandAndVariations } = await loadThemeConfig();
+
+    expect(getProductHand()).toBe('Left Handed');
+    expect(getProductHandAndVariations()).toEqual({ currentHand: 'Left Handed', handLinks: {} });
+  });
+
+  it('still rejects a missing hand metafield', async () => {
+    renderThemeConfig(themeConfig({ currentHand: undefined }));
+    const { getProductHand } = await loadThemeConfig();
+
+    expect(() => getProductHand()).toThrow(/currentHand/);
+  });
+});
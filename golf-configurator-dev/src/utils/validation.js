@@ -3,57 +3,32 @@
  * Business logic validation functions following DRY architecture
  */
 
-import APP_CONFIG from '../config/app.js';
 import { Logger } from './persistence.js';
-import { CLUB_BUSINESS_RULES, AVAILABLE_CLUBS, SHAFT_LEAD_TIMES } from '../constants/defaults.js';
+import { SHAFT_LEAD_TIMES, PRODUCT_MODES } from '../constants/defaults.js';
+import { getClubRules, toggleClub, validateClubRules } from './clubRules.js';
 
 // ================================
 // CLUB SELECTION VALIDATION
 // ================================
 
 /**
- * Validates club selection against business rules
+ * Gets club count limits for a product mode
+ * @param {string} mode - Product mode (see PRODUCT_MODES)
+ * @returns {Object} Limits { minClubCount, maxClubCount }
+ */
+export function getClubCountLimits(mode = PRODUCT_MODES.IRON_SET) {
+  const { minClubCount, maxClubCount } = getClubRules(mode);
+  return { minClubCount, maxClubCount };
+}
+
+/**
+ * Validates club selection against the mode's club rules
  * @param {Array} clubs - Selected clubs array
+ * @param {string} mode - Product mode (see PRODUCT_MODES)
  * @returns {Object} Validation result { valid: boolean, reason?: string }
  */
-export function validateClubSelection(clubs) {
-  const clubIds = clubs.map((c) => c.id);
-
-  // Check minimum clubs
-  if (clubs.length < APP_CONFIG.BUSINESS.minClubCount) {
-    return {
-      valid: false,
-      reason: `Minimum ${APP_CONFIG.BUSINESS.minClubCount} clubs required`,
-    };
-  }
-
-  // Check maximum clubs
-  if (clubs.length > APP_CONFIG.BUSINESS.maxClubCount) {
-    return {
-      valid: false,
-      reason: `Maximum ${APP_CONFIG.BUSINESS.maxClubCount} clubs allowed`,
-    };
-  }
-
-  // Check required clubs
-  for (const requiredId of APP_CONFIG.BUSINESS.requiredClubs) {
-    if (!clubIds.includes(requiredId)) {
-      return {
-        valid: false,
-        reason: `Required club ${requiredId} missing`,
-      };
-    }
-  }
-
-  // Business rule: 4-iron requires 5-iron
-  if (clubIds.includes('4') && !clubIds.includes('5')) {
-    return {
-      valid: false,
-      reason: 'Selecting 4-iron requires 5-iron',
-    };
-  }
-
-  return { valid: true };
+export function validateClubSelection(clubs, mode = PRODUCT_MODES.IRON_SET) {
+  return validateClubRules(getClubRules(mode), clubs);
 }
 
 // ================================
@@ -83,6 +58,16 @@ export function validateShaftConfiguration(brand, flex, length) {
   return { valid: true };
 }
 
+/**
+ * Validates a shaft variant can be supplied for the whole set
+ * @param {Object} shaftOption - Shaft option from ShaftService.loadShaftOptions
+ * @param {number} clubCount - Number of clubs (shafts needed)
+ * @returns {Object} Validation result { valid, soldOut?, reason? }
+ */
+export function validateShaftAvailability(shaftOption, clubCount) {
+  return validateComponentAvailability(shaftOption, clubCount, 'Shaft');
+}
+
 // ================================
 // GRIP VALIDATION
 // ================================
@@ -108,6 +93,48 @@ export function validateGripConfiguration(grip) {
   return { valid: true };
 }
 
+/**
+ * Validates a grip variant can be supplied for the whole set
+ * @param {Object} gripOption - Grip option from GripService.loadGripOptions
+ * @param {number} clubCount - Number of clubs (grips needed)
+ * @returns {Object} Validation result { valid, soldOut?, reason? }
+ */
+export function validateGripAvailability(gripOption, clubCount) {
+  return validateComponentAvailability(gripOption, clubCount, 'Grip');
+}
+
+// ================================
+// COMPONENT AVAILABILITY
+// ================================
+
+/**
+ * Validates a per-club component variant (shaft or grip) can be supplied for the whole set
+ * Untracked inventory (quantity 0 while available) is not treated as low stock
+ * @param {Object} variant - Component option from its service's load*Options
+ * @param {number} clubCount - Number of clubs (components needed)
+ * @param {string} label - Component name for messages, e.g. 'Shaft'
+ * @returns {Object} Validation result { valid, soldOut?, reason? }
+ */
+export function validateComponentAvailability(variant, clubCount, label) {
+  if (!variant) {
+    return { valid: false, reason: `${label} variant no longer offered` };
+  }
+
+  if (!variant.available) {
+    return { valid: false, soldOut: true, reason: 'Sold out' };
+  }
+
+  const quantity = variant.quantityAvailable;
+  if (quantity > 0 && quantity < clubCount) {
+    return {
+      valid: false,
+      reason: `Only ${quantity} in stock - your set needs ${clubCount}`,
+    };
+  }
+
+  return { valid: true };
+}
+
 // ================================
 // COMPLETE CONFIGURATION VALIDATION
 // ================================
@@ -118,10 +145,11 @@ export function validateGripConfiguration(grip) {
  * @returns {Object} Validation result
  */
 export function validateCompleteConfiguration(config) {
-  const { selectedClubs, selectedShaftBrand, selectedShaftFlex, selectedShaftLength, selectedGrip } = config;
+  const { selectedClubs, selectedShaftBrand, selectedShaftFlex, selectedShaftLength, selectedGrip, productMode } =
+    config;
 
   // Club validation
-  const clubValidation = validateClubSelection(selectedClubs);
+  const clubValidation = validateClubSelection(selectedClubs, productMode);
   if (!clubValidation.valid) {
     return clubValidation;
   }
@@ -169,145 +197,15 @@ export function safeAction(actionName, actionFn) {
 // ================================
 
 /**
- * Auto-adds required clubs based on business rules
+ * Handles club toggle for the given product mode - locked clubs, dependencies and
+ * single-club replacement all come from the mode's club rules
+ * @param {string} mode - Product mode (see PRODUCT_MODES)
+ * @param {string} clubId - Club ID being toggled
  * @param {Array} currentSelection - Currently selected clubs
- * @param {Object} newClub - Club being added
- * @param {Array} availableClubs - All available clubs
- * @returns {Array} Updated club selection
- */
-// ================================
-// CLUB BUSINESS LOGIC UTILITIES
-// ================================
-
-/**
- * Finds a club by iron number (handles PW mapping)
- * @param {string} clubNumber - Club number ('4', '5', '6', '7', '8', '9', 'P')
- * @param {Array} availableClubs - Available clubs array
- * @returns {Object|undefined} Found club object
- */
-export function findClubByNumber(clubNumber, availableClubs = AVAILABLE_CLUBS) {
-  return availableClubs.find((c) => c.name.includes(clubNumber) || (clubNumber === 'P' && c.name.includes('PW')));
-}
-
-/**
- * Checks if a club is currently selected
- * @param {string} clubNumber - Club number to check
- * @param {Array} selectedClubs - Currently selected clubs
- * @returns {boolean} Whether club is selected
- */
-export function isClubSelected(clubNumber, selectedClubs) {
-  return selectedClubs.some(
-    (club) => club.name.includes(clubNumber) || (clubNumber === 'P' && club.name.includes('PW'))
-  );
-}
-
-/**
- * Checks if a club is locked (required clubs cannot be deselected)
- * @param {string} clubNumber - Club number to check
- * @returns {boolean} Whether club is locked
- */
-export function isClubLocked(clubNumber) {
-  return CLUB_BUSINESS_RULES.locked.includes(clubNumber);
-}
-
-/**
- * Applies business rules when adding a club
- * @param {Array} currentSelection - Currently selected clubs
- * @param {Object} newClub - Club being added
- * @param {Array} availableClubs - All available clubs
- * @returns {Array} Updated club selection with dependencies
- */
-export function applyClubSelectionRules(currentSelection, newClub, availableClubs) {
-  let newSelection = [...currentSelection, newClub];
-
-  // Apply dependency rules
-  const dependencies = CLUB_BUSINESS_RULES.dependencies[newClub.id];
-  if (dependencies) {
-    dependencies.forEach((depId) => {
-      const hasDepClub = newSelection.some((c) => c.id === depId);
-      if (!hasDepClub) {
-        const depClub = availableClubs.find((c) => c.id === depId);
-        if (depClub) {
-          newSelection.push(depClub);
-          Logger.info(`Auto-added ${depId}-iron (required with ${newClub.id}-iron)`);
-        }
-      }
-    });
-  }
-
-  return newSelection;
-}
-
-/**
- * Handles complex club toggle logic with business rules
- * @param {string} clubNumber - Club number being toggled
- * @param {Array} currentSelection - Currently selected clubs
- * @param {Array} availableClubs - All available clubs
  * @returns {Object} Result with new selection and success status
  */
-export function handleClubToggle(clubNumber, currentSelection, availableClubs = AVAILABLE_CLUBS) {
-  // Don't allow deselecting locked clubs
-  if (isClubLocked(clubNumber)) {
-    return {
-      success: false,
-      newSelection: currentSelection,
-      reason: `${clubNumber === 'P' ? 'PW' : clubNumber + '-iron'} is required and cannot be deselected`,
-    };
-  }
-
-  const club = findClubByNumber(clubNumber, availableClubs);
-  if (!club) {
-    return {
-      success: false,
-      newSelection: currentSelection,
-      reason: `Club ${clubNumber} not found`,
-    };
-  }
-
-  const isCurrentlySelected = isClubSelected(clubNumber, currentSelection);
-
-  if (clubNumber === '4') {
-    if (!isCurrentlySelected) {
-      // Selecting 4: apply dependency rules (auto-add 5)
-      const newSelection = applyClubSelectionRules(currentSelection, club, availableClubs);
-      return { success: true, newSelection };
-    } else {
-      // Deselecting 4: only deselect 4
-      return {
-        success: true,
-        newSelection: currentSelection.filter((c) => c.id !== club.id),
-      };
-    }
-  } else if (clubNumber === '5') {
-    if (!isCurrentlySelected) {
-      // Selecting 5: just select 5
-      return {
-        success: true,
-        newSelection: [...currentSelection, club],
-      };
-    } else {
-      // Deselecting 5: must also deselect 4 if it's selected
-      let newSelection = currentSelection.filter((c) => c.id !== club.id);
-      if (isClubSelected('4', currentSelection)) {
-        newSelection = newSelection.filter((c) => c.id !== '4');
-        Logger.info('Auto-removed 4-iron (requires 5-iron)');
-      }
-      return { success: true, newSelection };
-    }
-  }
-
-  // For other clubs, simple toggle
-  if (isCurrentlySelected) {
-    return {
-      success: true,
-      newSelection: currentSelection.filter((c) => c.id !== club.id),
-    };
-  } else {
-    return {
-      success: true,
-      newSelection: [...currentSelection, club],
-    };
-  }
+export function handleClubToggleForMode(mode, clubId, currentSelection) {
+  return toggleClub(getClubRules(mode), clubId, currentSelection);
 }
 
 /**
@@ -316,13 +214,14 @@ export function handleClubToggle(clubNumber, currentSelection, availableClubs =
  * @returns {number} Maximum step index that can be accessed
  */
 export function getMaxUnlockedStep(config) {
-  const { selectedClubs, selectedShaftBrand, selectedShaftFlex, selectedShaftLength, selectedGrip } = config;
+  const { selectedClubs, selectedShaftBrand, selectedShaftFlex, selectedShaftLength, selectedGrip, productMode } =
+    config;
 
   // Step 0 (Club): Always accessible
   let maxStep = 0;
 
   // Step 1 (Shaft): Unlocked when minimum clubs selected (hand is from metafields)
-  if (selectedClubs.length >= APP_CONFIG.BUSINESS.minClubCount) {
+  if (selectedClubs.length >= getClubCountLimits(productMode).minClubCount) {
     maxStep = 1;
   }
 
@@ -42,10 +42,22 @@ export default defineConfig({
     'process.env.NODE_ENV': JSON.stringify(process.env.NODE_ENV || 'production'),
   },
 
+  test: {
+    environment: 'jsdom',
+    env: {
+      VITE_MOCK_DELAY: '0',
+      VITE_LOG_LEVEL: 'error',
+    },
+  },
+
   server: {
     port: 3000,
     open: false,
     cors: true,
+    fs: {
+      // Club rules are shared with the app's Shopify extensions (golf-configurator/shared)
+      allow: ['.', '../golf-configurator/shared'],
+    },
     proxy: {
       // Proxy Shopify API calls to your development store
       '/products': {
@@ -1,5 +1,6 @@
 import {
   reactExtension,
+  useApi,
   AdminBlock,
   BlockStack,
   Text,
@@ -8,6 +9,8 @@ import {
   Badge,
 } from '@shopify/ui-extensions-react/admin';
 import { useState, useEffect, useCallback } from 'react';
+import { TransformConfigForm } from './TransformConfigForm';
+import { HealthCheckPanel } from './HealthCheckPanel';
 
 // The target used here must match the target used in the extension's toml file (./shopify.extension.toml)
 const TARGET = 'admin.product-details.block.render';
@@ -16,7 +19,8 @@ export default reactExtension(TARGET, () => <App />);
 
 function App() {
   // The useApi hook provides access to several useful APIs like i18n and data.
-  // const {i18n, data} = useApi(TARGET);
+  const { data } = useApi(TARGET);
+  const productId = data.selected[0]?.id;
 
   // State management
   const [loading, setLoading] = useState(false);
@@ -301,6 +305,10 @@ function App() {
             </Text>
           </BlockStack>
         )}
+
+        {productId && <HealthCheckPanel productId={productId} />}
+
+        {cartTransformId && !checking && <TransformConfigForm cartTransformId={cartTransformId} />}
       </BlockStack>
     </AdminBlock>
   );
@@ -0,0 +1,73 @@
+import { BlockStack, InlineStack, Text, Button, Badge, Divider, Heading } from '@shopify/ui-extensions-react/admin';
+import { useState, useEffect, useCallback } from 'react';
+import { runHealthChecks } from './healthChecks';
+
+/**
+ * Setup diagnostics for the product being viewed - lists each failing check with a fix hint
+ */
+export function HealthCheckPanel({ productId }) {
+  const [results, setResults] = useState([]);
+  const [running, setRunning] = useState(true);
+  const [error, setError] = useState(null);
+
+  const runChecks = useCallback(async () => {
+    setRunning(true);
+    setError(null);
+
+    try {
+      setResults(await runHealthChecks(productId));
+    } catch (err) {
+      console.error('Error running setup checks:', err);
+      setError('Failed to run setup checks');
+    } finally {
+      setRunning(false);
+    }
+  }, [productId]);
+
+  useEffect(() => {
+    runChecks();
+  }, [runChecks]);
+
+  return (
+    <BlockStack gap="base">
+      <Divider />
+      <Heading size={3}>Setup check</Heading>
+
+      {error && (
+        <Badge tone="critical">
+          {error}
+        </Badge>
+      )}
+
+      {running ? (
+        <Text tone="subdued">Checking product setup...</Text>
+      ) : (
+        results.map(({ name, problems }) => (
+          <BlockStack key={name} gap="tight">
+            <InlineStack gap="base" blockAlignment="center">
+              <Badge tone={problems.length === 0 ? 'success' : 'critical'}>
+                {problems.length === 0 ? 'OK' : `${problems.length} problem${problems.length === 1 ? '' : 's'}`}
+              </Badge>
+              <Text fontWeight="bold">{name}</Text>
+            </InlineStack>
+
+            {problems.map(problem => (
+              <BlockStack key={problem.message} gap="none">
+                <Text>{problem.message}</Text>
+                <Text size="small" tone="subdued">
+                  Fix: {problem.hint}
+                </Text>
+              </BlockStack>
+            ))}
+          </BlockStack>
+        ))
+      )}
+
+      <InlineStack gap="loose">
+        <Button onClick={runChecks} disabled={running} loading={running}>
+          Run Checks Again
+        </Button>
+      </InlineStack>
+    </BlockStack>
+  );
+}
@@ -0,0 +1,311 @@
+import {
+  BlockStack,
+  InlineStack,
+  Text,
+  Button,
+  Badge,
+  Checkbox,
+  Divider,
+  Heading,
+  NumberField,
+  TextArea,
+  TextField,
+} from '@shopify/ui-extensions-react/admin';
+import { useState, useEffect, useCallback } from 'react';
+import { adminGraphql } from './adminGraphql';
+import {
+  ATTRIBUTE_LABELS,
+  DISPLAY_ATTRIBUTES,
+  DEFAULT_PRICING,
+  TITLE_TEMPLATES,
+} from '../../../shared/bundle-config.js';
+
+// Read by the cart transformer's input query (cart_transform_run.graphql)
+const CONFIG_NAMESPACE = '$app:golf-configurator';
+const CONFIG_KEY = 'bundle-config';
+
+// The cart transformer's own defaults, so the form shows what checkout does today
+const ATTRIBUTE_FIELDS = Object.keys(ATTRIBUTE_LABELS);
+
+const DEFAULT_CONFIG = {
+  titleTemplates: TITLE_TEMPLATES,
+  attributes: {
+    display: DISPLAY_ATTRIBUTES,
+    labels: ATTRIBUTE_LABELS,
+  },
+  pricing: DEFAULT_PRICING,
+};
+
+// Shown when a stored config still has an assembly fee - the cart transform can only lower a merged
+// bundle's price, so the fee was never charged
+const ASSEMBLY_FEE_NOTICE =
+  'Assembly fees are not supported: bundles can only be discounted at checkout, so the fee was never charged. ' +
+  'Sell assembly as its own product instead. Saving removes the fee from the configuration.';
+
+/**
+ * Merges a stored config over the defaults so partially written metafields still fill every field
+ * Drops settings the cart transform does not support (assemblyFee)
+ */
+function withDefaults(stored) {
+  const storedPricing = { ...stored?.pricing };
+  delete storedPricing.assemblyFee;
+
+  return {
+    titleTemplates: { ...DEFAULT_CONFIG.titleTemplates, ...stored?.titleTemplates },
+    attributes: {
+      display: stored?.attributes?.display || DEFAULT_CONFIG.attributes.display,
+      labels: { ...DEFAULT_CONFIG.attributes.labels, ...stored?.attributes?.labels },
+    },
+    pricing: {
+      ...DEFAULT_CONFIG.pricing,
+      ...storedPricing,
+      fullSetClubCounts: { ...DEFAULT_CONFIG.pricing.fullSetClubCounts, ...stored?.pricing?.fullSetClubCounts },
+    },
+  };
+}
+
+// Empty or non-positive counts keep the current value - a full set of 0 clubs would discount every bundle
+const toClubCount = (value, current) => {
+  const count = Number(value);
+  return value !== '' && value !== null && Number.isFinite(count) && count >= 1 ? count : current;
+};
+
+const toLines = text =>
+  text
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean);
+
+/**
+ * Edits the cart transform's bundle-config metafield: title templates, checkout attributes and pricing rules
+ */
+export function TransformConfigForm({ cartTransformId }) {
+  const [config, setConfig] = useState(withDefaults(null));
+  const [loading, setLoading] = useState(true);
+  const [loaded, setLoaded] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  const loadConfig = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const data = await adminGraphql(
+        `
+          query BundleConfig($id: ID!) {
+            node(id: $id) {
+              ... on CartTransform {
+                metafield(namespace: "${CONFIG_NAMESPACE}", key: "${CONFIG_KEY}") {
+                  value
+                }
+              }
+            }
+          }
+        `,
+        { id: cartTransformId }
+      );
+
+      // Without the transform, saving would write defaults over a config the form never read
+      const transform = data?.node;
+      if (!transform) {
+        throw new Error(`Cart transform ${cartTransformId} not found`);
+      }
+
+      const stored = transform?.metafield?.value ? JSON.parse(transform.metafield.value) : null;
+      setConfig(withDefaults(stored));
+      setLoaded(true);
+      setNotice(stored?.pricing?.assemblyFee !== undefined ? ASSEMBLY_FEE_NOTICE : null);
+    } catch (err) {
+      console.error('Error loading bundle config:', err);
+      setError('Failed to load bundle configuration');
+    } finally {
+      setLoading(false);
+    }
+  }, [cartTransformId]);
+
+  const saveConfig = useCallback(async () => {
+    setSaving(true);
+    setError(null);
+    setMessage(null);
+
+    try {
+      const data = await adminGraphql(
+        `
+          mutation SaveBundleConfig($metafields: [MetafieldsSetInput!]!) {
+            metafieldsSet(metafields: $metafields) {
+              metafields {
+                id
+              }
+              userErrors {
+                field
+                message
+              }
+            }
+          }
+        `,
+        {
+          metafields: [
+            {
+              ownerId: cartTransformId,
+              namespace: CONFIG_NAMESPACE,
+              key: CONFIG_KEY,
+              type: 'json',
+              value: JSON.stringify(config),
+            },
+          ],
+        }
+      );
+
+      const userErrors = data?.metafieldsSet?.userErrors || [];
+      if (userErrors.length > 0) {
+        setError(userErrors.map(e => e.message).join(', '));
+      } else {
+        setMessage('Bundle configuration saved');
+        setNotice(null);
+        setTimeout(() => setMessage(null), 3000);
+      }
+    } catch (err) {
+      console.error('Error saving bundle config:', err);
+      setError('Failed to save bundle configuration');
+    } finally {
+      setSaving(false);
+    }
+  }, [cartTransformId, config]);
+
+  useEffect(() => {
+    loadConfig();
+  }, [loadConfig]);
+
+  const setTitleTemplates = (setComponent, text) =>
+    setConfig(current => ({
+      ...current,
+      titleTemplates: { ...current.titleTemplates, [setComponent]: toLines(text) },
+    }));
+
+  const toggleAttribute = (field, checked) =>
+    setConfig(current => ({
+      ...current,
+      attributes: {
+        ...current.attributes,
+        // Keep display order stable by following ATTRIBUTE_FIELDS
+        display: ATTRIBUTE_FIELDS.filter(item =>
+          item === field ? checked : current.attributes.display.includes(item)
+        ),
+      },
+    }));
+
+  const setAttributeLabel = (field, label) =>
+    setConfig(current => ({
+      ...current,
+      attributes: { ...current.attributes, labels: { ...current.attributes.labels, [field]: label } },
+    }));
+
+  const setPricing = updates =>
+    setConfig(current => ({ ...current, pricing: { ...current.pricing, ...updates } }));
+
+  const setFullSetClubCount = (setComponent, value) =>
+    setConfig(current => {
+      const counts = current.pricing.fullSetClubCounts;
+      const count = toClubCount(value, counts[setComponent] ?? DEFAULT_CONFIG.pricing.fullSetClubCounts[setComponent]);
+      return { ...current, pricing: { ...current.pricing, fullSetClubCounts: { ...counts, [setComponent]: count } } };
+    });
+
+  if (loading) {
+    return <Text tone="subdued">Loading bundle configuration...</Text>;
+  }
+
+  return (
+    <BlockStack gap="base">
+      <Divider />
+      <Heading size={3}>Bundle configuration</Heading>
+
+      <BlockStack gap="tight">
+        <Text fontWeight="bold">Titles</Text>
+        <Text size="small" tone="subdued">
+          One template per line, tried in order. Placeholders: {'{setSize}'}, {'{shaft}'}, {'{hand}'}, {'{grip}'},{' '}
+          {'{clubCount}'}, {'{club}'} (single irons)
+        </Text>
+        <TextArea
+          label="Iron set titles"
+          rows={2}
+          value={config.titleTemplates.iron_set.join('\n')}
+          onChange={text => setTitleTemplates('iron_set', text)}
+        />
+        <TextArea
+          label="Wedge set titles"
+          rows={2}
+          value={config.titleTemplates.wedge_set.join('\n')}
+          onChange={text => setTitleTemplates('wedge_set', text)}
+        />
+        <TextArea
+          label="Single iron titles"
+          rows={2}
+          value={config.titleTemplates.single_iron.join('\n')}
+          onChange={text => setTitleTemplates('single_iron', text)}
+        />
+      </BlockStack>
+
+      <BlockStack gap="tight">
+        <Text fontWeight="bold">Checkout attributes</Text>
+        {ATTRIBUTE_FIELDS.map(field => (
+          <InlineStack key={field} gap="base" blockAlignment="center">
+            <Checkbox
+              label={`Show ${ATTRIBUTE_LABELS[field]}`}
+              checked={config.attributes.display.includes(field)}
+              onChange={checked => toggleAttribute(field, checked)}
+            />
+            <TextField
+              label="Label"
+              value={config.attributes.labels[field]}
+              onChange={label => setAttributeLabel(field, label)}
+            />
+          </InlineStack>
+        ))}
+      </BlockStack>
+
+      <BlockStack gap="tight">
+        <Text fontWeight="bold">Pricing</Text>
+        <NumberField
+          label="Full set discount (%)"
+          min={0}
+          max={100}
+          value={config.pricing.fullSetDiscountPercent}
+          onChange={value => setPricing({ fullSetDiscountPercent: Number(value) || 0 })}
+        />
+        <InlineStack gap="base">
+          <NumberField
+            label="Clubs in a full iron set"
+            min={1}
+            value={config.pricing.fullSetClubCounts.iron_set}
+            onChange={value => setFullSetClubCount('iron_set', value)}
+          />
+          <NumberField
+            label="Clubs in a full wedge set"
+            min={1}
+            value={config.pricing.fullSetClubCounts.wedge_set}
+            onChange={value => setFullSetClubCount('wedge_set', value)}
+          />
+        </InlineStack>
+        <Text size="small" tone="subdued">
+          Bundles can only be discounted at checkout, so assembly or build fees cannot be added here.
+        </Text>
+        {notice && <Badge tone="warning">{notice}</Badge>}
+      </BlockStack>
+
+      {error && <Badge tone="critical">{error}</Badge>}
+      {message && <Badge tone="success">{message}</Badge>}
+
+      <InlineStack gap="loose">
+        <Button variant="primary" onClick={saveConfig} disabled={saving || !loaded} loading={saving}>
+          Save Configuration
+        </Button>
+        <Button onClick={() => setConfig(withDefaults(null))} disabled={saving}>
+          Reset to Defaults
+        </Button>
+      </InlineStack>
+    </BlockStack>
+  );
+}
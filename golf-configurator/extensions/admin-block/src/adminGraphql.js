@@ -0,0 +1,23 @@
+// Admin GraphQL helper for the block's direct API access
+const ADMIN_API_URL = 'shopify:admin/api/2024-10/graphql.json';
+
+/**
+ * Runs an Admin API query and returns its data, throwing on transport or GraphQL errors
+ */
+export async function adminGraphql(query, variables = {}) {
+  const response = await fetch(ADMIN_API_URL, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ query, variables }),
+  });
+
+  const result = await response.json();
+
+  if (result.errors?.length) {
+    throw new Error(result.errors[0]?.message || 'Admin API request failed');
+  }
+
+  return result.data;
+}
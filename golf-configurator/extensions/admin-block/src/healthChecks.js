@@ -0,0 +1,311 @@
+import { adminGraphql } from './adminGraphql';
+import { PRODUCT_MODES, getClubRules, getSetSizes } from '../../../shared/club-rules.js';
+
+// Hand values the theme block matches when building left/right links (golf_configurator.liquid)
+const HAND_VALUES = ['Right Handed', 'Left Handed'];
+
+// Theme app block handle, as it appears in template JSON block types
+const THEME_BLOCK_HANDLE = 'golf_configurator';
+
+const PRODUCT_QUERY = `
+  query ProductHealth($id: ID!) {
+    product(id: $id) {
+      id
+      title
+      templateSuffix
+      variationValue: metafield(namespace: "custom", key: "variation_value") {
+        value
+      }
+      variationProducts: metafield(namespace: "custom", key: "variation_products") {
+        references(first: 10) {
+          nodes {
+            ... on Product {
+              id
+              title
+              variationValue: metafield(namespace: "custom", key: "variation_value") {
+                value
+              }
+            }
+          }
+        }
+      }
+      variants(first: 100) {
+        nodes {
+          title
+          selectedOptions {
+            value
+          }
+        }
+      }
+    }
+  }
+`;
+
+const THEME_TEMPLATES_QUERY = `
+  query ThemeTemplates {
+    themes(first: 1, roles: [MAIN]) {
+      nodes {
+        name
+        files(filenames: ["templates/*.json"], first: 100) {
+          nodes {
+            filename
+            body {
+              ... on OnlineStoreThemeFileBodyText {
+                content
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+const SHAFT_PRODUCTS_QUERY = `
+  query ShaftProducts($query: String!) {
+    products(first: 50, query: $query) {
+      nodes {
+        handle
+        title
+        hasOnlyDefaultVariant
+        variantsCount {
+          count
+        }
+      }
+    }
+  }
+`;
+
+/**
+ * Checks the hand metafields the theme block uses to link the left and right handed products
+ */
+export function checkHandMetafields(product) {
+  const problems = [];
+  const hand = product.variationValue?.value;
+
+  if (!hand) {
+    problems.push({
+      message: 'Missing custom.variation_value metafield',
+      hint: `Set custom.variation_value on this product to "${HAND_VALUES.join('" or "')}".`,
+    });
+  } else if (!HAND_VALUES.includes(hand)) {
+    problems.push({
+      message: `custom.variation_value is "${hand}"`,
+      hint: `Use exactly "${HAND_VALUES.join('" or "')}" - the theme block ignores any other value.`,
+    });
+  }
+
+  const variations = product.variationProducts?.references?.nodes;
+
+  if (!variations) {
+    problems.push({
+      message: 'Missing custom.variation_products metafield',
+      hint: 'Add a custom.variation_products product list metafield referencing the right and left handed products.',
+    });
+    return problems;
+  }
+
+  HAND_VALUES.forEach(handValue => {
+    const matches = variations.filter(variation => variation.variationValue?.value === handValue);
+
+    if (matches.length === 0) {
+      problems.push({
+        message: `custom.variation_products has no ${handValue.toLowerCase()} product`,
+        hint: `Reference a product whose custom.variation_value is "${handValue}".`,
+      });
+    } else if (matches.length > 1) {
+      problems.push({
+        message: `custom.variation_products has ${matches.length} ${handValue.toLowerCase()} products`,
+        hint: `Keep one ${handValue.toLowerCase()} product - the storefront links to the last one it finds.`,
+      });
+    }
+  });
+
+  if (!variations.some(variation => variation.id === product.id)) {
+    problems.push({
+      message: 'custom.variation_products does not include this product',
+      hint: 'Add this product to its own variation list so the hand switch links back to it.',
+    });
+  }
+
+  return problems;
+}
+
+/**
+ * Strips the comment header Shopify writes at the top of generated template JSON files
+ */
+function parseTemplate(content) {
+  return JSON.parse(content.replace(/^\s*\/\*[\s\S]*?\*\//, ''));
+}
+
+/**
+ * Lists the configurator blocks in one template file, empty when the file cannot be parsed
+ */
+function findConfiguratorBlocks(file) {
+  const content = file.body?.content;
+  if (!content) return [];
+
+  let template;
+  try {
+    template = parseTemplate(content);
+  } catch (error) {
+    console.warn(`Skipping unparseable template ${file.filename}:`, error);
+    return [];
+  }
+
+  return Object.values(template.sections || {}).flatMap(section =>
+    Object.values(section.blocks || {}).filter(block => block.type?.includes(`/blocks/${THEME_BLOCK_HANDLE}/`))
+  );
+}
+
+/**
+ * Collects shaft product handles from every configurator block in the main theme's templates
+ */
+export function findThemeShaftHandles(templateFiles) {
+  const blocks = templateFiles.flatMap(findConfiguratorBlocks);
+  const handles = new Set(blocks.flatMap(block => block.settings?.shaft_products || []));
+
+  return { blockCount: blocks.length, handles: [...handles] };
+}
+
+/**
+ * Reads the configurator mode of the block on the product's template (templates/product[.suffix].json)
+ * Returns null when that template has no configurator block
+ */
+export function findProductMode(templateFiles, templateSuffix) {
+  const filename = templateSuffix ? `templates/product.${templateSuffix}.json` : 'templates/product.json';
+  const file = templateFiles.find(item => item.filename === filename);
+  const [block] = file ? findConfiguratorBlocks(file) : [];
+
+  // Matches the block schema's default
+  return block ? block.settings?.configurator_mode || PRODUCT_MODES.IRON_SET : null;
+}
+
+/**
+ * Checks the product has a variant for every set size its configurator mode can request
+ * Set sizes come from the shared club rules, so they match what the storefront writes to the cart
+ */
+export function checkSetSizeVariants(product, mode) {
+  if (!mode) {
+    return [
+      {
+        message: "This product's template has no Golf Configurator block",
+        hint: `Add the block to ${product.templateSuffix ? `the "${product.templateSuffix}"` : 'the default'} product template, or assign this product a template that has it.`,
+      },
+    ];
+  }
+
+  const rules = getClubRules(mode);
+  const setSizes = product.variants.nodes.map(variant => variant.selectedOptions[0]?.value);
+  const found = `Found: ${setSizes.join(', ') || 'none'}.`;
+
+  // Single irons name one fixed set size - the storefront uses it, or else a variant per club
+  if (rules.setSize !== 'range' && rules.setSize !== 'list') {
+    if (setSizes.includes(rules.setSize)) return [];
+
+    return rules.clubs
+      .filter(club => !setSizes.includes(club.name) && !setSizes.includes(club.id))
+      .map(club => ({
+        message: `No variant for the ${club.name}`,
+        hint: `Add a variant whose first option value is "${club.name}", or one "${rules.setSize}" variant for every club. ${found}`,
+      }));
+  }
+
+  return getSetSizes(rules)
+    .filter(setSize => !setSizes.includes(setSize))
+    .map(setSize => ({
+      message: `No variant for set size ${setSize}`,
+      hint: `Add a variant whose first option value is exactly "${setSize}". ${found}`,
+    }));
+}
+
+/**
+ * Checks the shaft products referenced by the theme block exist and have variants
+ * @param {Object|undefined} theme - Main theme with its template files, from THEME_TEMPLATES_QUERY
+ */
+export async function checkThemeShaftProducts(theme) {
+  if (!theme) {
+    return [{ message: 'No published theme found', hint: 'Publish a theme that contains the Golf Configurator block.' }];
+  }
+
+  const { blockCount, handles } = findThemeShaftHandles(theme.files.nodes);
+
+  if (blockCount === 0) {
+    return [
+      {
+        message: `The Golf Configurator block is not in any "${theme.name}" template`,
+        hint: 'Add the block to the product template in the theme editor.',
+      },
+    ];
+  }
+
+  if (handles.length === 0) {
+    return [
+      {
+        message: 'The Golf Configurator block has no shaft products',
+        hint: 'Pick products under "Shaft Products" in the block settings.',
+      },
+    ];
+  }
+
+  const productData = await adminGraphql(SHAFT_PRODUCTS_QUERY, {
+    query: handles.map(handle => `handle:${handle}`).join(' OR '),
+  });
+  const products = productData?.products?.nodes || [];
+
+  return handles.flatMap(handle => {
+    const product = products.find(item => item.handle === handle);
+
+    if (!product) {
+      return [
+        {
+          message: `Shaft product "${handle}" not found`,
+          hint: 'Remove it from "Shaft Products" in the block settings or restore the product.',
+        },
+      ];
+    }
+
+    if (product.variantsCount.count === 0) {
+      return [
+        {
+          message: `Shaft product "${product.title}" has no variants`,
+          hint: 'Add at least one variant - the configurator builds its shaft options from them.',
+        },
+      ];
+    }
+
+    if (product.hasOnlyDefaultVariant) {
+      return [
+        {
+          message: `Shaft product "${product.title}" only has the default variant`,
+          hint: 'Add a variant per flex (e.g. "Regular", "Stiff") - each variant becomes a shaft option.',
+        },
+      ];
+    }
+
+    return [];
+  });
+}
+
+/**
+ * Runs every setup check for a product
+ * Returns one result per check, each with its problems (empty when the check passes)
+ */
+export async function runHealthChecks(productId) {
+  const data = await adminGraphql(PRODUCT_QUERY, { id: productId });
+  const product = data?.product;
+
+  if (!product) {
+    throw new Error(`Product ${productId} not found`);
+  }
+
+  const themeData = await adminGraphql(THEME_TEMPLATES_QUERY);
+  const theme = themeData?.themes?.nodes?.[0];
+  const mode = theme ? findProductMode(theme.files.nodes, product.templateSuffix) : PRODUCT_MODES.IRON_SET;
+
+  return [
+    { name: 'Hand metafields', problems: checkHandMetafields(product) },
+    { name: 'Set size variants', problems: checkSetSizeVariants(product, mode) },
+    { name: 'Theme shaft products', problems: await checkThemeShaftProducts(theme) },
+  ];
+}
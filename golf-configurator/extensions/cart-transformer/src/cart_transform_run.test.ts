@@ -1,6 +1,26 @@
-import { describe, it, expect } from 'vitest';
+import { describe, it, expect, vi, afterEach } from 'vitest';
 import { cartTransformRun } from './cart_transform_run';
 import { CartTransformRunResult } from '../generated/api';
+import {
+  validateBundleMetadata,
+  validateBundleComposition,
+  extractBundleMetadata,
+  parseClubList,
+  validateClubSelection,
+  validateClubConsistency,
+  deriveSetSize,
+} from './utils/validation';
+import { createBundleAttributes, generateBundleTitle, fillTitleTemplate } from './utils/bundle-operations';
+import { calculatePriceAdjustment } from './utils/pricing';
+import { parseTransformConfig, getDefaultTransformConfig } from './utils/transform-config';
+import {
+  cartLine,
+  ironLine,
+  ironLineProperties,
+  shaftLine,
+  gripLine,
+  standaloneLine,
+} from './fixtures/bundle-fixtures';
 
 describe('cart transform function', () => {
   it('returns no operations', () => {
@@ -13,4 +33,564 @@ describe('cart transform function', () => {
 
     expect(result).toEqual(expected);
   });
-});
\ No newline at end of file
+});
+describe('wedge set bundles', () => {
+  it('merges wedge set lines into a Custom Golf Wedge Set bundle', () => {
+    const wedges = { setSize: 'G-S-L', clubs: ['G', 'S', 'L'], bundleComponent: 'wedge_set' };
+
+    const result = cartTransformRun({ cart: { lines: [ironLine(1, wedges, '537.00')] } } as any);
+
+    expect(result.operations).toHaveLength(1);
+    expect(result.operations[0].linesMerge?.title).toBe('Custom Golf Wedge Set - G-S-L');
+    expect(result.operations[0].linesMerge?.attributes).toContainEqual({ key: 'Set Option', value: 'G-S-L' });
+  });
+});
+
+describe('single iron bundles', () => {
+  const single = (club: string) => ({ setSize: 'Iron', clubs: [club], bundleComponent: 'single_iron' });
+
+  it('names the club and shaft in the title', () => {
+    const lines = [ironLine(1, single('7'), '197.00'), shaftLine(2, single('7'))];
+
+    const result = cartTransformRun({ cart: { lines } } as any);
+
+    expect(result.operations).toHaveLength(1);
+    expect(result.operations[0].linesMerge?.title).toBe('Custom 7-Iron with KBS Tour Stiff');
+    expect(result.operations[0].linesMerge?.cartLines).toContainEqual({ cartLineId: lines[1].id, quantity: 1 });
+  });
+
+  it('falls back to the club name without a shaft line', () => {
+    const group = [ironLine(1, single('PW'))];
+
+    expect(generateBundleTitle(extractBundleMetadata(group[0]), group)).toBe('Custom Pitching Wedge');
+  });
+
+  it('accepts any one club from the iron range and derives the Iron set size', () => {
+    expect(() => validateClubSelection(['4'], 'single_iron')).not.toThrow();
+    expect(() => validateClubSelection(['7', '8'], 'single_iron')).toThrow(
+      'Invalid club list for single_iron: Maximum 1 club allowed'
+    );
+    expect(() => validateClubSelection(['G'], 'single_iron')).toThrow(
+      'Invalid club list for single_iron: Gap Wedge is not available here'
+    );
+    expect(deriveSetSize(['7'], 'single_iron')).toBe('Iron');
+  });
+
+  it('rejects a single club sold as an iron set', () => {
+    const lines = [ironLine(1, { setSize: 'Iron', clubs: ['7'] })];
+
+    expect(cartTransformRun({ cart: { lines } } as any).operations).toEqual([]);
+  });
+});
+
+describe('grip components', () => {
+  it('merges iron, shaft and grip lines into one bundle', () => {
+    const withGrip = { grip: 'Golf Pride Tour Velvet Standard' };
+    const lines = [ironLine(1, withGrip), shaftLine(2, withGrip), gripLine(3, withGrip)];
+
+    const result = cartTransformRun({ cart: { lines } } as any);
+
+    expect(result.operations).toHaveLength(1);
+    expect(result.operations[0].linesMerge?.cartLines).toHaveLength(3);
+    expect(result.operations[0].linesMerge?.title).toBe('Custom Golf Iron Set - 6-PW with KBS Tour Stiff');
+    expect(result.operations[0].linesMerge?.attributes).toContainEqual({
+      key: 'Grip',
+      value: 'Golf Pride Tour Velvet Standard',
+    });
+  });
+});
+
+describe('iron set bundles', () => {
+  it('merges an iron-only bundle without shaft attributes', () => {
+    const result = cartTransformRun({ cart: { lines: [ironLine(1)] } } as any);
+
+    expect(result.operations).toEqual([
+      {
+        linesMerge: {
+          cartLines: [{ cartLineId: 'gid://shopify/CartLine/1', quantity: 1 }],
+          title: 'Custom Golf Iron Set - 6-PW',
+          parentVariantId: 'gid://shopify/ProductVariant/40000000000001',
+          attributes: [
+            { key: 'Set Option', value: '6-PW' },
+            { key: 'Lie Angle', value: 'Standard' },
+            { key: '_bundleId', value: 'golf-1700000000000' },
+            { key: '_bundle_component', value: 'iron_set' },
+            { key: '_hand', value: 'Right Handed' },
+            { key: '_setSize', value: '6-PW' },
+            { key: '_club_list', value: '["6","7","8","9","PW"]' },
+            { key: '_lie', value: 'Standard' },
+            { key: '_shaft_brand', value: 'KBS Tour' },
+            { key: '_shaftMaterial', value: 'Steel' },
+            { key: '_shaftFlex', value: 'Stiff' },
+            { key: '_shaftLength', value: 'Standard' },
+          ],
+        },
+      },
+    ]);
+  });
+
+  it('merges iron and shaft lines into one bundle', () => {
+    const options = { setSize: '5-PW', clubs: ['5', '6', '7', '8', '9', 'PW'] };
+    const lines = [ironLine(1, options), shaftLine(2, options)];
+
+    const result = cartTransformRun({ cart: { lines } } as any);
+
+    expect(result.operations).toHaveLength(1);
+    expect(result.operations[0].linesMerge?.cartLines).toEqual([
+      { cartLineId: 'gid://shopify/CartLine/1', quantity: 1 },
+      { cartLineId: 'gid://shopify/CartLine/2', quantity: 6 },
+    ]);
+  });
+
+  it('uses the club line metadata even when the shaft line comes first', () => {
+    const lines = [shaftLine(2), ironLine(1, { lie: '+1°' })];
+
+    const result = cartTransformRun({ cart: { lines } } as any);
+
+    expect(result.operations[0].linesMerge?.attributes).toContainEqual({ key: 'Lie Angle', value: '+1°' });
+  });
+});
+
+describe('bundle attributes', () => {
+  it('produces set, lie, shaft, length and grip attributes in order', () => {
+    const options = {
+      lie: '-1°',
+      shaftBrand: 'Fujikura Axiom',
+      shaftFlex: 'Regular',
+      shaftLength: '+0.5"',
+      grip: 'Lamkin Crossline Midsize',
+    };
+    const group = [ironLine(1, options), shaftLine(2, options)];
+    const metadata = extractBundleMetadata(group[0]);
+
+    expect(createBundleAttributes(metadata, group)).toEqual([
+      { key: 'Set Option', value: '6-PW' },
+      { key: 'Lie Angle', value: '-1°' },
+      { key: 'Shaft', value: 'Fujikura Axiom Regular' },
+      { key: 'Length', value: '+0.5"' },
+      { key: 'Grip', value: 'Lamkin Crossline Midsize' },
+    ]);
+  });
+
+  it('does not repeat the flex when the shaft brand already contains it', () => {
+    const options = { shaftBrand: 'KBS Tour Lite Stiff', shaftFlex: 'Stiff' };
+    const group = [ironLine(1, options), shaftLine(2, options)];
+
+    expect(createBundleAttributes(extractBundleMetadata(group[0]), group)).toContainEqual({
+      key: 'Shaft',
+      value: 'KBS Tour Lite Stiff',
+    });
+  });
+
+  it('shows per-club specs in club order in place of the set-wide lie and length', () => {
+    const perClubSpecs = {
+      PW: { length: 'Standard', lie: '-1°' },
+      '9': { length: 'Standard', lie: 'Standard' },
+      '8': { length: 'Standard', lie: 'Standard' },
+      '7': { length: '+0.5"', lie: 'Standard' },
+      '6': { length: '+0.5"', lie: 'Standard' },
+    };
+    const group = [ironLine(1, { perClubSpecs }), shaftLine(2)];
+
+    expect(createBundleAttributes(extractBundleMetadata(group[0]), group)).toEqual([
+      { key: 'Set Option', value: '6-PW' },
+      { key: 'Shaft', value: 'KBS Tour Stiff' },
+      { key: 'Club 6', value: 'Length +0.5", Lie Angle Standard' },
+      { key: 'Club 7', value: 'Length +0.5", Lie Angle Standard' },
+      { key: 'Club 8', value: 'Length Standard, Lie Angle Standard' },
+      { key: 'Club 9', value: 'Length Standard, Lie Angle Standard' },
+      { key: 'Club PW', value: 'Length Standard, Lie Angle -1°' },
+    ]);
+  });
+
+  it('falls back to the set-wide lie and length when per-club specs are malformed', () => {
+    const group = [ironLine(1), shaftLine(2)];
+    group[0].perClubSpecs = { value: 'not json' };
+
+    const attributes = createBundleAttributes(extractBundleMetadata(group[0]), group);
+
+    expect(attributes).toContainEqual({ key: 'Lie Angle', value: 'Standard' });
+    expect(attributes).toContainEqual({ key: 'Length', value: 'Standard' });
+    expect(attributes.some((attribute) => attribute.key.startsWith('Club '))).toBe(false);
+  });
+});
+
+describe('hidden bundle attributes', () => {
+  it('keeps the bundle ID and configuration on the merged line for editing', () => {
+    const options = { grip: 'Golf Pride Tour Velvet Standard', perClubSpecs: { 6: { length: '+0.5"', lie: '+1°' } } };
+    const lines = [ironLine(1, options), shaftLine(2, options), gripLine(3, options)];
+
+    const attributes = cartTransformRun({ cart: { lines } } as any).operations[0].linesMerge?.attributes;
+
+    expect(attributes).toContainEqual({ key: '_bundleId', value: 'golf-1700000000000' });
+    expect(attributes).toContainEqual({ key: '_grip', value: 'Golf Pride Tour Velvet Standard' });
+    expect(attributes).toContainEqual({ key: '_per_club_specs', value: '{"6":{"length":"+0.5\\"","lie":"+1°"}}' });
+  });
+
+  it('leaves out properties the main line does not have', () => {
+    const attributes = cartTransformRun({ cart: { lines: [ironLine(1)] } } as any).operations[0].linesMerge?.attributes;
+
+    expect(attributes?.some((attribute) => attribute.key === '_grip' || attribute.key === '_per_club_specs')).toBe(false);
+  });
+});
+
+describe('carts with several bundles', () => {
+  it('creates one merge operation per bundle', () => {
+    const first = { bundleId: 'golf-1' };
+    const second = { bundleId: 'golf-2', setSize: '4-PW', clubs: ['4', '5', '6', '7', '8', '9', 'PW'] };
+    const lines = [ironLine(1, first), shaftLine(2, first), ironLine(3, second), shaftLine(4, second)];
+
+    const result = cartTransformRun({ cart: { lines } } as any);
+
+    expect(result.operations).toHaveLength(2);
+    const mergedIds = result.operations.map((operation) =>
+      operation.linesMerge?.cartLines.map((line) => line.cartLineId)
+    );
+    expect(mergedIds).toEqual([
+      ['gid://shopify/CartLine/1', 'gid://shopify/CartLine/2'],
+      ['gid://shopify/CartLine/3', 'gid://shopify/CartLine/4'],
+    ]);
+    expect(result.operations[1].linesMerge?.attributes).toContainEqual({ key: 'Set Option', value: '4-PW' });
+  });
+
+  it('leaves lines without a bundle ID untouched', () => {
+    const lines = [standaloneLine(1), ironLine(2), standaloneLine(3), shaftLine(4)];
+
+    const result = cartTransformRun({ cart: { lines } } as any);
+    const mergedIds = result.operations.flatMap((operation) =>
+      operation.linesMerge?.cartLines.map((line) => line.cartLineId)
+    );
+
+    expect(result.operations).toHaveLength(1);
+    expect(mergedIds).toEqual(['gid://shopify/CartLine/2', 'gid://shopify/CartLine/4']);
+  });
+
+  it('returns no operations for a cart without bundles', () => {
+    const result = cartTransformRun({ cart: { lines: [standaloneLine(1), standaloneLine(2)] } } as any);
+
+    expect(result.operations).toEqual([]);
+  });
+});
+
+describe('metadata validation', () => {
+  it.each(['_hand', '_setSize', '_parentVariantId'])('rejects and skips a bundle when %s is missing', (property) => {
+    const properties = ironLineProperties();
+    delete properties[property];
+    const line = cartLine(1, properties, { amount: '985.00' });
+
+    expect(() => validateBundleMetadata(line)).toThrow(`Missing required bundle metadata: ${property}`);
+    expect(cartTransformRun({ cart: { lines: [line] } } as any).operations).toEqual([]);
+  });
+
+  it('reports every missing property at once', () => {
+    const properties = ironLineProperties();
+    delete properties._hand;
+    delete properties._setSize;
+
+    expect(() => validateBundleMetadata(cartLine(1, properties))).toThrow(
+      'Missing required bundle metadata: _hand, _setSize'
+    );
+  });
+
+  it('rejects and skips a bundle with a malformed club list', () => {
+    const line = cartLine(1, { ...ironLineProperties(), _club_list: '["6","7",' });
+
+    expect(cartTransformRun({ cart: { lines: [line] } } as any).operations).toEqual([]);
+    expect(() => parseClubList('["6","7",')).toThrow('Invalid club list JSON');
+  });
+
+  it('rejects a club list that is not an array', () => {
+    expect(() => parseClubList('{"6":true}')).toThrow('Club list must be a JSON array');
+    expect(parseClubList('["6","7","8","9","PW"]')).toEqual(['6', '7', '8', '9', 'PW']);
+  });
+});
+
+describe('club list consistency', () => {
+  it.each([
+    ['6-PW', ['6', '7', '8', '9', 'PW']],
+    ['5-PW', ['5', '6', '7', '8', '9', 'PW']],
+    ['4-PW', ['4', '5', '6', '7', '8', '9', 'PW']],
+  ])('derives %s from its club list', (setSize, clubs) => {
+    expect(deriveSetSize(clubs, 'iron_set')).toBe(setSize);
+  });
+
+  it('derives wedge set sizes in catalogue order', () => {
+    expect(deriveSetSize(['L', 'G'], 'wedge_set')).toBe('G-L');
+  });
+
+  it('rejects a 4-PW club list declared as 6-PW so it cannot merge at 6-PW pricing', () => {
+    const options = { setSize: '6-PW', clubs: ['4', '5', '6', '7', '8', '9', 'PW'] };
+    const lines = [ironLine(1, options), shaftLine(2, options)];
+
+    expect(() => validateClubConsistency(extractBundleMetadata(lines[0]))).toThrow(
+      'Set size mismatch: _setSize is 6-PW but club list 4, 5, 6, 7, 8, 9, PW implies 4-PW'
+    );
+    expect(cartTransformRun({ cart: { lines } } as any).operations).toEqual([]);
+  });
+
+  it('enforces the storefront club selection rules', () => {
+    expect(() => validateClubSelection(['7', '8', '9', 'PW', '5'], 'iron_set')).toThrow(
+      'Invalid club list for iron_set: Required club 6-Iron missing'
+    );
+    expect(() => validateClubSelection(['4', '6', '7', '8', '9', 'PW'], 'iron_set')).toThrow(
+      'Invalid club list for iron_set: Selecting 4-Iron requires 5-Iron'
+    );
+    expect(() => validateClubSelection(['6', '7', '8', '9'], 'iron_set')).toThrow(
+      'Invalid club list for iron_set: Minimum 5 clubs required'
+    );
+    expect(() => validateClubSelection(['6', '6', '7', '8', '9', 'PW'], 'iron_set')).toThrow('Duplicate clubs');
+    expect(() => validateClubSelection(['G', '7'], 'wedge_set')).toThrow(
+      'Invalid club list for wedge_set: 7-Iron is not available here'
+    );
+    expect(() => validateClubSelection(['S'], 'wedge_set')).not.toThrow();
+  });
+
+  it('returns the club count for a consistent bundle', () => {
+    expect(validateClubConsistency(extractBundleMetadata(ironLine(1)))).toBe(5);
+  });
+});
+
+describe('shared club rules', () => {
+  afterEach(() => {
+    vi.doUnmock('../../../shared/club-rules.js');
+    vi.resetModules();
+  });
+
+  // A head model with a 3-iron: the storefront offers 3-PW once the shared rules list the club
+  async function runWithThreeIron(lines: ReturnType<typeof ironLine>[]) {
+    vi.resetModules();
+    vi.doMock('../../../shared/club-rules.js', async (importOriginal) => {
+      const shared: any = await importOriginal();
+      const ironSet = shared.CLUB_RULES.iron_set;
+      const rules = {
+        ...shared.CLUB_RULES,
+        iron_set: {
+          ...ironSet,
+          clubs: [{ id: '3', name: '3-Iron', type: 'iron' }, ...ironSet.clubs],
+          dependencies: { ...ironSet.dependencies, 3: ['4'] },
+          maxClubCount: 8,
+        },
+      };
+      return { ...shared, CLUB_RULES: rules, getClubRules: (mode: string) => rules[mode] };
+    });
+
+    const { cartTransformRun: run } = await import('./cart_transform_run');
+    return run({ cart: { lines } } as any);
+  }
+
+  it('merges a set with a club added to the shared rules', async () => {
+    const options = { setSize: '3-PW', clubs: ['3', '4', '5', '6', '7', '8', '9', 'PW'] };
+    const result = await runWithThreeIron([ironLine(1, options), shaftLine(2, options)]);
+
+    expect(result.operations).toHaveLength(1);
+    expect(result.operations[0].linesMerge.title).toBe('Custom Golf Iron Set - 3-PW with KBS Tour Stiff');
+  });
+
+  it('still rejects a 3-iron without the clubs it needs', async () => {
+    const options = { setSize: '3-PW', clubs: ['3', '5', '6', '7', '8', '9', 'PW'] };
+
+    expect((await runWithThreeIron([ironLine(1, options)])).operations).toEqual([]);
+  });
+});
+
+describe('graceful degradation', () => {
+  it('still merges valid bundles when another bundle is malformed', () => {
+    const broken = ironLineProperties({ bundleId: 'golf-broken' });
+    delete broken._parentVariantId;
+    const lines = [
+      cartLine(1, broken, { amount: '985.00' }),
+      shaftLine(2, { bundleId: 'golf-broken' }),
+      ironLine(3, { bundleId: 'golf-ok' }),
+      shaftLine(4, { bundleId: 'golf-ok' }),
+    ];
+
+    const result = cartTransformRun({ cart: { lines } } as any);
+
+    expect(result.operations).toHaveLength(1);
+    expect(result.operations[0].linesMerge?.cartLines.map((line) => line.cartLineId)).toEqual([
+      'gid://shopify/CartLine/3',
+      'gid://shopify/CartLine/4',
+    ]);
+  });
+
+  it('skips an incomplete bundle whose iron line was removed', () => {
+    const lines = [shaftLine(1, { bundleId: 'golf-orphan' }), ironLine(2), shaftLine(3)];
+
+    const result = cartTransformRun({ cart: { lines } } as any);
+
+    expect(result.operations).toHaveLength(1);
+    expect(result.operations[0].linesMerge?.cartLines.map((line) => line.cartLineId)).toEqual([
+      'gid://shopify/CartLine/2',
+      'gid://shopify/CartLine/3',
+    ]);
+  });
+
+  it('detects missing and duplicated main lines', () => {
+    expect(() => validateBundleComposition([shaftLine(1)])).toThrow(
+      'Incomplete bundle: no main club line (components present: shaft)'
+    );
+    expect(() => validateBundleComposition([ironLine(1), ironLine(2)])).toThrow('2 main club lines');
+    expect(validateBundleComposition([shaftLine(1), ironLine(2)]).id).toBe('gid://shopify/CartLine/2');
+  });
+});
+
+describe('bundle titles', () => {
+  const values = {
+    setSize: '5-PW',
+    shaft: 'KBS Tour Lite Stiff',
+    hand: 'Left Handed',
+    grip: '',
+    clubCount: '6',
+    club: '',
+  };
+
+  it('fills every placeholder in a template', () => {
+    expect(fillTitleTemplate('{setSize} ({clubCount} clubs, {hand}) with {shaft}', values)).toBe(
+      '5-PW (6 clubs, Left Handed) with KBS Tour Lite Stiff'
+    );
+  });
+
+  it('returns null when a placeholder has no value', () => {
+    expect(fillTitleTemplate('{setSize} with {grip}', values)).toBeNull();
+  });
+
+  it('names the shaft when the bundle has a shaft line', () => {
+    const options = { setSize: '5-PW', clubs: ['5', '6', '7', '8', '9', 'PW'], shaftBrand: 'KBS Tour Lite' };
+    const group = [ironLine(1, options), shaftLine(2, options)];
+
+    expect(generateBundleTitle(extractBundleMetadata(group[0]), group)).toBe(
+      'Custom Golf Iron Set - 5-PW with KBS Tour Lite Stiff'
+    );
+  });
+
+  it('falls back to the base template without a shaft line', () => {
+    const group = [ironLine(1, { setSize: '4-PW' })];
+
+    expect(generateBundleTitle(extractBundleMetadata(group[0]), group)).toBe('Custom Golf Iron Set - 4-PW');
+  });
+
+  it('falls back to the static set title when the set size is empty', () => {
+    const group = [ironLine(1)];
+    const metadata = { ...extractBundleMetadata(group[0]), _setSize: '' };
+
+    expect(generateBundleTitle(metadata, group)).toBe('Custom Set');
+  });
+});
+
+describe('bundle pricing', () => {
+  const withPricing = (lines: unknown[], pricing?: object) => ({
+    cart: { lines },
+    cartTransform: {
+      config: pricing === undefined ? null : { value: JSON.stringify({ pricing }) },
+    },
+  });
+  const pricingRules = (pricing: unknown) => parseTransformConfig(JSON.stringify({ pricing })).pricing;
+  const fullSet = { setSize: '4-PW', clubs: ['4', '5', '6', '7', '8', '9', 'PW'] };
+
+  it('leaves the price untouched without a pricing metafield', () => {
+    const result = cartTransformRun(withPricing([ironLine(1, fullSet), shaftLine(2, fullSet)]) as any);
+
+    expect(result.operations[0].linesMerge?.price).toBeUndefined();
+  });
+
+  it('applies the full set discount to bundles with enough clubs', () => {
+    const result = cartTransformRun(
+      withPricing([ironLine(1, fullSet), shaftLine(2, fullSet)], { fullSetDiscountPercent: 10 }) as any
+    );
+
+    expect(result.operations[0].linesMerge?.price).toEqual({ percentageDecrease: { value: 10 } });
+  });
+
+  it('does not discount bundles below the full set club count', () => {
+    const result = cartTransformRun(withPricing([ironLine(1), shaftLine(2)], { fullSetDiscountPercent: 10 }) as any);
+
+    expect(result.operations[0].linesMerge?.price).toBeUndefined();
+  });
+
+  it('ignores an assembly fee because merged bundles cannot be priced up', () => {
+    const rules = pricingRules({ fullSetDiscountPercent: 10, assemblyFee: 50 });
+
+    expect(rules).not.toHaveProperty('assemblyFee');
+    expect(calculatePriceAdjustment(2063, 7, 'iron_set', rules)).toBe(10);
+    expect(calculatePriceAdjustment(2063, 7, 'iron_set', pricingRules({ assemblyFee: 25 }))).toBeNull();
+  });
+
+  it('uses per set club counts for full sets', () => {
+    const rules = pricingRules({ fullSetDiscountPercent: 5, fullSetClubCounts: { wedge_set: 2 } });
+
+    expect(calculatePriceAdjustment(358, 2, 'wedge_set', rules)).toBe(5);
+    expect(rules.fullSetClubCounts.iron_set).toBe(7);
+  });
+
+  it('keeps the default full set club count when the stored count is below one club', () => {
+    const rules = pricingRules({ fullSetDiscountPercent: 10, fullSetClubCounts: { iron_set: 0, wedge_set: -1 } });
+
+    expect(rules.fullSetClubCounts).toEqual({ iron_set: 7, wedge_set: 3 });
+    expect(calculatePriceAdjustment(1473, 5, 'iron_set', rules)).toBeNull();
+  });
+
+  it('falls back to defaults for invalid pricing JSON and values', () => {
+    const defaults = getDefaultTransformConfig().pricing;
+
+    expect(parseTransformConfig('not json').pricing).toEqual(defaults);
+    expect(pricingRules('10%')).toEqual(defaults);
+    expect(pricingRules({ fullSetDiscountPercent: 150, assemblyFee: -5 })).toEqual(defaults);
+  });
+});
+
+describe('transform config metafield', () => {
+  const withConfig = (lines: unknown[], config: unknown) => ({
+    cart: { lines },
+    cartTransform: { config: { value: typeof config === 'string' ? config : JSON.stringify(config) } },
+  });
+
+  it('uses the built-in defaults without a metafield', () => {
+    const config = parseTransformConfig(null);
+
+    expect(config.titleTemplates.iron_set).toEqual([
+      'Custom Golf Iron Set - {setSize} with {shaft}',
+      'Custom Golf Iron Set - {setSize}',
+    ]);
+    expect(config.attributes.display).toEqual(['setOption', 'lie', 'shaft', 'length', 'clubSpecs', 'grip']);
+    expect(config.pricing.fullSetDiscountPercent).toBe(0);
+  });
+
+  it('applies merchant title templates', () => {
+    const config = { titleTemplates: { iron_set: ['{hand} {setSize} build ({clubCount} clubs)'] } };
+
+    const result = cartTransformRun(withConfig([ironLine(1)], config) as any);
+
+    expect(result.operations[0].linesMerge?.title).toBe('Right Handed 6-PW build (5 clubs)');
+  });
+
+  it('shows only the configured attributes with merchant labels', () => {
+    const config = { attributes: { display: ['shaft', 'hand'], labels: { shaft: 'Shaft Model' } } };
+
+    const result = cartTransformRun(withConfig([ironLine(1), shaftLine(2)], config) as any);
+    const shown = result.operations[0].linesMerge?.attributes?.filter((attribute) => !attribute.key.startsWith('_'));
+
+    expect(shown).toEqual([
+      { key: 'Shaft Model', value: 'KBS Tour Stiff' },
+      { key: 'Hand', value: 'Right Handed' },
+    ]);
+  });
+
+  it('drops unknown attribute fields and keeps valid sections when others are invalid', () => {
+    const config = parseTransformConfig(
+      JSON.stringify({
+        titleTemplates: { iron_set: 'not a list' },
+        attributes: { display: ['grip', 'price'] },
+        pricing: { fullSetDiscountPercent: 5 },
+      })
+    );
+
+    expect(config.titleTemplates.iron_set).toEqual(getDefaultTransformConfig().titleTemplates.iron_set);
+    expect(config.attributes.display).toEqual(['grip']);
+    expect(config.pricing.fullSetDiscountPercent).toBe(5);
+  });
+
+  it('ignores a metafield that is not a JSON object', () => {
+    expect(parseTransformConfig('[1,2]')).toEqual(getDefaultTransformConfig());
+    expect(parseTransformConfig('{oops')).toEqual(getDefaultTransformConfig());
+  });
+});
@@ -1,14 +1,68 @@
-import type { CartTransformRunInput, CartTransformRunResult } from '../generated/api';
-import type { TypedCartLine } from './types/bundle-types';
-import { validateBundleMetadata, extractBundleMetadata } from './utils/validation';
+import type { CartTransformRunInput, CartTransformRunResult, CartOperation } from '../generated/api';
+import type { TypedCartLine, TransformConfig } from './types/bundle-types';
+import {
+  validateBundleMetadata,
+  validateBundleComposition,
+  extractBundleMetadata,
+  validateClubConsistency,
+} from './utils/validation';
 import {
   groupItemsByBundle,
   calculateBundlePrice,
   generateBundleTitle,
   createBundleAttributes,
+  createHiddenAttributes,
 } from './utils/bundle-operations';
+import { calculatePriceAdjustment } from './utils/pricing';
+import { parseTransformConfig } from './utils/transform-config';
 import { Logger } from './utils/logger';
 
+/**
+ * Builds the merge operation for one bundle
+ * Throws when the bundle is incomplete or its metadata is malformed
+ */
+function createMergeOperation(bundleId: string, group: TypedCartLine[], config: TransformConfig): CartOperation {
+  Logger.bundleProcessing(bundleId, group.length);
+  Logger.componentAnalysis(group);
+
+  // Use main item as representative (all items should have identical metadata)
+  const mainItem = validateBundleComposition(group);
+  Logger.metadataExtraction(mainItem);
+
+  // Validate and extract metadata (fail-fast per bundle)
+  validateBundleMetadata(mainItem);
+  const metadata = extractBundleMetadata(mainItem);
+  const clubCount = validateClubConsistency(metadata);
+
+  // Calculate bundle price and generate title
+  const totalPrice = calculateBundlePrice(group);
+  const currency = mainItem.cost.amountPerQuantity.currencyCode;
+  const title = generateBundleTitle(metadata, group, config.titleTemplates);
+
+  // Log results
+  Logger.bundleResults(title, totalPrice, currency, clubCount);
+  Logger.parentVariant(metadata._parentVariantId);
+
+  const attributes = [...createBundleAttributes(metadata, group, config.attributes), ...createHiddenAttributes(mainItem)];
+
+  // Merchant pricing rules (full set discount)
+  const percentageDecrease = calculatePriceAdjustment(totalPrice, clubCount, metadata._bundle_component, config.pricing);
+  Logger.priceAdjustment(percentageDecrease);
+
+  return {
+    linesMerge: {
+      cartLines: group.map((line) => ({
+        cartLineId: line.id,
+        quantity: line.quantity,
+      })),
+      title,
+      parentVariantId: metadata._parentVariantId,
+      attributes,
+      ...(percentageDecrease !== null && { price: { percentageDecrease: { value: percentageDecrease } } }),
+    },
+  };
+}
+
 export function cartTransformRun(input: CartTransformRunInput): CartTransformRunResult {
   const lines = input.cart.lines as TypedCartLine[];
 
@@ -21,46 +75,21 @@ export function cartTransformRun(input: CartTransformRunInput): CartTransformRun
     Logger.lineProcessing(index, line.id, bundleId);
   });
 
+  // Merchant configuration is read once per run from the cart transform metafield
+  const config = parseTransformConfig(input.cartTransform?.config?.value);
+
   // Group items by bundle ID
   const groupedItems = groupItemsByBundle(lines);
   Logger.bundleGroups(Object.keys(groupedItems));
 
-  // Create transformation operations
-  const operations = Object.entries(groupedItems).map(([bundleId, group]) => {
-    Logger.bundleProcessing(bundleId, group.length);
-    Logger.componentAnalysis(group);
-
-    // Use first item as representative (all items should have identical metadata)
-    const firstItem = group[0];
-    Logger.metadataExtraction(firstItem);
-
-    // Validate and extract metadata (fail-fast approach)
-    validateBundleMetadata(firstItem);
-    const metadata = extractBundleMetadata(firstItem);
-
-    // Calculate bundle price and generate title
-    const totalPrice = calculateBundlePrice(group);
-    const currency = firstItem.cost.amountPerQuantity.currencyCode;
-    const title = generateBundleTitle(metadata, group);
-    const clubCount = JSON.parse(metadata._club_list).length;
-
-    // Log results
-    Logger.bundleResults(title, totalPrice, currency, clubCount);
-    Logger.parentVariant(metadata._parentVariantId);
-
-    const attributes = createBundleAttributes(metadata, group);
-
-    return {
-      linesMerge: {
-        cartLines: group.map((line) => ({
-          cartLineId: line.id,
-          quantity: line.quantity,
-        })),
-        title,
-        parentVariantId: metadata._parentVariantId,
-        attributes,
-      },
-    };
+  // Create transformation operations - a malformed bundle is skipped so the rest of the cart still merges
+  const operations: CartOperation[] = [];
+  Object.entries(groupedItems).forEach(([bundleId, group]) => {
+    try {
+      operations.push(createMergeOperation(bundleId, group, config));
+    } catch (error) {
+      Logger.bundleSkipped(bundleId, error instanceof Error ? error.message : String(error));
+    }
   });
 
   Logger.complete(operations.length);
@@ -1,19 +1,40 @@
 /**
  * Bundle Configuration
  * Static constants and business rules for cart transformation
+ * Club names and club selection rules come from the app's shared club rules (shared/club-rules.js),
+ * metafield defaults from the shared bundle config (shared/bundle-config.js)
  * No fallback values - fail fast approach
  */
 
+import {
+  ATTRIBUTE_LABELS,
+  COMPONENT_TYPES,
+  DISPLAY_ATTRIBUTES,
+  DEFAULT_PRICING,
+  TITLE_TEMPLATES,
+} from '../../../../shared/bundle-config.js';
+
 export const BUNDLE_CONFIG = {
   // Component type identifiers
-  COMPONENT_TYPES: {
-    MAIN: 'main',
-    SHAFT: 'shaft',
-  } as const,
+  COMPONENT_TYPES,
 
   // Bundle type identifier
   BUNDLE_TYPE: 'golf_configurator',
 
+  // Main line set identifiers (_bundle_component)
+  SET_COMPONENTS: {
+    IRON_SET: 'iron_set',
+    WEDGE_SET: 'wedge_set',
+    SINGLE_IRON: 'single_iron',
+  } as const,
+
+  // Last-resort bundle titles per set component (used when no title template can be filled)
+  SET_TITLES: {
+    iron_set: 'Custom Set',
+    wedge_set: 'Custom Wedge Set',
+    single_iron: 'Custom Iron',
+  } as const,
+
   // Cart attribute keys
   ATTRIBUTE_KEYS: {
     BUNDLE_TYPE: '_bundle_type',
@@ -23,12 +44,29 @@ export const BUNDLE_CONFIG = {
     BUNDLE_SET_SIZE: '_bundle_set_size',
   } as const,
 
-  // Title generation templates
-  TITLE_TEMPLATES: {
-    BASE: 'Custom Golf Iron Set - {setSize}',
-    WITH_SHAFT: 'Custom Golf Iron Set - {setSize} with {shaft}',
+  // Main line properties carried onto the merged line as hidden (underscore) attributes, so the storefront
+  // finds a merged bundle by _bundleId and reopens it in the configurator (cart property → input query field)
+  HIDDEN_ATTRIBUTES: {
+    _bundleId: 'bundleId',
+    _bundle_component: 'bundleComponent',
+    _hand: 'hand',
+    _setSize: 'setSize',
+    _club_list: 'clubList',
+    _lie: 'lie',
+    _per_club_specs: 'perClubSpecs',
+    _grip: 'grip',
+    _shaft_brand: 'shaftBrand',
+    _shaftMaterial: 'shaftMaterial',
+    _shaftFlex: 'shaftFlex',
+    _shaftLength: 'shaftLength',
   } as const,
 
+  // Bundle-config metafield defaults, shared with the admin config form and order build sheet
+  TITLE_TEMPLATES,
+  DISPLAY_ATTRIBUTES,
+  ATTRIBUTE_LABELS,
+  DEFAULT_PRICING,
+
   // Required metadata properties for validation
   REQUIRED_PROPERTIES: [
     '_hand',
@@ -0,0 +1,190 @@
+/**
+ * Cart line fixtures for transformer tests
+ * Property shapes mirror what the storefront CartService writes for each bundle component
+ */
+
+import type { TypedCartLine } from '../types/bundle-types';
+
+type LineProperties = Record<string, string>;
+
+interface BundleOptions {
+  bundleId?: string;
+  parentVariantId?: string;
+  hand?: string;
+  setSize?: string;
+  clubs?: string[];
+  bundleComponent?: string;
+  lie?: string;
+  grip?: string;
+  shaftBrand?: string;
+  shaftMaterial?: string;
+  shaftFlex?: string;
+  shaftLength?: string;
+  perClubSpecs?: Record<string, { length: string; lie: string }>;
+}
+
+// Cart property key → input query alias (see cart_transform_run.graphql)
+const ATTRIBUTE_ALIASES: Record<string, keyof TypedCartLine> = {
+  _bundleId: 'bundleId',
+  _parentVariantId: 'parentVariantId',
+  _hand: 'hand',
+  _setSize: 'setSize',
+  _club_list: 'clubList',
+  _component_type: 'componentType',
+  _bundle_component: 'bundleComponent',
+  _shaft_brand: 'shaftBrand',
+  _shaftMaterial: 'shaftMaterial',
+  _shaftFlex: 'shaftFlex',
+  _shaftLength: 'shaftLength',
+  _grip: 'grip',
+  _lie: 'lie',
+  _per_club_specs: 'perClubSpecs',
+  _club_count: 'clubCount',
+};
+
+const DEFAULTS: Required<BundleOptions> = {
+  bundleId: 'golf-1700000000000',
+  parentVariantId: 'gid://shopify/ProductVariant/40000000000001',
+  hand: 'Right Handed',
+  setSize: '6-PW',
+  clubs: ['6', '7', '8', '9', 'PW'],
+  bundleComponent: 'iron_set',
+  lie: 'Standard',
+  grip: '',
+  shaftBrand: 'KBS Tour',
+  shaftMaterial: 'Steel',
+  shaftFlex: 'Stiff',
+  shaftLength: 'Standard',
+  perClubSpecs: {},
+};
+
+const DEFAULT_GRIP = 'Golf Pride Tour Velvet Standard';
+
+/**
+ * Properties CartService.buildIronCartItem writes on the club line
+ */
+export function ironLineProperties(options: BundleOptions = {}): LineProperties {
+  const config = { ...DEFAULTS, ...options };
+
+  return {
+    _bundleId: config.bundleId,
+    _parentVariantId: config.parentVariantId,
+    _component_type: 'main',
+    _hand: config.hand,
+    _setSize: config.setSize,
+    _club_list: JSON.stringify(config.clubs),
+    _bundle_type: 'golf_configurator',
+    _bundle_component: config.bundleComponent,
+    _bundle_summary: `${config.setSize} Iron Set (${config.clubs.length} clubs)`,
+    ...(config.grip && { _grip: config.grip }),
+    _lie: config.lie,
+    ...(Object.keys(config.perClubSpecs).length > 0 && { _per_club_specs: JSON.stringify(config.perClubSpecs) }),
+    _shaft_brand: config.shaftBrand,
+    _shaftMaterial: config.shaftMaterial,
+    _shaftFlex: config.shaftFlex,
+    _shaftLength: config.shaftLength,
+  };
+}
+
+/**
+ * Properties CartService.buildShaftCartItem writes on the shaft line
+ */
+export function shaftLineProperties(options: BundleOptions = {}): LineProperties {
+  const config = { ...DEFAULTS, ...options };
+
+  return {
+    _bundleId: config.bundleId,
+    _parentVariantId: config.parentVariantId,
+    _component_type: 'shaft',
+    _hand: config.hand,
+    _setSize: config.setSize,
+    _club_list: JSON.stringify(config.clubs),
+    _bundle_type: 'golf_configurator',
+    _bundle_component: 'shaft',
+    _bundle_summary: `${config.shaftBrand} ${config.shaftFlex} Shaft (${config.clubs.length} clubs)`,
+    _shaft_brand: config.shaftBrand,
+    _shaftFlex: config.shaftFlex,
+    _shaftLength: config.shaftLength,
+    _club_count: config.clubs.length.toString(),
+    _shaftTitle: `${config.shaftBrand} ${config.shaftFlex}`,
+  };
+}
+
+/**
+ * Properties CartService.buildGripCartItem writes on the grip line
+ * Grip lines only exist when a grip is selected, so they fall back to a default grip label
+ */
+export function gripLineProperties(options: BundleOptions = {}): LineProperties {
+  const config = { ...DEFAULTS, grip: DEFAULT_GRIP, ...options };
+
+  return {
+    _bundleId: config.bundleId,
+    _parentVariantId: config.parentVariantId,
+    _component_type: 'grip',
+    _hand: config.hand,
+    _setSize: config.setSize,
+    _club_list: JSON.stringify(config.clubs),
+    _bundle_type: 'golf_configurator',
+    _bundle_component: 'grip',
+    _bundle_summary: `${config.grip} Grip (${config.clubs.length} clubs)`,
+    _grip: config.grip,
+    _club_count: config.clubs.length.toString(),
+    _gripTitle: config.grip,
+  };
+}
+
+/**
+ * Converts cart properties into a cart line as the function input query returns it
+ */
+export function cartLine(
+  id: number,
+  properties: LineProperties,
+  { amount = '0.00', quantity = 1, currencyCode = 'GBP' }: { amount?: string; quantity?: number; currencyCode?: string } = {}
+): TypedCartLine {
+  const attributes = Object.fromEntries(
+    Object.entries(properties)
+      .filter(([key]) => key in ATTRIBUTE_ALIASES)
+      .map(([key, value]) => [ATTRIBUTE_ALIASES[key], { value }])
+  );
+
+  return {
+    id: `gid://shopify/CartLine/${id}`,
+    quantity,
+    cost: {
+      amountPerQuantity: { amount, currencyCode },
+      totalAmount: { amount: (parseFloat(amount) * quantity).toFixed(2), currencyCode },
+    },
+    merchandise: { __typename: 'ProductVariant', id: `gid://shopify/ProductVariant/${50000000000000 + id}` },
+    ...attributes,
+  } as unknown as TypedCartLine;
+}
+
+/**
+ * Iron set line priced like the 6-PW mock variant
+ */
+export function ironLine(id: number, options: BundleOptions = {}, amount = '985.00'): TypedCartLine {
+  return cartLine(id, ironLineProperties(options), { amount });
+}
+
+/**
+ * Shaft line with one shaft per club
+ */
+export function shaftLine(id: number, options: BundleOptions = {}, amount = '154.00'): TypedCartLine {
+  const clubs = options.clubs || DEFAULTS.clubs;
+  return cartLine(id, shaftLineProperties(options), { amount, quantity: clubs.length });
+}
+
+/**
+ * Grip line with one grip per club
+ */
+export function gripLine(id: number, options: BundleOptions = {}, amount = '12.00'): TypedCartLine {
+  const clubs = options.clubs || DEFAULTS.clubs;
+  return cartLine(id, gripLineProperties(options), { amount, quantity: clubs.length });
+}
+
+/**
+ * Regular product line outside any bundle
+ */
+export function standaloneLine(id: number, amount = '25.00'): TypedCartLine {
+  return cartLine(id, {}, { amount });
+}
@@ -13,6 +13,7 @@ export interface BundleMetadata {
   _bundleId: string;
   _club_list: string;
   _component_type: string;
+  _bundle_component: string;
 }
 
 // Extended cart line with typed attributes (uses intersection to preserve base properties)
@@ -23,11 +24,14 @@ export type TypedCartLine = CartTransformRunInput['cart']['lines'][0] & {
   setSize?: { value: string };
   clubList?: { value: string };
   componentType?: { value: string };
+  bundleComponent?: { value: string };
   shaftBrand?: { value: string };
+  shaftMaterial?: { value: string };
   shaftFlex?: { value: string };
   shaftLength?: { value: string };
   grip?: { value: string };
   lie?: { value: string };
+  perClubSpecs?: { value: string };
   clubCount?: { value: string };
 };
 
@@ -40,6 +44,48 @@ export interface BundleAttribute {
   value: string;
 }
 
+// Values available to bundle title templates
+export interface TitleValues {
+  setSize: string;
+  shaft: string;
+  hand: string;
+  grip: string;
+  clubCount: string;
+  club: string;
+}
+
+// Merchant pricing rules (bundle-config metafield "pricing")
+export interface PricingRules {
+  // Percentage off bundles with at least the full set club count
+  fullSetDiscountPercent: number;
+  // Club count that makes a full set, per set component (_bundle_component)
+  fullSetClubCounts: Record<string, number>;
+}
+
+// Checkout attribute fields a merchant can show on merged bundles
+// clubSpecs expands to one attribute per club, keyed "<label> <club>", when the bundle has per-club specs
+export type AttributeField = 'setOption' | 'lie' | 'shaft' | 'length' | 'clubSpecs' | 'grip' | 'hand' | 'clubCount';
+
+// One club's length and lie (_per_club_specs property values)
+export interface ClubSpec {
+  length?: string;
+  lie?: string;
+}
+
+export interface AttributeDisplayConfig {
+  // Fields shown, in order
+  display: AttributeField[];
+  labels: Record<AttributeField, string>;
+}
+
+// Transformer configuration from the cart transform's bundle-config metafield, merged over BUNDLE_CONFIG defaults
+export interface TransformConfig {
+  // Title templates per set component, tried in order
+  titleTemplates: Record<string, string[]>;
+  attributes: AttributeDisplayConfig;
+  pricing: PricingRules;
+}
+
 // Component summary for bundle description
 export interface ComponentSummary {
   type: string;
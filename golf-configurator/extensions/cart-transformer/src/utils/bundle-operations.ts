@@ -4,7 +4,18 @@
  */
 
 import { BUNDLE_CONFIG } from '../config/bundle-config';
-import type { TypedCartLine, BundleGroups, BundleMetadata, BundleAttribute } from '../types/bundle-types';
+import { getClubName } from '../../../../shared/club-rules.js';
+import type {
+  TypedCartLine,
+  BundleGroups,
+  BundleMetadata,
+  BundleAttribute,
+  TitleValues,
+  AttributeField,
+  AttributeDisplayConfig,
+  ClubSpec,
+} from '../types/bundle-types';
+import { getDefaultTransformConfig } from './transform-config';
 
 /**
  * Groups cart lines by bundle ID
@@ -37,65 +48,177 @@ export function calculateBundlePrice(group: TypedCartLine[]): number {
 }
 
 /**
- * Generates bundle title based on components and configuration
+ * Combines shaft brand and flex, skipping the flex when the brand name already includes it
  */
-export function generateBundleTitle(_metadata: BundleMetadata, _group: TypedCartLine[]): string {
-  return 'Custom Set';
+function getShaftLabel(group: TypedCartLine[]): string {
+  const shaftComponent = group.find((item) => item.componentType?.value === BUNDLE_CONFIG.COMPONENT_TYPES.SHAFT);
+  const shaftBrand = shaftComponent?.shaftBrand?.value;
+  const shaftFlex = shaftComponent?.shaftFlex?.value;
+
+  if (!shaftBrand) return '';
+  return shaftFlex && !shaftBrand.includes(shaftFlex) ? `${shaftBrand} ${shaftFlex}` : shaftBrand;
 }
 
 /**
- * Creates customer-friendly bundle attributes for checkout display
+ * Fills {placeholder} tokens in a title template
+ * Returns null when any placeholder has no value so the caller can fall back to a simpler template
  */
-export function createBundleAttributes(metadata: BundleMetadata, group: TypedCartLine[]): BundleAttribute[] {
-  const shaftComponent = group.find((item) => item.componentType?.value === BUNDLE_CONFIG.COMPONENT_TYPES.SHAFT);
-  const mainComponent = group.find((item) => item.componentType?.value === BUNDLE_CONFIG.COMPONENT_TYPES.MAIN);
+export function fillTitleTemplate(template: string, values: TitleValues): string | null {
+  let complete = true;
+
+  const title = template.replace(/\{(\w+)\}/g, (_token, key: string) => {
+    const value = values[key as keyof TitleValues];
+    if (!value) {
+      complete = false;
+      return '';
+    }
+    return value;
+  });
 
-  const attributes: BundleAttribute[] = [];
+  return complete ? title : null;
+}
 
-  // 1. Set Option (e.g., "6-PW")
-  attributes.push({
-    key: 'Set Option',
-    value: metadata._setSize,
-  });
+/**
+ * Grip label from the grip line, falling back to the reference copy on the main line
+ */
+function getGripLabel(group: TypedCartLine[]): string {
+  const gripComponent = group.find((item) => item.componentType?.value === BUNDLE_CONFIG.COMPONENT_TYPES.GRIP);
+  const mainComponent = group.find((item) => item.componentType?.value === BUNDLE_CONFIG.COMPONENT_TYPES.MAIN);
+  return gripComponent?.grip?.value || mainComponent?.grip?.value || '';
+}
 
-  // 2. Lie Angle
-  const lie = mainComponent?.lie?.value;
-  if (lie) {
-    attributes.push({
-      key: 'Lie Angle',
-      value: lie,
-    });
+/**
+ * Club count from the club list, empty when the list is malformed
+ */
+function getClubCountLabel(metadata: BundleMetadata): string {
+  try {
+    return String(JSON.parse(metadata._club_list).length);
+  } catch {
+    return '';
   }
+}
 
-  // 3. Shaft (brand and flex combined)
-  const shaftBrand = shaftComponent?.shaftBrand?.value;
-  const shaftFlex = shaftComponent?.shaftFlex?.value;
-  if (shaftBrand) {
-    const shaftValue = shaftFlex && !shaftBrand.includes(shaftFlex) ? `${shaftBrand} ${shaftFlex}` : shaftBrand;
+/**
+ * Per-club length and lie from the main line's _per_club_specs property, in club list order
+ * Returns null when the bundle has no per-club specs or the property is malformed, so the set-wide values apply
+ */
+function parseClubSpecs(metadata: BundleMetadata, group: TypedCartLine[]): [string, ClubSpec][] | null {
+  const mainComponent = group.find((item) => item.componentType?.value === BUNDLE_CONFIG.COMPONENT_TYPES.MAIN);
+  const value = mainComponent?.perClubSpecs?.value;
+  if (!value) return null;
+
+  try {
+    const specs = JSON.parse(value);
+    const clubs: string[] = JSON.parse(metadata._club_list);
+    if (!specs || typeof specs !== 'object' || Array.isArray(specs) || !Array.isArray(clubs)) return null;
 
-    attributes.push({
-      key: 'Shaft',
-      value: shaftValue,
-    });
+    return clubs.filter((club) => specs[club]).map((club) => [club, specs[club] as ClubSpec]);
+  } catch {
+    return null;
   }
+}
 
-  // 4. Length - only show if explicitly set (not Standard)
-  const shaftLength = shaftComponent?.shaftLength?.value;
-  if (shaftLength) {
-    attributes.push({
-      key: 'Length',
-      value: shaftLength,
-    });
+/**
+ * Readable spec for one club, e.g. 'Length +0.5", Lie Angle -1°'
+ */
+function formatClubSpec(spec: ClubSpec, labels: Record<AttributeField, string>): string {
+  return [
+    spec.length && `${labels.length} ${spec.length}`,
+    spec.lie && `${labels.lie} ${spec.lie}`,
+  ]
+    .filter(Boolean)
+    .join(', ');
+}
+
+/**
+ * Club name for single club bundles (e.g. '7-Iron'), empty for sets and malformed lists
+ */
+function getClubLabel(metadata: BundleMetadata): string {
+  try {
+    const clubs = JSON.parse(metadata._club_list);
+    return Array.isArray(clubs) && clubs.length === 1 ? getClubName(String(clubs[0])) : '';
+  } catch {
+    return '';
   }
+}
 
-  // 5. Grip
-  const grip = mainComponent?.grip?.value;
-  if (grip) {
-    attributes.push({
-      key: 'Grip',
-      value: grip,
-    });
+/**
+ * Generates bundle title based on components and configuration
+ * Walks the set component's template fallback chain, ending at the static set title
+ */
+export function generateBundleTitle(
+  metadata: BundleMetadata,
+  group: TypedCartLine[],
+  titleTemplates: Record<string, string[]> = getDefaultTransformConfig().titleTemplates
+): string {
+  const setComponent = (
+    metadata._bundle_component in BUNDLE_CONFIG.SET_TITLES
+      ? metadata._bundle_component
+      : BUNDLE_CONFIG.SET_COMPONENTS.IRON_SET
+  ) as keyof typeof BUNDLE_CONFIG.SET_TITLES;
+
+  const values: TitleValues = {
+    setSize: metadata._setSize,
+    shaft: getShaftLabel(group),
+    hand: metadata._hand,
+    grip: getGripLabel(group),
+    clubCount: getClubCountLabel(metadata),
+    club: getClubLabel(metadata),
+  };
+
+  for (const template of titleTemplates[setComponent] || []) {
+    const title = fillTitleTemplate(template, values);
+    if (title) return title;
   }
 
-  return attributes;
+  return BUNDLE_CONFIG.SET_TITLES[setComponent];
+}
+
+/**
+ * Creates customer-friendly bundle attributes for checkout display
+ * Fields and labels come from the transform config; empty values are left out
+ * Bundles with per-club specs show one attribute per club in place of the set-wide lie and length
+ */
+export function createBundleAttributes(
+  metadata: BundleMetadata,
+  group: TypedCartLine[],
+  attributeConfig: AttributeDisplayConfig = getDefaultTransformConfig().attributes
+): BundleAttribute[] {
+  const shaftComponent = group.find((item) => item.componentType?.value === BUNDLE_CONFIG.COMPONENT_TYPES.SHAFT);
+  const mainComponent = group.find((item) => item.componentType?.value === BUNDLE_CONFIG.COMPONENT_TYPES.MAIN);
+  const clubSpecs = parseClubSpecs(metadata, group);
+
+  const values: Record<Exclude<AttributeField, 'clubSpecs'>, string> = {
+    setOption: metadata._setSize, // e.g. "6-PW"
+    lie: clubSpecs ? '' : mainComponent?.lie?.value || '',
+    shaft: getShaftLabel(group), // brand and flex combined
+    length: clubSpecs ? '' : shaftComponent?.shaftLength?.value || '',
+    grip: getGripLabel(group),
+    hand: metadata._hand,
+    clubCount: getClubCountLabel(metadata),
+  };
+
+  return attributeConfig.display.flatMap((field) => {
+    if (field === 'clubSpecs') {
+      return (clubSpecs || [])
+        .map(([club, spec]) => ({
+          key: `${attributeConfig.labels.clubSpecs} ${club}`,
+          value: formatClubSpec(spec, attributeConfig.labels),
+        }))
+        .filter((attribute) => attribute.value);
+    }
+
+    return values[field] ? [{ key: attributeConfig.labels[field], value: values[field] }] : [];
+  });
+}
+
+/**
+ * Copies the main line's configuration onto the merged line as hidden attributes
+ * Checkout hides underscore keys; the storefront reads them to edit the bundle after the merge
+ */
+export function createHiddenAttributes(mainItem: TypedCartLine): BundleAttribute[] {
+  return Object.entries(BUNDLE_CONFIG.HIDDEN_ATTRIBUTES).flatMap(([key, field]) => {
+    const value = mainItem[field]?.value;
+    return value ? [{ key, value }] : [];
+  });
 }
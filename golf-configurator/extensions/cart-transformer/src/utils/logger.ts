@@ -99,4 +99,32 @@ export class Logger {
     console.log('🎯 Using parent variant ID:', parentVariantId);
     console.log('🎯 Source: Theme Settings (via cart properties)');
   }
+
+  /**
+   * Log a bundle left un-merged because its lines failed validation
+   */
+  static bundleSkipped(bundleId: string, reason: string): void {
+    console.warn(`⚠️ Skipping bundle ${bundleId}: ${reason}`);
+  }
+
+  /**
+   * Log bundle price adjustment
+   */
+  static priceAdjustment(percentageDecrease: number | null): void {
+    console.log('Price adjustment:', percentageDecrease === null ? 'none' : `${percentageDecrease}% decrease`);
+  }
+
+  /**
+   * Log pricing rule problems
+   */
+  static pricingWarning(message: string): void {
+    console.warn(`⚠️ ${message}`);
+  }
+
+  /**
+   * Log transform config problems
+   */
+  static configWarning(message: string): void {
+    console.warn(`⚠️ ${message}`);
+  }
 }
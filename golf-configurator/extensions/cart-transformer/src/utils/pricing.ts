@@ -0,0 +1,81 @@
+/**
+ * Bundle pricing utilities
+ * Normalises merchant pricing rules and turns them into a linesMerge price adjustment
+ */
+
+import { BUNDLE_CONFIG } from '../config/bundle-config';
+import type { PricingRules } from '../types/bundle-types';
+import { Logger } from './logger';
+
+function isNonNegativeNumber(value: unknown): value is number {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+// A full set needs at least one club - a count of 0 would discount every bundle
+function isClubCount(value: unknown): value is number {
+  return isNonNegativeNumber(value) && value >= 1;
+}
+
+/**
+ * Normalises pricing rules from the transform config
+ * Invalid or missing fields fall back to the defaults individually so one typo does not disable every rule
+ */
+export function normalizePricingRules(value: unknown): PricingRules {
+  const defaults = BUNDLE_CONFIG.DEFAULT_PRICING;
+  const rules: PricingRules = {
+    fullSetDiscountPercent: defaults.fullSetDiscountPercent,
+    fullSetClubCounts: { ...defaults.fullSetClubCounts },
+  };
+
+  if (value === null || value === undefined) return rules;
+
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    Logger.pricingWarning('Ignoring pricing rules - expected a JSON object');
+    return rules;
+  }
+
+  const parsed = value as Record<string, unknown>;
+
+  if (isNonNegativeNumber(parsed.fullSetDiscountPercent) && parsed.fullSetDiscountPercent <= 100) {
+    rules.fullSetDiscountPercent = parsed.fullSetDiscountPercent;
+  }
+
+  // linesMerge can only lower a bundle's price, so a fee could never be charged - assembly has to be sold
+  // as a product in the bundle instead
+  if (parsed.assemblyFee !== undefined) {
+    Logger.pricingWarning('Ignoring assemblyFee - bundle prices can only be lowered at checkout');
+  }
+
+  const clubCounts = parsed.fullSetClubCounts;
+  if (clubCounts && typeof clubCounts === 'object' && !Array.isArray(clubCounts)) {
+    Object.entries(clubCounts as Record<string, unknown>).forEach(([setComponent, count]) => {
+      if (isClubCount(count)) {
+        rules.fullSetClubCounts[setComponent] = count;
+      } else {
+        Logger.pricingWarning(`Ignoring full set club count for "${setComponent}" - expected at least 1 club`);
+      }
+    });
+  }
+
+  return rules;
+}
+
+/**
+ * Calculates the percentage decrease for a bundle
+ * @returns Percentage decrease (0-100) or null when no adjustment applies
+ */
+export function calculatePriceAdjustment(
+  totalPrice: number,
+  clubCount: number,
+  setComponent: string,
+  rules: PricingRules
+): number | null {
+  if (totalPrice <= 0) return null;
+
+  const fullSetClubCount = rules.fullSetClubCounts[setComponent];
+  const isFullSet = fullSetClubCount !== undefined && clubCount >= fullSetClubCount;
+
+  if (!isFullSet || rules.fullSetDiscountPercent <= 0) return null;
+
+  return rules.fullSetDiscountPercent;
+}
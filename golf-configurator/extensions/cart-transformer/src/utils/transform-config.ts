@@ -0,0 +1,95 @@
+/**
+ * Transform configuration parser
+ * Reads the cart transform's bundle-config metafield and merges it over the BUNDLE_CONFIG defaults
+ */
+
+import { BUNDLE_CONFIG } from '../config/bundle-config';
+import type { AttributeField, TransformConfig } from '../types/bundle-types';
+import { normalizePricingRules } from './pricing';
+import { Logger } from './logger';
+
+const ATTRIBUTE_FIELDS = Object.keys(BUNDLE_CONFIG.ATTRIBUTE_LABELS) as AttributeField[];
+
+function isRecord(value: unknown): value is Record<string, unknown> {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function isAttributeField(value: unknown): value is AttributeField {
+  return typeof value === 'string' && (ATTRIBUTE_FIELDS as string[]).includes(value);
+}
+
+/**
+ * Built-in configuration - the behaviour when no metafield is set
+ */
+export function getDefaultTransformConfig(): TransformConfig {
+  const titleTemplates: Record<string, string[]> = Object.fromEntries(
+    Object.entries(BUNDLE_CONFIG.TITLE_TEMPLATES).map(([setComponent, templates]) => [setComponent, [...templates]])
+  );
+
+  return {
+    titleTemplates,
+    attributes: {
+      display: [...BUNDLE_CONFIG.DISPLAY_ATTRIBUTES],
+      labels: { ...BUNDLE_CONFIG.ATTRIBUTE_LABELS },
+    },
+    pricing: normalizePricingRules(null),
+  };
+}
+
+/**
+ * Parses the bundle-config metafield JSON
+ * Each section falls back to its default on its own, so a bad title template never disables pricing
+ */
+export function parseTransformConfig(json: string | null | undefined): TransformConfig {
+  const config = getDefaultTransformConfig();
+  if (!json) return config;
+
+  let parsed: unknown;
+  try {
+    parsed = JSON.parse(json);
+  } catch (error) {
+    Logger.configWarning(`Ignoring bundle config metafield - invalid JSON: ${error}`);
+    return config;
+  }
+
+  if (!isRecord(parsed)) {
+    Logger.configWarning('Ignoring bundle config metafield - expected a JSON object');
+    return config;
+  }
+
+  // Title templates: non-empty string lists per set component
+  if (isRecord(parsed.titleTemplates)) {
+    Object.entries(parsed.titleTemplates).forEach(([setComponent, templates]) => {
+      const validTemplates = Array.isArray(templates)
+        ? templates.filter((template): template is string => typeof template === 'string' && template.trim() !== '')
+        : [];
+
+      if (validTemplates.length > 0) {
+        config.titleTemplates[setComponent] = validTemplates;
+      } else {
+        Logger.configWarning(`Ignoring title templates for "${setComponent}" - expected a list of strings`);
+      }
+    });
+  }
+
+  // Attributes: known fields only, labels override defaults individually
+  if (isRecord(parsed.attributes)) {
+    const { display, labels } = parsed.attributes;
+
+    if (Array.isArray(display)) {
+      config.attributes.display = display.filter(isAttributeField);
+    }
+
+    if (isRecord(labels)) {
+      Object.entries(labels).forEach(([field, label]) => {
+        if (isAttributeField(field) && typeof label === 'string' && label.trim() !== '') {
+          config.attributes.labels[field] = label;
+        }
+      });
+    }
+  }
+
+  config.pricing = normalizePricingRules(parsed.pricing);
+
+  return config;
+}
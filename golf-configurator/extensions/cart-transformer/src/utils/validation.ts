@@ -4,6 +4,7 @@
  */
 
 import { BUNDLE_CONFIG } from '../config/bundle-config';
+import { getClubRules, getSetSize, validateClubRules } from '../../../../shared/club-rules.js';
 import type { TypedCartLine, BundleMetadata } from '../types/bundle-types';
 
 /**
@@ -38,6 +39,25 @@ export function validateBundleMetadata(item: TypedCartLine): void {
   }
 }
 
+/**
+ * Validates that a bundle group still has exactly one main club line
+ * Catches incomplete bundles, e.g. a shaft line left behind after its iron set was removed from the cart
+ */
+export function validateBundleComposition(group: TypedCartLine[]): TypedCartLine {
+  const mainLines = group.filter((item) => item.componentType?.value === BUNDLE_CONFIG.COMPONENT_TYPES.MAIN);
+
+  if (mainLines.length === 0) {
+    const components = group.map((item) => item.componentType?.value || 'unknown').join(', ');
+    throw new Error(`Incomplete bundle: no main club line (components present: ${components})`);
+  }
+
+  if (mainLines.length > 1) {
+    throw new Error(`Invalid bundle: ${mainLines.length} main club lines share one bundle ID`);
+  }
+
+  return mainLines[0];
+}
+
 /**
  * Extracts bundle metadata from a cart line
  * Assumes validation has already passed
@@ -53,24 +73,68 @@ export function extractBundleMetadata(item: TypedCartLine): BundleMetadata {
     _bundleId: item.bundleId!.value,
     _club_list: clubList,
     _component_type: item.componentType?.value || BUNDLE_CONFIG.COMPONENT_TYPES.MAIN,
+    _bundle_component: item.bundleComponent?.value || BUNDLE_CONFIG.SET_COMPONENTS.IRON_SET,
   };
 }
 
 /**
- * Validates that club list is valid JSON
+ * Parses the club list JSON into club ids
  */
-export function validateClubList(clubListJson: string): number {
+export function parseClubList(clubListJson: string): string[] {
   if (!clubListJson) {
     throw new Error('Club list is empty - cart properties must include valid club selection');
   }
 
+  let clubs: unknown;
   try {
-    const clubs = JSON.parse(clubListJson);
-    if (!Array.isArray(clubs)) {
-      throw new Error('Club list must be a JSON array');
-    }
-    return clubs.length;
+    clubs = JSON.parse(clubListJson);
   } catch (error) {
     throw new Error(`Invalid club list JSON: ${clubListJson}. Error: ${error}`);
   }
+
+  if (!Array.isArray(clubs)) {
+    throw new Error('Club list must be a JSON array');
+  }
+  return clubs.map(String);
+}
+
+/**
+ * Validates a club selection against the shared club rules the storefront enforces
+ * Throws on the first broken rule, with the storefront's reason
+ */
+export function validateClubSelection(clubs: string[], setComponent: string): void {
+  if (new Set(clubs).size !== clubs.length) {
+    throw new Error(`Duplicate clubs in club list: ${clubs.join(', ')}`);
+  }
+
+  const result = validateClubRules(getClubRules(setComponent), clubs);
+  if (!result.valid) {
+    throw new Error(`Invalid club list for ${setComponent}: ${result.reason}`);
+  }
+}
+
+/**
+ * Derives the set size a club selection implies, named by the shared club rules
+ */
+export function deriveSetSize(clubs: string[], setComponent: string): string {
+  return getSetSize(getClubRules(setComponent), clubs);
+}
+
+/**
+ * Validates that the club list is a legal selection and implies the declared _setSize
+ * Stops hand-edited cart properties from pricing e.g. a 4-PW club list as a 6-PW set
+ * Returns the club count
+ */
+export function validateClubConsistency(metadata: BundleMetadata): number {
+  const clubs = parseClubList(metadata._club_list);
+  validateClubSelection(clubs, metadata._bundle_component);
+
+  const impliedSetSize = deriveSetSize(clubs, metadata._bundle_component);
+  if (impliedSetSize !== metadata._setSize) {
+    throw new Error(
+      `Set size mismatch: _setSize is ${metadata._setSize} but club list ${clubs.join(', ')} implies ${impliedSetSize}`
+    );
+  }
+
+  return clubs.length;
 }
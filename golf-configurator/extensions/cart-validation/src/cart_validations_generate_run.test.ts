@@ -0,0 +1,199 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { cartValidationsGenerateRun } from './cart_validations_generate_run';
+import { deriveSetSize, describeBundle, parseClubList } from './utils/bundle-checks';
+import { mainLine, shaftLine, gripLine, mergedLine, standaloneLine } from './fixtures/cart-fixtures';
+
+const run = (lines: unknown[]) => cartValidationsGenerateRun({ cart: { lines } } as any);
+const errorsOf = (lines: unknown[]) => run(lines).operations.flatMap((operation) => operation.validationAdd.errors);
+
+describe('cart validation function', () => {
+  it('returns no operations for an empty cart', () => {
+    expect(run([])).toEqual({ operations: [] });
+  });
+
+  it('ignores lines outside a configurator bundle', () => {
+    expect(run([standaloneLine(1, 3)])).toEqual({ operations: [] });
+  });
+
+  it('accepts an intact iron, shaft and grip bundle', () => {
+    expect(run([mainLine(1), shaftLine(2), gripLine(3)])).toEqual({ operations: [] });
+  });
+
+  it('accepts an intact single iron bundle with one shaft and grip', () => {
+    const options = { setSize: 'Iron', clubs: ['5'], bundleComponent: 'single_iron' };
+    expect(run([mainLine(1, options), shaftLine(2, options), gripLine(3, options)])).toEqual({ operations: [] });
+  });
+
+  it('accepts an intact wedge set bundle', () => {
+    const options = { setSize: 'G-S-L', clubs: ['G', 'S', 'L'], bundleComponent: 'wedge_set' };
+    expect(run([mainLine(1, options), shaftLine(2, options)])).toEqual({ operations: [] });
+  });
+
+  it('accepts a bundle the cart transformer already merged into one line', () => {
+    expect(run([mergedLine(1), mergedLine(2, { bundleId: 'golf-2', setSize: 'G-S', clubs: ['G', 'S'] })])).toEqual({
+      operations: [],
+    });
+  });
+
+  it('still checks an unmerged bundle alongside a merged one', () => {
+    const errors = errorsOf([mergedLine(1, { bundleId: 'a' }), shaftLine(2, { bundleId: 'b' })]);
+
+    expect(errors).toHaveLength(1);
+    expect(errors[0].message).toContain('is incomplete');
+  });
+
+  it('returns all errors in a single validationAdd operation targeting the cart', () => {
+    const result = run([shaftLine(1, { bundleId: 'a' }), shaftLine(2, { bundleId: 'b' })]);
+
+    expect(result.operations).toHaveLength(1);
+    expect(result.operations[0].validationAdd.errors).toHaveLength(2);
+    expect(result.operations[0].validationAdd.errors.every((error) => error.target === '$.cart')).toBe(true);
+  });
+});
+
+describe('main line checks', () => {
+  it('blocks a shaft line left behind after its iron line was removed', () => {
+    const errors = errorsOf([shaftLine(2)]);
+
+    expect(errors).toHaveLength(1);
+    expect(errors[0].message).toBe(
+      'Your custom 6-PW set is incomplete. Please remove its remaining parts and configure the set again.'
+    );
+  });
+
+  it('blocks a bundle with two main lines', () => {
+    const errors = errorsOf([mainLine(1), mainLine(2), shaftLine(3)]);
+
+    expect(errors).toHaveLength(1);
+    expect(errors[0].message).toContain('contains 2 club sets');
+  });
+
+  it('blocks a main line with quantity above one', () => {
+    const errors = errorsOf([mainLine(1, { quantity: 2 }), shaftLine(2)]);
+
+    expect(errors).toHaveLength(1);
+    expect(errors[0].message).toContain('Please set its quantity to 1');
+  });
+});
+
+describe('component quantity checks', () => {
+  it('blocks a shaft quantity that no longer matches the club list', () => {
+    const errors = errorsOf([mainLine(1), shaftLine(2, { quantity: 3 })]);
+
+    expect(errors).toHaveLength(1);
+    expect(errors[0].message).toBe(
+      'Your custom 6-PW iron set needs exactly 5 shafts, but the cart has 3. Please remove the set and configure it again.'
+    );
+  });
+
+  it('blocks a grip quantity that no longer matches the club list', () => {
+    const errors = errorsOf([mainLine(1), shaftLine(2), gripLine(3, { quantity: 6 })]);
+
+    expect(errors).toHaveLength(1);
+    expect(errors[0].message).toContain('needs exactly 5 grips, but the cart has 6');
+  });
+
+  it('only reports the tampered bundle when several are in the cart', () => {
+    const errors = errorsOf([
+      mainLine(1, { bundleId: 'a' }),
+      shaftLine(2, { bundleId: 'a' }),
+      mainLine(3, { bundleId: 'b' }),
+      shaftLine(4, { bundleId: 'b', quantity: 1 }),
+    ]);
+
+    expect(errors).toHaveLength(1);
+    expect(errors[0].message).toContain('but the cart has 1');
+  });
+});
+
+describe('club list checks', () => {
+  it('blocks a malformed club list', () => {
+    const line = { ...mainLine(1), clubList: { value: 'not json' } };
+    const errors = errorsOf([line, shaftLine(2)]);
+
+    expect(errors).toHaveLength(1);
+    expect(errors[0].message).toContain('invalid club selection');
+  });
+
+  it('blocks a set size that disagrees with the club list', () => {
+    const errors = errorsOf([mainLine(1, { setSize: '6-PW', clubs: ['4', '5', '6', '7', '8', '9', 'PW'] })]);
+
+    expect(errors).toHaveLength(1);
+    expect(errors[0].message).toContain('does not match its club selection');
+  });
+});
+
+describe('shared club rules', () => {
+  afterEach(() => {
+    vi.doUnmock('../../../shared/club-rules.js');
+    vi.resetModules();
+  });
+
+  // A head model with a 3-iron: the storefront writes 3-PW once the shared rules list the club
+  async function runWithThreeIron(lines: unknown[]) {
+    vi.resetModules();
+    vi.doMock('../../../shared/club-rules.js', async (importOriginal) => {
+      const shared: any = await importOriginal();
+      const ironSet = shared.CLUB_RULES.iron_set;
+      return {
+        ...shared,
+        CLUB_RULES: {
+          ...shared.CLUB_RULES,
+          iron_set: { ...ironSet, clubs: [{ id: '3', name: '3-Iron', type: 'iron' }, ...ironSet.clubs] },
+        },
+      };
+    });
+
+    const { cartValidationsGenerateRun: generate } = await import('./cart_validations_generate_run');
+    return generate({ cart: { lines } } as any);
+  }
+
+  it('accepts a set with a club added to the shared rules', async () => {
+    const options = { setSize: '3-PW', clubs: ['3', '4', '5', '6', '7', '8', '9', 'PW'] };
+
+    expect(await runWithThreeIron([mainLine(1, options), shaftLine(2, options), gripLine(3, options)])).toEqual({
+      operations: [],
+    });
+  });
+
+  it('still blocks a 3-iron set declared as 4-PW', async () => {
+    const options = { setSize: '4-PW', clubs: ['3', '4', '5', '6', '7', '8', '9', 'PW'] };
+    const result = await runWithThreeIron([mainLine(1, options)]);
+
+    expect(result.operations[0].validationAdd.errors[0].message).toContain('does not match its club selection');
+  });
+});
+
+describe('bundle check helpers', () => {
+  it('derives iron set sizes like the storefront', () => {
+    expect(deriveSetSize(['6', '7', '8', '9', 'PW'], 'iron_set')).toBe('6-PW');
+    expect(deriveSetSize(['5', '6', '7', '8', '9', 'PW'], 'iron_set')).toBe('5-PW');
+    expect(deriveSetSize(['4', '5', '6', '7', '8', '9', 'PW'], 'iron_set')).toBe('4-PW');
+  });
+
+  it('derives the Iron set size for single irons only', () => {
+    expect(deriveSetSize(['7'], 'single_iron')).toBe('Iron');
+    expect(deriveSetSize(['7'], 'iron_set')).toBe('7');
+  });
+
+  it('treats a main line without a set component as an iron set and rejects unknown components', () => {
+    expect(deriveSetSize(['6', '7', '8', '9', 'PW'], undefined)).toBe('6-PW');
+    expect(deriveSetSize(['6', '7', '8', '9', 'PW'], 'driver_set')).toBeNull();
+  });
+
+  it('derives wedge set sizes in catalogue order', () => {
+    expect(deriveSetSize(['L', 'G'], 'wedge_set')).toBe('G-L');
+  });
+
+  it('parses club lists and rejects anything but a non-empty array of ids', () => {
+    expect(parseClubList('["6","7"]')).toEqual(['6', '7']);
+    expect(parseClubList('[]')).toBeNull();
+    expect(parseClubList('{"6":true}')).toBeNull();
+    expect(parseClubList(undefined)).toBeNull();
+  });
+
+  it('names bundles from their set size and set component', () => {
+    expect(describeBundle([mainLine(1, { setSize: 'G-S', bundleComponent: 'wedge_set' })])).toBe('G-S wedge set');
+    expect(describeBundle([shaftLine(1)])).toBe('6-PW set');
+  });
+});
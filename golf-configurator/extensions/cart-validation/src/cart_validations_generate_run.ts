@@ -0,0 +1,17 @@
+import type { CartValidationsGenerateRunInput, CartValidationsGenerateRunResult } from '../generated/api';
+import type { TypedCartLine, BundleError } from './types/validation-types';
+import { groupLinesByBundle, checkBundle } from './utils/bundle-checks';
+
+/**
+ * Blocks checkout while any configurator bundle is incomplete or has been edited in the cart
+ * (main line removed, shaft / grip quantity changed, or _setSize disagreeing with _club_list)
+ */
+export function cartValidationsGenerateRun(input: CartValidationsGenerateRunInput): CartValidationsGenerateRunResult {
+  const lines = input.cart.lines as TypedCartLine[];
+
+  const errors: BundleError[] = Object.values(groupLinesByBundle(lines)).flatMap(checkBundle);
+
+  return {
+    operations: errors.length > 0 ? [{ validationAdd: { errors } }] : [],
+  };
+}
@@ -0,0 +1,47 @@
+/**
+ * Validation Configuration
+ * Bundle rules mirrored from the storefront CartService and the cart transformer
+ * Set-size naming comes from the app's shared club rules (shared/club-rules.js)
+ */
+
+export const VALIDATION_CONFIG = {
+  // Component type identifiers (_component_type)
+  COMPONENT_TYPES: {
+    MAIN: 'main',
+    SHAFT: 'shaft',
+    GRIP: 'grip',
+  } as const,
+
+  // Main line set identifiers (_bundle_component)
+  SET_COMPONENTS: {
+    IRON_SET: 'iron_set',
+    WEDGE_SET: 'wedge_set',
+    SINGLE_IRON: 'single_iron',
+  } as const,
+
+  // Components added once per club, so their quantity must equal the club count
+  PER_CLUB_COMPONENTS: ['shaft', 'grip'] as const,
+
+  // Checkout target for bundle errors
+  ERROR_TARGET: '$.cart',
+
+  // Shopper-facing checkout messages
+  // Placeholders: {set}, {component}, {quantity}, {clubCount}, {count}
+  MESSAGES: {
+    MISSING_MAIN: 'Your custom {set} is incomplete. Please remove its remaining parts and configure the set again.',
+    MULTIPLE_MAIN: 'Your custom {set} contains {count} club sets. Please remove it and configure the set again.',
+    MAIN_QUANTITY: 'Your custom {set} can only be bought once per build. Please set its quantity to 1.',
+    COMPONENT_QUANTITY:
+      'Your custom {set} needs exactly {clubCount} {component}s, but the cart has {quantity}. Please remove the set and configure it again.',
+    INVALID_CLUB_LIST: 'Your custom {set} has an invalid club selection. Please remove it and configure the set again.',
+    SET_SIZE_MISMATCH:
+      'Your custom {set} does not match its club selection. Please remove it and configure the set again.',
+  } as const,
+
+  // How a bundle is named in messages when its set size is unknown
+  SET_LABELS: {
+    iron_set: 'iron set',
+    wedge_set: 'wedge set',
+    single_iron: 'iron',
+  } as const,
+} as const;
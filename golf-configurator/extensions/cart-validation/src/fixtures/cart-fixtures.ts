@@ -0,0 +1,77 @@
+/**
+ * Cart line fixtures for validation tests
+ * Attribute shapes mirror what the storefront CartService writes for each bundle component
+ */
+
+import type { TypedCartLine } from '../types/validation-types';
+
+interface LineOptions {
+  bundleId?: string;
+  setSize?: string;
+  clubs?: string[];
+  bundleComponent?: string;
+  quantity?: number;
+}
+
+const DEFAULTS: Required<LineOptions> = {
+  bundleId: 'golf-1700000000000',
+  setSize: '6-PW',
+  clubs: ['6', '7', '8', '9', 'PW'],
+  bundleComponent: 'iron_set',
+  quantity: 1,
+};
+
+/**
+ * Builds a bundle line as the validation input query returns it
+ */
+function bundleLine(id: number, componentType: string, options: LineOptions, defaultQuantity: number): TypedCartLine {
+  const config = { ...DEFAULTS, quantity: defaultQuantity, ...options };
+
+  return {
+    id: `gid://shopify/CartLine/${id}`,
+    quantity: config.quantity,
+    bundleId: { value: config.bundleId },
+    componentType: { value: componentType },
+    bundleComponent: { value: componentType === 'main' ? config.bundleComponent : componentType },
+    setSize: { value: config.setSize },
+    clubList: { value: JSON.stringify(config.clubs) },
+  } as unknown as TypedCartLine;
+}
+
+/**
+ * Club set line, bought once per bundle
+ */
+export function mainLine(id: number, options: LineOptions = {}): TypedCartLine {
+  return bundleLine(id, 'main', options, 1);
+}
+
+/**
+ * Shaft line with one shaft per club
+ */
+export function shaftLine(id: number, options: LineOptions = {}): TypedCartLine {
+  return bundleLine(id, 'shaft', options, (options.clubs || DEFAULTS.clubs).length);
+}
+
+/**
+ * Grip line with one grip per club
+ */
+export function gripLine(id: number, options: LineOptions = {}): TypedCartLine {
+  return bundleLine(id, 'grip', options, (options.clubs || DEFAULTS.clubs).length);
+}
+
+/**
+ * Bundle merged by the cart transformer - one line carrying the main line's hidden attributes
+ * but no _component_type
+ */
+export function mergedLine(id: number, options: LineOptions = {}): TypedCartLine {
+  const line = bundleLine(id, 'main', options, 1);
+  delete line.componentType;
+  return line;
+}
+
+/**
+ * Ordinary product line outside any bundle
+ */
+export function standaloneLine(id: number, quantity = 1): TypedCartLine {
+  return { id: `gid://shopify/CartLine/${id}`, quantity } as unknown as TypedCartLine;
+}
@@ -0,0 +1,23 @@
+/**
+ * TypeScript interfaces for cart validation
+ */
+
+import type { CartValidationsGenerateRunInput } from '../../generated/api';
+
+// Cart line with typed attributes (uses intersection to preserve base properties)
+export type TypedCartLine = CartValidationsGenerateRunInput['cart']['lines'][0] & {
+  bundleId?: { value: string };
+  componentType?: { value: string };
+  bundleComponent?: { value: string };
+  setSize?: { value: string };
+  clubList?: { value: string };
+};
+
+// Grouped lines by bundle ID
+export type BundleGroups = Record<string, TypedCartLine[]>;
+
+// Checkout error returned by the validation operation
+export interface BundleError {
+  message: string;
+  target: string;
+}
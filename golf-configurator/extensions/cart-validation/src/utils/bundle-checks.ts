@@ -0,0 +1,147 @@
+/**
+ * Bundle checks for cart validation
+ * Each check returns the checkout errors for one bundle group - an empty list means the bundle is intact
+ */
+
+import { VALIDATION_CONFIG } from '../config/validation-config';
+import { CLUB_RULES, getSetSize } from '../../../../shared/club-rules.js';
+import type { TypedCartLine, BundleGroups, BundleError } from '../types/validation-types';
+
+type MessageKey = keyof typeof VALIDATION_CONFIG.MESSAGES;
+
+/**
+ * Groups cart lines by bundle ID, ignoring lines outside a configurator bundle
+ */
+export function groupLinesByBundle(lines: TypedCartLine[]): BundleGroups {
+  const groups: BundleGroups = {};
+
+  lines.forEach((line) => {
+    const bundleId = line.bundleId?.value;
+
+    if (bundleId) {
+      if (!groups[bundleId]) {
+        groups[bundleId] = [];
+      }
+      groups[bundleId].push(line);
+    }
+  });
+
+  return groups;
+}
+
+/**
+ * Names the bundle for shopper-facing messages, e.g. "6-PW iron set"
+ * Works without a main line so incomplete bundles still get a readable name
+ */
+export function describeBundle(group: TypedCartLine[]): string {
+  const setSize = group.find((line) => line.setSize?.value)?.setSize?.value;
+  const mainLine = group.find((line) => line.componentType?.value === VALIDATION_CONFIG.COMPONENT_TYPES.MAIN);
+  const setComponent = mainLine?.bundleComponent?.value as keyof typeof VALIDATION_CONFIG.SET_LABELS | undefined;
+  const label = (setComponent && VALIDATION_CONFIG.SET_LABELS[setComponent]) || 'set';
+
+  return setSize ? `${setSize} ${label}` : label;
+}
+
+/**
+ * Parses the _club_list JSON into club ids
+ * Returns null when the list is missing, malformed or empty
+ */
+export function parseClubList(clubListJson: string | undefined): string[] | null {
+  if (!clubListJson) return null;
+
+  try {
+    const clubs = JSON.parse(clubListJson);
+    if (!Array.isArray(clubs) || clubs.length === 0 || !clubs.every((club) => typeof club === 'string')) {
+      return null;
+    }
+    return clubs;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Derives the set size the storefront writes for a club selection, named by the shared club rules
+ * Main lines without a _bundle_component are iron sets; returns null for an unknown set component
+ */
+export function deriveSetSize(clubs: string[], setComponent: string | undefined): string | null {
+  const rules = CLUB_RULES[(setComponent || VALIDATION_CONFIG.SET_COMPONENTS.IRON_SET) as keyof typeof CLUB_RULES];
+  return rules ? getSetSize(rules, clubs) : null;
+}
+
+/**
+ * Builds a checkout error from a message template
+ */
+function bundleError(key: MessageKey, values: Record<string, string | number>): BundleError {
+  const message = Object.entries(values).reduce<string>(
+    (text, [name, value]) => text.split(`{${name}}`).join(String(value)),
+    VALIDATION_CONFIG.MESSAGES[key]
+  );
+
+  return { message, target: VALIDATION_CONFIG.ERROR_TARGET };
+}
+
+/**
+ * Checks if a bundle group is a line the cart transformer already merged
+ * Merged lines carry the bundle's hidden attributes but no _component_type, and stand alone in their group
+ */
+export function isMergedBundle(group: TypedCartLine[]): boolean {
+  return group.length === 1 && !group[0].componentType?.value;
+}
+
+/**
+ * Checks one bundle group: a single main line bought once, a club list matching _setSize,
+ * and one shaft / grip per club
+ * Merged bundles pass as they are - the transformer only merges complete, consistent bundles
+ */
+export function checkBundle(group: TypedCartLine[]): BundleError[] {
+  if (isMergedBundle(group)) {
+    return [];
+  }
+
+  const set = describeBundle(group);
+  const mainLines = group.filter((line) => line.componentType?.value === VALIDATION_CONFIG.COMPONENT_TYPES.MAIN);
+
+  // Without exactly one main line the remaining checks have nothing to compare against
+  if (mainLines.length === 0) {
+    return [bundleError('MISSING_MAIN', { set })];
+  }
+  if (mainLines.length > 1) {
+    return [bundleError('MULTIPLE_MAIN', { set, count: mainLines.length })];
+  }
+
+  const mainLine = mainLines[0];
+  const errors: BundleError[] = [];
+
+  if (mainLine.quantity !== 1) {
+    errors.push(bundleError('MAIN_QUANTITY', { set }));
+  }
+
+  const clubs = parseClubList(mainLine.clubList?.value);
+  if (!clubs) {
+    errors.push(bundleError('INVALID_CLUB_LIST', { set }));
+    return errors;
+  }
+
+  if (mainLine.setSize?.value !== deriveSetSize(clubs, mainLine.bundleComponent?.value)) {
+    errors.push(bundleError('SET_SIZE_MISMATCH', { set }));
+  }
+
+  const perClubComponents: readonly string[] = VALIDATION_CONFIG.PER_CLUB_COMPONENTS;
+  group
+    .filter((line) => perClubComponents.includes(line.componentType?.value || ''))
+    .forEach((line) => {
+      if (line.quantity !== clubs.length) {
+        errors.push(
+          bundleError('COMPONENT_QUANTITY', {
+            set,
+            component: line.componentType!.value,
+            quantity: line.quantity,
+            clubCount: clubs.length,
+          })
+        );
+      }
+    });
+
+  return errors;
+}
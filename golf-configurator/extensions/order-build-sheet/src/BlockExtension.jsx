@@ -0,0 +1,200 @@
+import {
+  reactExtension,
+  useApi,
+  AdminBlock,
+  BlockStack,
+  InlineStack,
+  Box,
+  Text,
+  Badge,
+  Button,
+  Divider,
+  Heading,
+} from '@shopify/ui-extensions-react/admin';
+import { useState, useEffect } from 'react';
+import { getBuildSheets, getPrintLines, ATTRIBUTE_LABELS } from './buildSheet';
+
+// The target used here must match the target used in the extension's toml file (./shopify.extension.toml)
+const TARGET = 'admin.order-details.block.render';
+
+// Set-wide details printed above the per-club rows
+const SUMMARY_FIELDS = ['setOption', 'hand', 'clubCount'];
+
+// Per-club columns
+const COLUMNS = [
+  { field: 'club', label: 'Club' },
+  { field: 'shaft', label: ATTRIBUTE_LABELS.shaft },
+  { field: 'length', label: ATTRIBUTE_LABELS.length },
+  { field: 'lie', label: ATTRIBUTE_LABELS.lie },
+  { field: 'grip', label: ATTRIBUTE_LABELS.grip },
+];
+
+export default reactExtension(TARGET, () => <App />);
+
+function App() {
+  const { data } = useApi(TARGET);
+  const orderId = data.selected[0]?.id;
+
+  const [loading, setLoading] = useState(true);
+  const [orderName, setOrderName] = useState('');
+  const [sheets, setSheets] = useState([]);
+  const [error, setError] = useState(null);
+  const [printView, setPrintView] = useState(false);
+
+  useEffect(() => {
+    const loadOrder = async () => {
+      setLoading(true);
+      setError(null);
+
+      try {
+        const response = await fetch('shopify:admin/api/2024-10/graphql.json', {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify({
+            query: `
+              query OrderBuildSheet($id: ID!) {
+                order(id: $id) {
+                  name
+                  lineItems(first: 100) {
+                    nodes {
+                      quantity
+                      customAttributes {
+                        key
+                        value
+                      }
+                      lineItemGroup {
+                        quantity
+                        customAttributes {
+                          key
+                          value
+                        }
+                      }
+                    }
+                  }
+                }
+              }
+            `,
+            variables: { id: orderId },
+          }),
+        });
+
+        const result = await response.json();
+
+        if (result.errors?.length) {
+          throw new Error(result.errors[0]?.message);
+        }
+
+        setOrderName(result.data?.order?.name || '');
+        setSheets(getBuildSheets(result.data?.order?.lineItems?.nodes || []));
+      } catch (err) {
+        console.error('Error loading order build sheet:', err);
+        setError('Failed to load order line items');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    if (orderId) loadOrder();
+  }, [orderId]);
+
+  return (
+    <AdminBlock title="Workshop Build Sheet">
+      <BlockStack gap="loose">
+        {loading && <Text tone="subdued">Loading build sheet...</Text>}
+
+        {error && (
+          <Badge tone="critical">
+            {error}
+          </Badge>
+        )}
+
+        {!loading && !error && sheets.length === 0 && (
+          <Text tone="subdued">No golf configurator sets in this order.</Text>
+        )}
+
+        {sheets.length > 0 && (
+          <InlineStack>
+            <Button onClick={() => setPrintView(current => !current)}>
+              {printView ? 'Back to build sheet' : 'Print view'}
+            </Button>
+          </InlineStack>
+        )}
+
+        {sheets.map((sheet, index) => (
+          <BlockStack key={sheet.bundleId} gap={printView ? 'tight' : 'base'}>
+            {index > 0 && <Divider />}
+
+            {printView ? (
+              <PrintSheet orderName={orderName} sheet={sheet} />
+            ) : (
+              <>
+                <InlineStack gap="base" blockAlignment="center">
+                  <Heading size={3}>
+                    {orderName} - {sheet.title}
+                  </Heading>
+                  {sheet.quantity > 1 && <Badge tone="info">Build {sheet.quantity} sets</Badge>}
+                </InlineStack>
+
+                <InlineStack gap="loose">
+                  {SUMMARY_FIELDS.filter(field => sheet.details[field]).map(field => (
+                    <Text key={field}>
+                      <Text fontWeight="bold">{ATTRIBUTE_LABELS[field]}:</Text> {sheet.details[field]}
+                    </Text>
+                  ))}
+                </InlineStack>
+
+                <BlockStack gap="tight">
+                  <BuildSheetRow cells={Object.fromEntries(COLUMNS.map(({ field, label }) => [field, label]))} header />
+                  {sheet.rows.map(row => (
+                    <BuildSheetRow key={row.club} cells={row} />
+                  ))}
+                </BlockStack>
+
+                <Text size="small" tone="subdued">
+                  Bundle {sheet.bundleId}
+                </Text>
+              </>
+            )}
+          </BlockStack>
+        ))}
+      </BlockStack>
+    </AdminBlock>
+  );
+}
+
+function BuildSheetRow({ cells, header = false }) {
+  return (
+    <InlineStack gap="none">
+      {COLUMNS.map(({ field }) => (
+        <Box key={field} inlineSize={`${100 / COLUMNS.length}%`} paddingInlineEnd="base">
+          <Text fontWeight={header ? 'bold' : undefined}>{cells[field] || '-'}</Text>
+        </Box>
+      ))}
+    </InlineStack>
+  );
+}
+
+/**
+ * Print layout - plain black text, one line per club, so the sheet fits a printed order page without the grid
+ */
+function PrintSheet({ orderName, sheet }) {
+  const summary = SUMMARY_FIELDS.filter(field => sheet.details[field])
+    .map(field => `${ATTRIBUTE_LABELS[field]}: ${sheet.details[field]}`)
+    .join(' | ');
+
+  return (
+    <BlockStack gap="tight">
+      <Text fontWeight="bold">
+        {orderName} - {sheet.title}
+        {sheet.quantity > 1 && ` (build ${sheet.quantity} sets)`}
+      </Text>
+      <Text>{summary}</Text>
+      {getPrintLines(sheet).map(line => (
+        <Text key={line}>{line}</Text>
+      ))}
+      <Text>Bundle {sheet.bundleId}</Text>
+    </BlockStack>
+  );
+}
@@ -0,0 +1,140 @@
+import { getClubName } from '../../../shared/club-rules.js';
+import { ATTRIBUTE_LABELS, COMPONENT_TYPES, PROPERTY_KEYS } from '../../../shared/bundle-config.js';
+
+// Checkout's attribute labels, re-exported for the block's headings
+export { ATTRIBUTE_LABELS };
+
+const SET_TITLES = {
+  iron_set: 'Iron Set',
+  wedge_set: 'Wedge Set',
+  single_iron: 'Single Iron',
+};
+
+/**
+ * Converts custom attributes into a key → value map
+ */
+function toProperties(customAttributes) {
+  return Object.fromEntries((customAttributes || []).map(({ key, value }) => [key, value]));
+}
+
+function getProperties(lineItem) {
+  return toProperties(lineItem.customAttributes);
+}
+
+function parseClubList(value) {
+  try {
+    const clubs = JSON.parse(value);
+    return Array.isArray(clubs) ? clubs.map(String) : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Per-club length / lie overrides keyed by club ID, empty when the customer used set-wide specs
+ */
+function parseClubSpecs(value) {
+  try {
+    const specs = JSON.parse(value);
+    return specs && typeof specs === 'object' && !Array.isArray(specs) ? specs : {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Combines shaft brand and flex the same way the cart transformer's getShaftLabel does
+ */
+function getShaftLabel(shaftProperties) {
+  const shaftBrand = shaftProperties[PROPERTY_KEYS.SHAFT_BRAND];
+  const shaftFlex = shaftProperties[PROPERTY_KEYS.SHAFT_FLEX];
+
+  if (!shaftBrand) return '';
+  return shaftFlex && !shaftBrand.includes(shaftFlex) ? `${shaftBrand} ${shaftFlex}` : shaftBrand;
+}
+
+/**
+ * Builds one sheet from a bundle's component line items
+ * Merged bundles are read from the line item group's hidden attributes, where the cart transformer copies the
+ * main line's configuration; returns null when neither a main line nor the group has the set's clubs
+ */
+function createBuildSheet(bundleId, { lineItems, group }) {
+  const components = lineItems.map(lineItem => ({ lineItem, properties: getProperties(lineItem) }));
+  const findComponent = type => components.find(({ properties }) => properties[PROPERTY_KEYS.COMPONENT_TYPE] === type);
+  const groupProperties = toProperties(group?.customAttributes);
+
+  const main = findComponent(COMPONENT_TYPES.MAIN);
+  const mainProperties = main?.properties || (groupProperties[PROPERTY_KEYS.CLUB_LIST] ? groupProperties : null);
+  if (!mainProperties) return null;
+
+  const shaft = findComponent(COMPONENT_TYPES.SHAFT);
+  const grip = findComponent(COMPONENT_TYPES.GRIP);
+
+  // Shaft details are duplicated on the main line, which is all older orders have
+  const shaftProperties = shaft?.properties || mainProperties;
+  const clubs = parseClubList(mainProperties[PROPERTY_KEYS.CLUB_LIST]);
+  const clubSpecs = parseClubSpecs(mainProperties[PROPERTY_KEYS.PER_CLUB_SPECS]);
+
+  const details = {
+    setOption: mainProperties[PROPERTY_KEYS.SET_SIZE] || '',
+    hand: mainProperties[PROPERTY_KEYS.HAND] || '',
+    shaft: getShaftLabel(shaftProperties),
+    length: shaftProperties[PROPERTY_KEYS.SHAFT_LENGTH] || '',
+    lie: mainProperties[PROPERTY_KEYS.LIE] || '',
+    grip: grip?.properties[PROPERTY_KEYS.GRIP] || mainProperties[PROPERTY_KEYS.GRIP] || '',
+    clubCount: String(clubs.length),
+  };
+
+  return {
+    bundleId,
+    title: `${details.setOption} ${SET_TITLES[mainProperties[PROPERTY_KEYS.BUNDLE_COMPONENT]] || SET_TITLES.iron_set}`,
+    quantity: main?.lineItem.quantity || group?.quantity || 1,
+    details,
+    rows: clubs.map(club => ({
+      club: getClubName(club),
+      shaft: details.shaft,
+      length: clubSpecs[club]?.length || details.length,
+      lie: clubSpecs[club]?.lie || details.lie,
+      grip: details.grip,
+    })),
+  };
+}
+
+/**
+ * Finds golf configurator bundles in an order's line items and decodes them into build sheets
+ * Cart transform bundles keep _bundleId on their line item group, unmerged bundles on each line item
+ */
+export function getBuildSheets(lineItems) {
+  const bundles = {};
+
+  lineItems.forEach(lineItem => {
+    const bundleId =
+      toProperties(lineItem.lineItemGroup?.customAttributes)[PROPERTY_KEYS.BUNDLE_ID] ||
+      getProperties(lineItem)[PROPERTY_KEYS.BUNDLE_ID];
+    if (!bundleId) return;
+
+    bundles[bundleId] = bundles[bundleId] || { lineItems: [], group: lineItem.lineItemGroup };
+    bundles[bundleId].lineItems.push(lineItem);
+  });
+
+  return Object.entries(bundles)
+    .map(([bundleId, bundle]) => createBuildSheet(bundleId, bundle))
+    .filter(Boolean);
+}
+
+/**
+ * Lays a sheet out as plain lines for the print view - one line per club, nothing that needs a wide page
+ */
+export function getPrintLines(sheet) {
+  return sheet.rows.map(row =>
+    [
+      row.club,
+      row.shaft,
+      row.length && `${ATTRIBUTE_LABELS.length} ${row.length}`,
+      row.lie && `${ATTRIBUTE_LABELS.lie} ${row.lie}`,
+      row.grip && `${ATTRIBUTE_LABELS.grip} ${row.grip}`,
+    ]
+      .filter(Boolean)
+      .join(' | ')
+  );
+}
@@ -0,0 +1,162 @@
+import { describe, it, expect } from 'vitest';
+import { getBuildSheets, getPrintLines } from './buildSheet';
+
+const attributes = properties => Object.entries(properties).map(([key, value]) => ({ key, value }));
+
+// Configuration CartService writes on the club line - the cart transformer copies it onto merged bundles
+const setProperties = (overrides = {}) => ({
+  _bundleId: 'golf-1700000000000',
+  _bundle_component: 'iron_set',
+  _hand: 'Right Handed',
+  _setSize: '6-PW',
+  _club_list: '["6","7","8","9","PW"]',
+  _lie: '+1°',
+  _grip: 'Golf Pride Tour Velvet Standard',
+  _shaft_brand: 'KBS Tour Lite',
+  _shaftFlex: 'Regular',
+  _shaftLength: '+0.5"',
+  ...overrides,
+});
+
+const lineItem = (id, properties, extra = {}) => ({
+  id: `gid://shopify/LineItem/${id}`,
+  quantity: 1,
+  customAttributes: attributes(properties),
+  ...extra,
+});
+
+// Order line items of a merged bundle: one per component, sharing the line item group the merge created
+const mergedBundle = (firstId, groupProperties) => {
+  const lineItemGroup = { quantity: 1, customAttributes: attributes(groupProperties) };
+  return [
+    lineItem(firstId, {}, { lineItemGroup }),
+    lineItem(firstId + 1, {}, { quantity: 5, lineItemGroup }),
+    lineItem(firstId + 2, {}, { quantity: 5, lineItemGroup }),
+  ];
+};
+
+describe('build sheets', () => {
+  it('ignores line items outside a configurator bundle', () => {
+    expect(getBuildSheets([lineItem(1, { Engraving: 'JB' })])).toEqual([]);
+  });
+
+  it('decodes a merged bundle from its line item group', () => {
+    const lineItems = mergedBundle(1, { 'Set Option': '6-PW', ...setProperties() });
+
+    const [sheet] = getBuildSheets(lineItems);
+
+    expect(sheet).toMatchObject({
+      bundleId: 'golf-1700000000000',
+      title: '6-PW Iron Set',
+      quantity: 1,
+      details: {
+        setOption: '6-PW',
+        hand: 'Right Handed',
+        shaft: 'KBS Tour Lite Regular',
+        length: '+0.5"',
+        lie: '+1°',
+        grip: 'Golf Pride Tour Velvet Standard',
+        clubCount: '5',
+      },
+    });
+    expect(sheet.rows.map(row => row.club)).toEqual(['6-Iron', '7-Iron', '8-Iron', '9-Iron', 'Pitching Wedge']);
+  });
+
+  it('keeps merged bundles apart by the bundle ID on each line item group', () => {
+    const lineItems = [
+      ...mergedBundle(1, setProperties()),
+      ...mergedBundle(
+        4,
+        setProperties({ _bundleId: 'golf-2', _bundle_component: 'wedge_set', _setSize: 'G-S', _club_list: '["G","S"]' })
+      ),
+    ];
+
+    const sheets = getBuildSheets(lineItems);
+
+    expect(sheets.map(sheet => [sheet.bundleId, sheet.title, sheet.rows.length])).toEqual([
+      ['golf-1700000000000', '6-PW Iron Set', 5],
+      ['golf-2', 'G-S Wedge Set', 2],
+    ]);
+  });
+
+  it('groups unmerged bundle components by their own bundle ID', () => {
+    const bundleId = 'golf-1700000000000';
+    const fivePw = setProperties({ _bundleId: 'golf-2', _setSize: '5-PW', _club_list: '["5","6","7","8","9","PW"]' });
+    const shaft = { _shaft_brand: 'KBS Tour', _shaftFlex: 'Stiff', _shaftLength: 'Standard' };
+    const lineItems = [
+      lineItem(1, { ...setProperties(), _component_type: 'main' }),
+      lineItem(2, { _bundleId: bundleId, _component_type: 'shaft', ...shaft }, { quantity: 5 }),
+      lineItem(3, { _bundleId: bundleId, _component_type: 'grip', _grip: 'Lamkin Crossline Midsize' }, { quantity: 5 }),
+      lineItem(4, { ...fivePw, _component_type: 'main' }),
+    ];
+
+    const sheets = getBuildSheets(lineItems);
+
+    expect(sheets).toHaveLength(2);
+    expect(sheets[0].details).toMatchObject({
+      shaft: 'KBS Tour Stiff',
+      length: 'Standard',
+      grip: 'Lamkin Crossline Midsize',
+    });
+    expect(sheets[1]).toMatchObject({ bundleId: 'golf-2', title: '5-PW Iron Set' });
+    expect(sheets[1].details).toMatchObject({ shaft: 'KBS Tour Lite Regular', clubCount: '6' });
+  });
+
+  it('skips a bundle without its club line', () => {
+    const shaftOnly = lineItem(1, { _bundleId: 'golf-1700000000000', _component_type: 'shaft' });
+
+    expect(getBuildSheets([shaftOnly])).toEqual([]);
+  });
+
+  it('applies per-club length and lie over the set-wide specs', () => {
+    const specs = { 6: { length: '+1"', lie: '+2°' }, PW: { lie: '-1°' } };
+    const [sheet] = getBuildSheets(mergedBundle(1, setProperties({ _per_club_specs: JSON.stringify(specs) })));
+
+    expect(sheet.rows[0]).toMatchObject({ club: '6-Iron', length: '+1"', lie: '+2°' });
+    expect(sheet.rows[1]).toMatchObject({ club: '7-Iron', length: '+0.5"', lie: '+1°' });
+    expect(sheet.rows[4]).toMatchObject({ club: 'Pitching Wedge', length: '+0.5"', lie: '-1°' });
+  });
+
+  it.each([['{not json'], ['["6","7"]'], ['"+1"'], ['null']])(
+    'falls back to the set-wide specs when _per_club_specs is malformed (%s)',
+    perClubSpecs => {
+      const [sheet] = getBuildSheets(mergedBundle(1, setProperties({ _per_club_specs: perClubSpecs })));
+
+      expect(sheet.rows).toHaveLength(5);
+      expect(sheet.rows.every(row => row.length === '+0.5"' && row.lie === '+1°')).toBe(true);
+    }
+  );
+
+  it('treats a malformed club list as a set without clubs', () => {
+    const mainLine = lineItem(1, { ...setProperties({ _club_list: '[6,7' }), _component_type: 'main' });
+    const [sheet] = getBuildSheets([mainLine]);
+
+    expect(sheet.rows).toEqual([]);
+    expect(sheet.details.clubCount).toBe('0');
+  });
+});
+
+describe('print lines', () => {
+  it('prints one line per club with labelled specs', () => {
+    const [sheet] = getBuildSheets(mergedBundle(1, setProperties()));
+
+    expect(getPrintLines(sheet)).toEqual([
+      '6-Iron | KBS Tour Lite Regular | Length +0.5" | Lie Angle +1° | Grip Golf Pride Tour Velvet Standard',
+      '7-Iron | KBS Tour Lite Regular | Length +0.5" | Lie Angle +1° | Grip Golf Pride Tour Velvet Standard',
+      '8-Iron | KBS Tour Lite Regular | Length +0.5" | Lie Angle +1° | Grip Golf Pride Tour Velvet Standard',
+      '9-Iron | KBS Tour Lite Regular | Length +0.5" | Lie Angle +1° | Grip Golf Pride Tour Velvet Standard',
+      'Pitching Wedge | KBS Tour Lite Regular | Length +0.5" | Lie Angle +1° | Grip Golf Pride Tour Velvet Standard',
+    ]);
+  });
+
+  it('leaves out specs the bundle does not have', () => {
+    const [sheet] = getBuildSheets(
+      mergedBundle(
+        1,
+        setProperties({ _club_list: '["7"]', _bundle_component: 'single_iron', _setSize: 'Iron', _grip: '', _lie: '' })
+      )
+    );
+
+    expect(getPrintLines(sheet)).toEqual(['7-Iron | KBS Tour Lite Regular | Length +0.5"']);
+  });
+});
@@ -0,0 +1 @@
+// Prevents inheritance from parent Remix project
@@ -0,0 +1,65 @@
+/**
+ * Bundle Config
+ * Bundle vocabulary shared by the cart transformer, the admin config form and the order build sheet: the line
+ * property keys the storefront CartService writes, and the built-in defaults for the cart transform's
+ * bundle-config metafield, so the build sheet labels bundles the way checkout does
+ * Plain dependency-free ES module so each extension's bundler can import it by relative path
+ */
+
+// Bundle component types (_component_type)
+export const COMPONENT_TYPES = {
+  MAIN: 'main',
+  SHAFT: 'shaft',
+  GRIP: 'grip',
+};
+
+// Line property keys CartService writes on bundle components - the transformer carries the main line's
+// configuration onto merged lines under the same keys
+export const PROPERTY_KEYS = {
+  BUNDLE_ID: '_bundleId',
+  COMPONENT_TYPE: '_component_type',
+  BUNDLE_COMPONENT: '_bundle_component',
+  HAND: '_hand',
+  SET_SIZE: '_setSize',
+  CLUB_LIST: '_club_list',
+  LIE: '_lie',
+  PER_CLUB_SPECS: '_per_club_specs',
+  GRIP: '_grip',
+  SHAFT_BRAND: '_shaft_brand',
+  SHAFT_MATERIAL: '_shaftMaterial',
+  SHAFT_FLEX: '_shaftFlex',
+  SHAFT_LENGTH: '_shaftLength',
+};
+
+// Checkout attribute fields merchants can show on merged bundles, in display order, with their default labels
+// clubSpecs expands to one attribute per club ("Club 6") when the customer set per-club length and lie
+export const ATTRIBUTE_LABELS = {
+  setOption: 'Set Option',
+  lie: 'Lie Angle',
+  shaft: 'Shaft',
+  length: 'Length',
+  clubSpecs: 'Club',
+  grip: 'Grip',
+  hand: 'Hand',
+  clubCount: 'Clubs',
+};
+
+// Checkout attributes shown when the merchant has not chosen any
+export const DISPLAY_ATTRIBUTES = ['setOption', 'lie', 'shaft', 'length', 'clubSpecs', 'grip'];
+
+// Title templates per set component, tried in order - the first with every placeholder filled wins
+// Placeholders: {setSize}, {shaft}, {hand}, {grip}, {clubCount}, {club} (single club bundles only)
+export const TITLE_TEMPLATES = {
+  iron_set: ['Custom Golf Iron Set - {setSize} with {shaft}', 'Custom Golf Iron Set - {setSize}'],
+  wedge_set: ['Custom Golf Wedge Set - {setSize} with {shaft}', 'Custom Golf Wedge Set - {setSize}'],
+  single_iron: ['Custom {club} with {shaft}', 'Custom {club}'],
+};
+
+// Pricing rules used when the metafield has none - no adjustment
+export const DEFAULT_PRICING = {
+  fullSetDiscountPercent: 0,
+  fullSetClubCounts: {
+    iron_set: 7,
+    wedge_set: 3,
+  },
+};
@@ -0,0 +1,309 @@
+/**
+ * Club Rules
+ * Club catalogue and per-mode club rules shared by the storefront configurator (golf-configurator-dev)
+ * and the app's extensions - cart transformer, cart validation, order build sheet and admin health checks
+ *
+ * A head model with a 3-iron or AW is supported by adding the club and its rules here: every layer
+ * names, validates and checks set sizes from the same definition
+ * Plain dependency-free ES module so each extension's bundler can import it by relative path
+ */
+
+// Product modes - set by the theme block and written to the _bundle_component line property
+export const PRODUCT_MODES = {
+  IRON_SET: 'iron_set',
+  WEDGE_SET: 'wedge_set',
+  SINGLE_IRON: 'single_iron',
+};
+
+// Iron catalogue, longest club first
+export const IRON_CLUBS = [
+  { id: '4', name: '4-Iron', type: 'iron' },
+  { id: '5', name: '5-Iron', type: 'iron' },
+  { id: '6', name: '6-Iron', type: 'iron' },
+  { id: '7', name: '7-Iron', type: 'iron' },
+  { id: '8', name: '8-Iron', type: 'iron' },
+  { id: '9', name: '9-Iron', type: 'iron' },
+  { id: 'PW', name: 'Pitching Wedge', type: 'wedge' },
+];
+
+// Wedge catalogue, strongest loft first
+export const WEDGE_CLUBS = [
+  { id: 'G', name: 'Gap Wedge', type: 'wedge' },
+  { id: 'S', name: 'Sand Wedge', type: 'wedge' },
+  { id: 'L', name: 'Lob Wedge', type: 'wedge' },
+];
+
+// Club rules per product mode
+//
+// - clubs: catalogue the rules apply to, longest club first - contiguity and set-size ranges follow this order
+// - locked: clubs every set includes, which cannot be deselected
+// - dependencies: club → clubs it needs; selecting it auto-adds them, deselecting one auto-removes it (chains follow)
+// - contiguous: selection must be an unbroken run of the catalogue, e.g. no 5-iron without the 6-iron
+// - setSize: 'range' names the set by its first and last club ('4-PW'), 'list' joins every club ('G-S-L'),
+//   any other string is used as is
+// - replaceSelection: selecting a club swaps out the current one instead of adding to it
+// - unit: noun for the clubs in validation messages
+export const CLUB_RULES = {
+  // Iron sets - 6-PW always included, 4 and 5 optional (the 4-iron needs the 5-iron)
+  [PRODUCT_MODES.IRON_SET]: {
+    clubs: IRON_CLUBS,
+    locked: ['6', '7', '8', '9', 'PW'],
+    dependencies: {
+      4: ['5'],
+    },
+    minClubCount: 5,
+    maxClubCount: 7,
+    contiguous: true,
+    setSize: 'range',
+    unit: 'club',
+  },
+
+  // Wedge sets - any combination, nothing locked
+  [PRODUCT_MODES.WEDGE_SET]: {
+    clubs: WEDGE_CLUBS,
+    locked: [],
+    dependencies: {},
+    minClubCount: 1,
+    maxClubCount: WEDGE_CLUBS.length,
+    contiguous: false,
+    setSize: 'list',
+    unit: 'wedge',
+  },
+
+  // Single irons - one replacement or gapping club from the full iron range, nothing locked
+  [PRODUCT_MODES.SINGLE_IRON]: {
+    clubs: IRON_CLUBS,
+    locked: [],
+    dependencies: {},
+    minClubCount: 1,
+    maxClubCount: 1,
+    contiguous: false,
+    setSize: 'Iron',
+    replaceSelection: true,
+    unit: 'club',
+  },
+};
+
+// ================================
+// RULE LOOKUPS
+// ================================
+
+/**
+ * Gets the club rules for a product mode
+ * @param {string} mode - Product mode (see PRODUCT_MODES)
+ * @returns {Object} Rules object
+ * @throws {Error} When the mode has no rules
+ */
+export function getClubRules(mode) {
+  const rules = CLUB_RULES[mode];
+  if (!rules) throw new Error(`Unknown product mode: ${mode}`);
+  return rules;
+}
+
+const findClub = (rules, clubId) => rules.clubs.find((club) => club.id === clubId);
+
+const clubName = (rules, clubId) => findClub(rules, clubId)?.name || clubId;
+
+const pluralUnit = (rules, count) => (count === 1 ? rules.unit : `${rules.unit}s`);
+
+/**
+ * Names a club from any mode's catalogue, e.g. 'PW' → 'Pitching Wedge'
+ * @param {string} clubId - Club ID
+ * @returns {string} Club name, the ID itself when no catalogue has it
+ */
+export function getClubName(clubId) {
+  const rules = Object.values(CLUB_RULES).find((modeRules) => findClub(modeRules, clubId));
+  return rules ? clubName(rules, clubId) : clubId;
+}
+
+/**
+ * Checks if a club is locked (included in every set, cannot be deselected)
+ * @param {Object} rules - Club rules
+ * @param {string} clubId - Club ID
+ * @returns {boolean}
+ */
+export function isClubLocked(rules, clubId) {
+  return rules.locked.includes(clubId);
+}
+
+/**
+ * Gets every club a club needs, following dependency chains (e.g. 3 → 4 → 5)
+ * @param {Object} rules - Club rules
+ * @param {string} clubId - Club ID
+ * @returns {Array<string>} Required club IDs, nearest first
+ */
+export function getRequiredClubs(rules, clubId) {
+  const required = [];
+  const queue = [...(rules.dependencies[clubId] || [])];
+
+  while (queue.length > 0) {
+    const requiredId = queue.shift();
+    if (requiredId === clubId || required.includes(requiredId)) continue;
+    required.push(requiredId);
+    queue.push(...(rules.dependencies[requiredId] || []));
+  }
+
+  return required;
+}
+
+/**
+ * Gets every club that needs a club, directly or through a chain
+ * @param {Object} rules - Club rules
+ * @param {string} clubId - Club ID
+ * @returns {Array<string>} Dependent club IDs in catalogue order
+ */
+export function getDependentClubs(rules, clubId) {
+  return rules.clubs
+    .map((club) => club.id)
+    .filter((id) => id !== clubId && getRequiredClubs(rules, id).includes(clubId));
+}
+
+// ================================
+// VALIDATION
+// ================================
+
+/**
+ * Validates a club selection against the rules
+ * @param {Object} rules - Club rules
+ * @param {Array<string>} clubIds - Selected club IDs
+ * @returns {Object} Validation result { valid: boolean, reason?: string }
+ */
+export function validateClubRules(rules, clubIds) {
+  const { minClubCount, maxClubCount } = rules;
+
+  if (clubIds.length < minClubCount) {
+    return {
+      valid: false,
+      reason: `Minimum ${minClubCount} ${pluralUnit(rules, minClubCount)} required`,
+    };
+  }
+
+  if (clubIds.length > maxClubCount) {
+    return {
+      valid: false,
+      reason: `Maximum ${maxClubCount} ${pluralUnit(rules, maxClubCount)} allowed`,
+    };
+  }
+
+  const unknownClub = clubIds.find((id) => !findClub(rules, id));
+  if (unknownClub) {
+    return {
+      valid: false,
+      reason: `${getClubName(unknownClub)} is not available here`,
+    };
+  }
+
+  const missingLocked = rules.locked.find((id) => !clubIds.includes(id));
+  if (missingLocked) {
+    return {
+      valid: false,
+      reason: `Required club ${clubName(rules, missingLocked)} missing`,
+    };
+  }
+
+  for (const clubId of clubIds) {
+    const missingRequired = getRequiredClubs(rules, clubId).find((id) => !clubIds.includes(id));
+    if (missingRequired) {
+      return {
+        valid: false,
+        reason: `Selecting ${clubName(rules, clubId)} requires ${clubName(rules, missingRequired)}`,
+      };
+    }
+  }
+
+  if (rules.contiguous) {
+    const positions = rules.clubs.map((club, index) => (clubIds.includes(club.id) ? index : -1)).filter((i) => i >= 0);
+    const gap = rules.clubs.slice(positions[0], positions[positions.length - 1]).find((club) => !clubIds.includes(club.id));
+    if (gap) {
+      return {
+        valid: false,
+        reason: `Sets can't skip clubs - add the ${gap.name}`,
+      };
+    }
+  }
+
+  return { valid: true };
+}
+
+// ================================
+// SET-SIZE NAMING
+// ================================
+
+/**
+ * Names a selection for variant lookup and cart properties, e.g. '4-PW', 'G-S-L', 'Iron'
+ * @param {Object} rules - Club rules
+ * @param {Array<string>} clubIds - Selected club IDs
+ * @returns {string} Set size, empty when nothing is selected
+ */
+export function getSetSize(rules, clubIds) {
+  const ordered = rules.clubs.filter((club) => clubIds.includes(club.id)).map((club) => club.id);
+  if (ordered.length === 0) return '';
+
+  if (rules.setSize === 'range') {
+    return ordered.length === 1 ? ordered[0] : `${ordered[0]}-${ordered[ordered.length - 1]}`;
+  }
+
+  if (rules.setSize === 'list') {
+    return ordered.join('-');
+  }
+
+  return rules.setSize;
+}
+
+/**
+ * Lists every set size a mode can produce - the variants a head product must offer
+ * Walks every selection the rules accept, so it stays small for real catalogues (at most a dozen clubs)
+ * @param {Object} rules - Club rules
+ * @returns {Array<string>} Distinct set sizes
+ */
+export function getSetSizes(rules) {
+  const clubIds = rules.clubs.map((club) => club.id);
+  const sizes = new Set();
+
+  for (let mask = 1; mask < 1 << clubIds.length; mask++) {
+    const selection = clubIds.filter((_, index) => mask & (1 << index));
+    if (validateClubRules(rules, selection).valid) {
+      sizes.add(getSetSize(rules, selection));
+    }
+  }
+
+  return [...sizes];
+}
+
+// ================================
+// RULE CHECKS
+// ================================
+
+/**
+ * Checks a rules object is self-consistent
+ * @param {Object} rules - Club rules
+ * @returns {Array<string>} Problems found, empty when the rules are usable
+ */
+export function checkClubRules(rules) {
+  const errors = [];
+  const clubIds = rules.clubs.map((club) => club.id);
+
+  if (!rules.minClubCount || rules.minClubCount < 1) {
+    errors.push('Invalid minClubCount');
+  }
+
+  if (rules.maxClubCount < rules.minClubCount) {
+    errors.push('maxClubCount must be >= minClubCount');
+  }
+
+  if (rules.locked.length > rules.maxClubCount) {
+    errors.push('More locked clubs than maxClubCount allows');
+  }
+
+  Object.entries(rules.dependencies).forEach(([clubId, requiredIds]) => {
+    [clubId, ...requiredIds]
+      .filter((id) => !clubIds.includes(id))
+      .forEach((id) => errors.push(`Dependency on unknown club ${id}`));
+  });
+
+  rules.locked
+    .filter((id) => !clubIds.includes(id))
+    .forEach((id) => errors.push(`Locked club ${id} is not in the catalogue`));
+
+  return errors;
+}